@@ -1,6 +1,9 @@
 import { DataProcessor } from '../data/DataProcessor.js';
 import path from 'path';
 import fs from 'fs/promises';
+import { isAbortError } from '../utils/HttpClient.js';
+import { summarizeRankingMetrics } from '../evaluation/RankingMetrics.js';
+import { Qrels } from '../evaluation/Qrels.js';
 
 /**
  * 批量测试管理器
@@ -39,13 +42,17 @@ export class BatchTestManager {
 
     // 生成最终报告
     const finalReport = this.generateFinalReport(testResults, queries, testStartTime, testEndTime);
+    finalReport.metadata.search_options = options.searchOptions || {};
+    if (options.signal?.aborted) {
+      finalReport.metadata.aborted = true;
+    }
 
     // 保存结果
     if (options.outputDir) {
       await this.saveResults(testResults, finalReport, options.outputDir);
     }
 
-    console.log('批量测试完成');
+    console.log(options.signal?.aborted ? '批量测试已中断' : '批量测试完成');
     return {
       testResults,
       finalReport,
@@ -73,18 +80,19 @@ export class BatchTestManager {
   /**
    * 执行测试
    * @param {Array} queries - 查询列表
-   * @param {Object} options - 测试选项
+   * @param {Object} options - 测试选项，options.signal 取消后停止后续查询，保留当前轮已完成的结果
    * @returns {Promise<Array>} 测试结果
    */
   async executeTests(queries, options) {
     const allTestResults = [];
+    const signal = options.signal;
 
-    for (let round = 1; round <= this.repeatTimes; round++) {
+    for (let round = 1; round <= this.repeatTimes && !signal?.aborted; round++) {
       console.log(`\n=== 第 ${round}/${this.repeatTimes} 轮测试 ===`);
       
       const roundResults = [];
 
-      for (let i = 0; i < queries.length; i++) {
+      for (let i = 0; i < queries.length && !signal?.aborted; i++) {
         const query = queries[i];
         console.log(`\n处理查询 ${i + 1}/${queries.length} (第${round}轮): ${query}`);
 
@@ -92,25 +100,24 @@ export class BatchTestManager {
           // 执行搜索
           const searchResults = await this.searchEngineManager.searchWithAllEngines(
             query,
-            options.searchOptions || {}
+            { ...options.searchOptions, signal }
           );
 
           // 执行评估
           const evaluationResult = await this.evaluationManager.evaluateQuery(
             query,
-            searchResults
+            searchResults,
+            { signal }
           );
 
           evaluationResult.round = round;
           evaluationResult.queryIndex = i;
           roundResults.push(evaluationResult);
 
-          // 添加延迟避免API限制
-          if (i < queries.length - 1 || round < this.repeatTimes) {
-            await this.delay(options.delayMs || 2000);
-          }
-
         } catch (error) {
+          if (isAbortError(error)) {
+            break;
+          }
           console.error(`查询 "${query}" 第${round}轮测试失败:`, error.message);
           roundResults.push({
             query,
@@ -128,10 +135,9 @@ export class BatchTestManager {
         timestamp: new Date().toISOString()
       });
 
-      // 轮次间延迟
-      if (round < this.repeatTimes) {
-        console.log(`第${round}轮完成，等待 ${options.roundDelayMs || 5000}ms 后开始下一轮...`);
-        await this.delay(options.roundDelayMs || 5000);
+      if (signal?.aborted) {
+        console.log(`第${round}轮已中断，保留 ${roundResults.length}/${queries.length} 个已完成的查询`);
+        break;
       }
     }
 
@@ -163,7 +169,8 @@ export class BatchTestManager {
         config_summary: {
           repeat_times: this.repeatTimes,
           enabled_engines: this.searchEngineManager.getEnabledEngines().map(e => e.getName()),
-          dimensions: this.config.evaluation.dimensions.map(d => d.name)
+          dimensions: this.config.evaluation.dimensions.map(d => d.name),
+          judges: this.evaluationManager.describeJudges()
         }
       },
       aggregated_results: {},
@@ -193,6 +200,9 @@ export class BatchTestManager {
    */
   aggregateResults(testResults) {
     const queryResults = {};
+    const queryMetrics = {};
+    const unjudgedResults = {};
+    const contestedItems = [];
     const engineStats = {};
 
     testResults.forEach(roundData => {
@@ -211,20 +221,90 @@ export class BatchTestManager {
             engineStats[engineName] = {
               scores: { binary: [], five_point: [] },
               total_tests: 0,
-              successful_tests: 0
+              successful_tests: 0,
+              cache_hits: 0,
+              attempts: [],
+              retried_searches: 0,
+              latency: { total_ms: [], time_to_headers_ms: [] },
+              depth: { requested: [], returned: [], short_results: 0 },
+              unsupported_options: new Set(),
+              ranking_metrics: { binary: {}, five_point: {} },
+              qrels: {},
+              contested: 0,
+              judge_scores: { binary: {}, five_point: {} }
             };
           }
 
           engineStats[engineName].total_tests++;
 
+          if (engineData.cache?.status === 'hit') {
+            engineStats[engineName].cache_hits++;
+          } else if (engineData.attempts) {
+            // 命中缓存的结果沿用录入时的尝试次数，不计入本次运行的重试统计
+            engineStats[engineName].attempts.push(engineData.attempts);
+            if (engineData.attempts > 1) {
+              engineStats[engineName].retried_searches++;
+            }
+          }
+
+          (engineData.unsupportedOptions || []).forEach(option => engineStats[engineName].unsupported_options.add(option));
+
+          if (engineData.depth) {
+            engineStats[engineName].depth.requested.push(engineData.depth.requested);
+            engineStats[engineName].depth.returned.push(engineData.depth.returned);
+            if (engineData.depth.returned < engineData.depth.requested) {
+              engineStats[engineName].depth.short_results++;
+            }
+          }
+
+          // 命中缓存的结果没有真实的网络耗时，不计入延迟统计
+          if (engineData.latency && engineData.cache?.status !== 'hit') {
+            ['total_ms', 'time_to_headers_ms'].forEach(metric => {
+              if (typeof engineData.latency[metric] === 'number') {
+                engineStats[engineName].latency[metric].push(engineData.latency[metric]);
+              }
+            });
+          }
+
           if (!engineData.error) {
             engineStats[engineName].successful_tests++;
+
+            // 人工标注指标按查询分组；未标注的结果按查询汇总，便于补充标注
+            // 多个评分模型之间有分歧的条目，便于人工复核
+            (engineData.contested || []).forEach(item => {
+              contestedItems.push({ query, test_round: result.round, engine: engineName, ...item });
+            });
+            engineStats[engineName].contested += engineData.contested?.length || 0;
+
+            if (engineData.qrelsMetrics) {
+              const byQuery = engineStats[engineName].qrels;
+              (byQuery[query] = byQuery[query] || []).push(engineData.qrelsMetrics);
+
+              const urls = new Set([...(unjudgedResults[query] || []), ...engineData.qrelsMetrics.unjudged_urls]);
+              if (urls.size > 0) {
+                unjudgedResults[query] = [...urls];
+              }
+            }
             
             ['binary', 'five_point'].forEach(scoringType => {
               const weightedScore = engineData.averageScores?.[scoringType]?.weighted;
               if (weightedScore !== undefined) {
                 engineStats[engineName].scores[scoringType].push(weightedScore);
               }
+
+              Object.entries(engineData.averageScores?.[scoringType]?.judges || {}).forEach(([name, score]) => {
+                if (typeof score === 'number') {
+                  const judgeScores = engineStats[engineName].judge_scores[scoringType];
+                  (judgeScores[name] = judgeScores[name] || []).push(score);
+                }
+              });
+
+              // 排序指标按查询分组，同一查询的多轮结果先取平均，再在查询之间取平均
+              const metrics = engineData.rankingMetrics?.[scoringType];
+              if (metrics !== undefined) {
+                const byQuery = engineStats[engineName].ranking_metrics[scoringType];
+                (byQuery[query] = byQuery[query] || []).push(metrics);
+              }
             });
           }
         });
@@ -236,10 +316,69 @@ export class BatchTestManager {
     Object.entries(engineStats).forEach(([engineName, stats]) => {
       enginePerformance[engineName] = {
         success_rate: stats.successful_tests / stats.total_tests,
+        cache_hit_rate: stats.cache_hits / stats.total_tests,
+        average_attempts: stats.attempts.length > 0
+          ? stats.attempts.reduce((sum, attempts) => sum + attempts, 0) / stats.attempts.length
+          : null,
+        retry_rate: stats.attempts.length > 0 ? stats.retried_searches / stats.attempts.length : null,
+        unsupported_options: [...stats.unsupported_options],
+        depth: stats.depth.requested.length > 0 ? {
+          requested: Math.max(...stats.depth.requested),
+          average_returned: stats.depth.returned.reduce((sum, count) => sum + count, 0) / stats.depth.returned.length,
+          min_returned: Math.min(...stats.depth.returned),
+          short_rate: stats.depth.short_results / stats.depth.requested.length
+        } : null,
+        latency: {
+          total_ms: this.calculateLatencyStats(stats.latency.total_ms),
+          time_to_headers_ms: this.calculateLatencyStats(stats.latency.time_to_headers_ms)
+        },
         average_scores: {},
-        score_stability: {}
+        score_stability: {},
+        ranking_metrics: {},
+        judge_scores: {},
+        contested_count: stats.contested
       };
 
+      // 多个评分模型时各模型的加权平均分
+      ['binary', 'five_point'].forEach(scoringType => {
+        const judgeScores = Object.entries(stats.judge_scores[scoringType]);
+        if (judgeScores.length > 0) {
+          enginePerformance[engineName].judge_scores[scoringType] = Object.fromEntries(
+            judgeScores.map(([name, scores]) => [name, scores.reduce((sum, score) => sum + score, 0) / scores.length])
+          );
+        }
+      });
+
+      ['binary', 'five_point'].forEach(scoringType => {
+        const byQuery = stats.ranking_metrics[scoringType];
+        const perQuery = Object.entries(byQuery).map(([query, metricsList]) => {
+          const metrics = summarizeRankingMetrics(metricsList);
+          queryMetrics[query] = queryMetrics[query] || {};
+          queryMetrics[query][engineName] = { ...(queryMetrics[query][engineName] || {}), [scoringType]: metrics };
+          return metrics;
+        });
+
+        const gradedQueries = perQuery.filter(Boolean);
+        if (gradedQueries.length > 0) {
+          enginePerformance[engineName].ranking_metrics[scoringType] = {
+            ...summarizeRankingMetrics(gradedQueries),
+            query_count: gradedQueries.length,
+            ungraded_query_count: perQuery.length - gradedQueries.length
+          };
+        } else if (perQuery.length > 0) {
+          enginePerformance[engineName].ranking_metrics[scoringType] = null;
+        }
+      });
+
+      const qrelsByQuery = Object.entries(stats.qrels);
+      qrelsByQuery.forEach(([query, evaluations]) => {
+        queryMetrics[query] = queryMetrics[query] || {};
+        queryMetrics[query][engineName] = { ...(queryMetrics[query][engineName] || {}), qrels: Qrels.summarize(evaluations) };
+      });
+      enginePerformance[engineName].qrels_metrics = qrelsByQuery.length > 0
+        ? { ...Qrels.summarize(qrelsByQuery.flatMap(([_, evaluations]) => evaluations)), query_count: qrelsByQuery.length }
+        : null;
+
       ['binary', 'five_point'].forEach(scoringType => {
         const scores = stats.scores[scoringType];
         if (scores.length > 0) {
@@ -266,10 +405,36 @@ export class BatchTestManager {
       unique_queries: Object.keys(queryResults).length,
       total_tests: testResults.length * Object.keys(queryResults).length,
       query_results: queryResults,
+      query_metrics: queryMetrics,
+      unjudged_results: unjudgedResults,
+      contested_items: contestedItems,
       engine_performance: enginePerformance
     };
   }
 
+  /**
+   * 计算延迟分布统计（最近秩法百分位）
+   * @param {Array} values - 延迟样本（毫秒）
+   * @returns {Object|null} { count, mean, p50, p90, p99, max }，无样本时返回null
+   */
+  calculateLatencyStats(values) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentile = p => sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+
+    return {
+      count: sorted.length,
+      mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p50: percentile(50),
+      p90: percentile(90),
+      p99: percentile(99),
+      max: sorted[sorted.length - 1]
+    };
+  }
+
   /**
    * 生成引擎排名
    * @param {Object} aggregatedData - 聚合数据
@@ -313,7 +478,9 @@ export class BatchTestManager {
         return {
           engine: engineName,
           combined_score: (normalizedBinary + normalizedFivePoint) / 2,
-          success_rate: performance.success_rate
+          success_rate: performance.success_rate,
+          latency_p50_ms: performance.latency?.total_ms?.p50 ?? null,
+          latency_p90_ms: performance.latency?.total_ms?.p90 ?? null
         };
       })
       .sort((a, b) => b.combined_score - a.combined_score);
@@ -370,7 +537,7 @@ export class BatchTestManager {
 
     // 保存CSV格式的汇总
     const flattenedResults = this.flattenForCsv(testResults);
-    await this.dataProcessor.exportResultsToCsv(
+    await this.dataProcessor.exportRowsToCsv(
       flattenedResults,
       path.join(outputDir, `summary_${timestamp}.csv`)
     );
@@ -403,6 +570,12 @@ export class BatchTestManager {
             round: result.round,
             query: result.query,
             engine: engineName,
+            cache_status: engineData.cache?.status || '',
+            attempts: engineData.attempts ?? '',
+            latency_ms: engineData.latency?.total_ms ?? '',
+            time_to_headers_ms: engineData.latency?.time_to_headers_ms ?? '',
+            requested_depth: engineData.depth?.requested ?? '',
+            returned_depth: engineData.depth?.returned ?? '',
             timestamp: result.timestamp
           };
 
@@ -412,6 +585,15 @@ export class BatchTestManager {
               error: engineData.error
             });
           } else {
+            const qrelsColumns = engineData.qrelsMetrics ? {
+              qrels_judged: engineData.qrelsMetrics.judged,
+              qrels_unjudged: engineData.qrelsMetrics.unjudged,
+              ...Object.fromEntries(
+                Object.entries(engineData.qrelsMetrics.metrics).map(([key, value]) => [`qrels_${key}`, value])
+              )
+            } : {};
+            const rowCount = flatData.length;
+
             ['binary', 'five_point'].forEach(scoringType => {
               const avgScores = engineData.averageScores?.[scoringType];
               if (avgScores) {
@@ -423,10 +605,23 @@ export class BatchTestManager {
                     Object.entries(avgScores.dimensions || {}).map(([dim, score]) => 
                       [`${dim}_score`, score]
                     )
-                  )
+                  ),
+                  ...(engineData.rankingMetrics?.[scoringType] || {}),
+                  ...Object.fromEntries(
+                    Object.entries(avgScores.judges || {}).map(([name, score]) => [`judge_${name}_score`, score])
+                  ),
+                  ...(engineData.judges?.length > 1 ? {
+                    contested: (engineData.contested || []).filter(item => item.scoring_system === scoringType).length
+                  } : {}),
+                  ...qrelsColumns
                 });
               }
             });
+
+            // 只按人工标注评估时没有评分行，单独输出一行人工标注指标
+            if (flatData.length === rowCount && engineData.qrelsMetrics) {
+              flatData.push({ ...baseRow, ...qrelsColumns });
+            }
           }
         });
       });
@@ -472,13 +667,4 @@ export class BatchTestManager {
 
     return summary;
   }
-
-  /**
-   * 延迟函数
-   * @param {number} ms - 延迟毫秒数
-   * @returns {Promise<void>}
-   */
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
\ No newline at end of file
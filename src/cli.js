@@ -3,6 +3,15 @@
 import { Command } from 'commander';
 import { createEvaluationSystem } from './index.js';
 import { logManager } from './utils/LogManager.js';
+import { cassetteManager } from './utils/CassetteManager.js';
+import { ConfigManager } from './config/ConfigManager.js';
+import { SearchCache } from './search/SearchCache.js';
+import { SearchEngineManager } from './search/SearchEngineManager.js';
+import { searchEngineRegistry } from './search/SearchEngineRegistry.js';
+import { normalizeSearchOptions } from './search/SearchOptions.js';
+import { Qrels } from './evaluation/Qrels.js';
+import { JudgeAgreement } from './evaluation/JudgeAgreement.js';
+import { DataProcessor } from './data/DataProcessor.js';
 import path from 'path';
 import fs from 'fs/promises';
 
@@ -47,7 +56,13 @@ program
       console.log('\n📊 连接测试结果:');
       Object.entries(results).forEach(([engine, result]) => {
         const status = result.status === 'success' ? '✅' : '❌';
-        console.log(`   ${status} ${engine}: ${result.status}`);
+        const headers = result.timeToHeaders !== null && result.timeToHeaders !== undefined
+          ? `响应头 ${result.timeToHeaders}ms，`
+          : '';
+        const latency = result.responseTime !== null && result.responseTime !== undefined
+          ? ` (${headers}总耗时 ${result.responseTime}ms)`
+          : '';
+        console.log(`   ${status} ${engine}: ${result.status}${latency}`);
         if (result.error) {
           console.log(`      错误: ${result.error}`);
         }
@@ -69,12 +84,29 @@ program
   .option('-c, --config <path>', '配置文件路径', './config.json')
   .option('-o, --output <dir>', '输出目录', './results')
   .option('--no-report', '不生成报告')
+  .option('--record', '录制所有搜索和评分请求到fixture文件')
+  .option('--replay', '从fixture文件回放搜索和评分请求')
+  .option('--strict', '回放未命中时直接报错（配合 --replay 使用）')
+  .option('--cassette-dir <dir>', 'fixture文件目录')
+  .option('--no-cache', '不使用搜索结果缓存')
+  .option('--refresh', '忽略已有搜索缓存，重新搜索并更新缓存')
+  .option('-n, --max-results <count>', '每个搜索引擎返回的结果数量（默认取各引擎配置的 max_results）')
+  .option('--language <code>', '结果语言，如 zh-cn、en')
+  .option('--region <code>', '地区代码，如 cn、us')
+  .option('--recency <range>', '时间范围（day, week, month, year）')
+  .option('--include-sites <sites>', '只搜索这些站点（逗号分隔）')
+  .option('--exclude-sites <sites>', '排除这些站点（逗号分隔）')
+  .option('--safe-search <level>', '安全搜索级别（off, moderate, strict）')
+  .option('--qrels <file>', '人工相关性标注文件（TREC qrels、CSV或JSONL），按标注计算排序质量指标')
+  .option('--qrels-topics <file>', 'qrels中qid到查询文本的映射文件')
+  .option('--skip-judge', '不调用评分模型，只按人工标注评估（需要 --qrels 或配置 evaluation.qrels.file）')
   .action(async (query, options) => {
     // 启动日志记录
     logManager.startLogging();
+    const interrupt = createInterruptController();
     
     try {
-      const system = await createEvaluationSystem(options.config);
+      const system = await createEvaluationSystem(options.config, buildSystemOptions(options));
       
       console.log(`🔍 评估查询: "${query}"`);
       logManager.writeCustomLog(`开始单次评估 - 查询: ${query}`, 'INFO');
@@ -82,7 +114,10 @@ program
       // 记录开始时间
       const testStartTime = new Date().toISOString();
       
-      const result = await system.evaluateSingleQuery(query);
+      const result = await system.evaluateSingleQuery(query, {
+        searchOptions: buildSearchOptions(options),
+        signal: interrupt.signal
+      });
       
       // 记录结束时间
       const testEndTime = new Date().toISOString();
@@ -104,12 +139,15 @@ program
               config_summary: {
                 enabled_engines: Object.keys(result.engines),
                 dimensions: ['权威性', '相关性', '时效性'],
-                repeat_times: result.engines[Object.keys(result.engines)[0]]?.repeatTimes || 3
+                repeat_times: result.engines[Object.keys(result.engines)[0]]?.repeatTimes || 3,
+                judges: system.evaluationManager.describeJudges()
               }
             },
             engine_rankings: result.summary.rankings,
             aggregated_results: {
-              engine_performance: {}
+              engine_performance: {},
+              contested_items: Object.entries(result.engines).flatMap(([engineName, engineData]) =>
+                (engineData.contested || []).map(item => ({ query, engine: engineName, ...item })))
             },
             original_result: result  // 添加原始结果数据
           };
@@ -119,6 +157,28 @@ program
             if (!engineData.error && engineData.averageScores) {
               reportData.aggregated_results.engine_performance[engineName] = {
                 success_rate: 1.0,
+                cache_hit_rate: engineData.cache?.status === 'hit' ? 1 : 0,
+                average_attempts: engineData.cache?.status !== 'hit' ? engineData.attempts ?? null : null,
+                retry_rate: engineData.cache?.status !== 'hit' && engineData.attempts ? (engineData.attempts > 1 ? 1 : 0) : null,
+                unsupported_options: engineData.unsupportedOptions || [],
+                depth: engineData.depth ? {
+                  requested: engineData.depth.requested,
+                  average_returned: engineData.depth.returned,
+                  min_returned: engineData.depth.returned,
+                  short_rate: engineData.depth.returned < engineData.depth.requested ? 1 : 0
+                } : null,
+                latency: engineData.latency && engineData.cache?.status !== 'hit' ? {
+                  total_ms: system.batchTestManager.calculateLatencyStats([engineData.latency.total_ms]),
+                  time_to_headers_ms: typeof engineData.latency.time_to_headers_ms === 'number'
+                    ? system.batchTestManager.calculateLatencyStats([engineData.latency.time_to_headers_ms])
+                    : null
+                } : null,
+                ranking_metrics: engineData.rankingMetrics || {},
+                qrels_metrics: Qrels.summarize([engineData.qrelsMetrics]),
+                contested_count: engineData.contested?.length || 0,
+                judge_scores: Object.fromEntries(['binary', 'five_point']
+                  .filter(scoringType => engineData.averageScores[scoringType]?.judges)
+                  .map(scoringType => [scoringType, engineData.averageScores[scoringType].judges])),
                 average_scores: {
                   binary: {
                     mean: engineData.averageScores.binary?.weighted || 0,
@@ -154,7 +214,12 @@ program
       console.log('\n📊 评估结果摘要:');
       if (result.engines && typeof result.engines === 'object') {
         Object.entries(result.engines).forEach(([engine, engineResult]) => {
-          if (engineResult && engineResult.averageScores && engineResult.averageScores.binary) {
+          if (system.evaluationManager.skipJudge && engineResult && !engineResult.error) {
+            // 只按人工标注评估时没有评分模型的得分，显示人工标注指标
+            console.log(`   ${engine}: ${engineResult.qrelsMetrics
+              ? system.evaluationManager.formatRankingMetrics(engineResult.qrelsMetrics.metrics)
+              : '查询没有人工标注'}`);
+          } else if (engineResult && engineResult.averageScores && engineResult.averageScores.binary) {
             const score = engineResult.averageScores.binary.weighted || 0;
             console.log(`   ${engine}: ${score.toFixed(2)}分`);
           } else {
@@ -165,6 +230,7 @@ program
         console.log('   ❌ 无可用的评估结果');
       }
       
+      printCassetteStats();
       logManager.writeCustomLog(`单次评估完成 - 查询: ${query}`, 'INFO');
       
     } catch (error) {
@@ -172,6 +238,7 @@ program
       logManager.writeCustomLog(`评估失败: ${error.message}`, 'ERROR');
       process.exit(1);
     } finally {
+      interrupt.dispose();
       // 停止日志记录
       logManager.stopLogging();
     }
@@ -189,12 +256,29 @@ program
   .option('-r, --repeat <times>', '重复测试次数', '3')
   .option('--format <formats>', '报告格式（html,markdown,json）', 'html,markdown')
   .option('--no-report', '不生成报告')
+  .option('--record', '录制所有搜索和评分请求到fixture文件')
+  .option('--replay', '从fixture文件回放搜索和评分请求')
+  .option('--strict', '回放未命中时直接报错（配合 --replay 使用）')
+  .option('--cassette-dir <dir>', 'fixture文件目录')
+  .option('--no-cache', '不使用搜索结果缓存')
+  .option('--refresh', '忽略已有搜索缓存，重新搜索并更新缓存')
+  .option('-n, --max-results <count>', '每个搜索引擎返回的结果数量（默认取各引擎配置的 max_results）')
+  .option('--language <code>', '结果语言，如 zh-cn、en')
+  .option('--region <code>', '地区代码，如 cn、us')
+  .option('--recency <range>', '时间范围（day, week, month, year）')
+  .option('--include-sites <sites>', '只搜索这些站点（逗号分隔）')
+  .option('--exclude-sites <sites>', '排除这些站点（逗号分隔）')
+  .option('--safe-search <level>', '安全搜索级别（off, moderate, strict）')
+  .option('--qrels <file>', '人工相关性标注文件（TREC qrels、CSV或JSONL），按标注计算排序质量指标')
+  .option('--qrels-topics <file>', 'qrels中qid到查询文本的映射文件')
+  .option('--skip-judge', '不调用评分模型，只按人工标注评估（需要 --qrels 或配置 evaluation.qrels.file）')
   .action(async (queries, options) => {
     // 启动日志记录
     logManager.startLogging();
+    const interrupt = createInterruptController();
     
     try {
-      const system = await createEvaluationSystem(options.config);
+      const system = await createEvaluationSystem(options.config, buildSystemOptions(options));
       
       // 解析查询输入
       let queriesInput;
@@ -210,6 +294,8 @@ program
         repeatTimes: parseInt(options.repeat),
         outputDir: options.output,
         generateReport: options.report,
+        searchOptions: buildSearchOptions(options),
+        signal: interrupt.signal,
         reportOptions: {
           html: options.format.includes('html'),
           markdown: options.format.includes('markdown'),
@@ -223,29 +309,86 @@ program
       
       const result = await system.runBatchEvaluation(queriesInput, batchOptions);
       
-      console.log('\n🎉 批量评估完成！');
+      console.log(result.finalReport.metadata.aborted ? '\n⚠️  批量评估已中断，已保存部分结果' : '\n🎉 批量评估完成！');
       console.log(`📁 结果保存在: ${options.output}`);
       logManager.writeCustomLog(`批量评估完成 - 结果保存在: ${options.output}`, 'INFO');
       
       // 显示排名
       console.log('\n🏆 搜索引擎排名:');
-      result.finalReport.engineRanking.forEach((engine, index) => {
+      const engineRanking = result.finalReport.engine_rankings.combined;
+      engineRanking.forEach((engine, index) => {
         const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '  ';
-        console.log(`   ${medal} ${index + 1}. ${engine.name}: ${engine.averageScore.toFixed(2)}分`);
+        console.log(`   ${medal} ${index + 1}. ${engine.engine}: 综合得分 ${engine.combined_score.toFixed(3)}`);
       });
       
-      logManager.writeCustomLog(`搜索引擎排名: ${JSON.stringify(result.finalReport.engineRanking.map(e => ({name: e.name, score: e.averageScore})))}`, 'INFO');
+      logManager.writeCustomLog(`搜索引擎排名: ${JSON.stringify(engineRanking.map(e => ({name: e.engine, score: e.combined_score})))}`, 'INFO');
+      printCassetteStats();
       
     } catch (error) {
       console.error('❌ 批量评估失败:', error.message);
       logManager.writeCustomLog(`批量评估失败: ${error.message}`, 'ERROR');
       process.exit(1);
     } finally {
+      interrupt.dispose();
       // 停止日志记录
       logManager.stopLogging();
     }
   });
 
+/**
+ * 评分模型与人工标注一致性分析命令
+ */
+program
+  .command('judge-agreement')
+  .description('比较评估结果中的逐条评分与人工标注的一致性（按评分制式、维度、提示词版本和评分模型分组）')
+  .argument('<results...>', '评估结果文件（batch 生成的 detailed_results_*.json 或 eval 生成的JSON报告）')
+  .requiredOption('--qrels <file>', '人工相关性标注文件（TREC qrels、CSV或JSONL）')
+  .option('--qrels-topics <file>', 'qrels中qid到查询文本的映射文件')
+  .option('--max-grade <grade>', '人工标注的最高分（默认取标注中的最高分）')
+  .option('--dimension <names>', '只分析这些维度（逗号分隔）')
+  .option('-o, --output <file>', '将分析结果保存为JSON文件')
+  .option('--json', '以JSON格式输出')
+  .action(async (resultFiles, options) => {
+    try {
+      const records = await new DataProcessor().importQrels(options.qrels, { topics: options.qrelsTopics });
+      const qrels = new Qrels(records, { max_grade: options.maxGrade !== undefined ? Number(options.maxGrade) : undefined });
+
+      const evaluations = [];
+      for (const file of resultFiles) {
+        let data;
+        try {
+          data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+          throw new Error(`读取评估结果文件失败: ${file}: ${error.message}`, { cause: error });
+        }
+        evaluations.push(...JudgeAgreement.extractEvaluations(data));
+      }
+
+      const analysis = new JudgeAgreement(qrels, {
+        dimensions: options.dimension ? options.dimension.split(',').map(name => name.trim()) : null
+      }).analyze(evaluations);
+
+      if (options.output) {
+        await fs.mkdir(path.dirname(path.resolve(options.output)), { recursive: true });
+        await fs.writeFile(options.output, JSON.stringify(analysis, null, 2), 'utf-8');
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(analysis, null, 2));
+        return;
+      }
+
+      printJudgeAgreement(analysis, qrels, evaluations.length);
+      if (options.output) {
+        console.log(`\n📁 分析结果已保存: ${options.output}`);
+      }
+
+    } catch (error) {
+      console.error('❌ 一致性分析失败:', error.message);
+      process.exit(1);
+    }
+  });
+
 /**
  * 创建示例文件命令
  */
@@ -294,6 +437,310 @@ program
     }
   });
 
+/**
+ * 根据命令行选项构建系统运行选项
+ * @param {Object} options - 命令行选项
+ * @returns {Object} 系统运行选项
+ */
+function buildSystemOptions(options) {
+  if (options.record && options.replay) {
+    throw new Error('--record 与 --replay 不能同时使用');
+  }
+
+  const cassette = {};
+  if (options.record) cassette.mode = 'record';
+  if (options.replay) cassette.mode = 'replay';
+  if (options.strict) cassette.strict = true;
+  if (options.cassetteDir) cassette.dir = options.cassetteDir;
+
+  const cache = {};
+  if (options.cache === false) cache.enabled = false;
+  if (options.refresh) cache.refresh = true;
+
+  const evaluation = {};
+  if (options.qrels) evaluation.qrels = { file: options.qrels };
+  if (options.qrelsTopics) evaluation.qrels = { ...evaluation.qrels, topics: options.qrelsTopics };
+  if (options.skipJudge) evaluation.skip_judge = true;
+
+  return { cassette, cache, evaluation };
+}
+
+/**
+ * 根据命令行选项构建统一搜索选项
+ * 引擎不支持的选项会在搜索时被忽略，并在结果和报告中列出
+ * @param {Object} options - 命令行选项
+ * @returns {Object} 搜索选项
+ */
+function buildSearchOptions(options) {
+  return normalizeSearchOptions({
+    maxResults: options.maxResults,
+    language: options.language,
+    region: options.region,
+    recency: options.recency,
+    includeSites: options.includeSites,
+    excludeSites: options.excludeSites,
+    safeSearch: options.safeSearch
+  });
+}
+
+/**
+ * 创建响应 Ctrl-C 的取消控制器
+ * 第一次中断时取消正在进行的请求并保存已完成的部分结果，再次中断时立即退出
+ * @returns {Object} { signal: 取消信号, dispose: 移除信号监听 }
+ */
+function createInterruptController() {
+  const controller = new AbortController();
+
+  const onInterrupt = () => {
+    if (controller.signal.aborted) {
+      console.log('\n⛔ 再次收到中断信号，立即退出');
+      process.exit(130);
+    }
+    console.log('\n⚠️  收到中断信号，正在停止并保存部分结果...（再次按 Ctrl-C 立即退出）');
+    logManager.writeCustomLog('收到中断信号，取消进行中的请求', 'WARN');
+    controller.abort();
+  };
+
+  process.on('SIGINT', onInterrupt);
+
+  return {
+    signal: controller.signal,
+    dispose: () => process.off('SIGINT', onInterrupt)
+  };
+}
+
+/**
+ * 打印录制/回放统计
+ */
+function printCassetteStats() {
+  if (!cassetteManager.isEnabled()) {
+    return;
+  }
+
+  const stats = cassetteManager.getStats();
+  console.log(`\n📼 录制/回放统计 (${stats.mode}): 录制 ${stats.recorded} 条，回放 ${stats.replayed} 条，未命中 ${stats.missed} 条`);
+}
+
+/**
+ * 搜索缓存管理命令
+ */
+program
+  .command('cache')
+  .description('管理搜索结果缓存')
+  .argument('<action>', '操作: stats（查看统计）| clear（清理缓存）')
+  .option('-c, --config <path>', '配置文件路径', './config.json')
+  .option('--engine <name>', '只清理指定搜索引擎的缓存')
+  .option('--expired', '只清理过期的缓存条目')
+  .action(async (action, options) => {
+    try {
+      const configManager = new ConfigManager(options.config);
+      const config = await configManager.loadConfig();
+      const cache = new SearchCache(config.cache);
+
+      if (action === 'stats') {
+        const stats = await cache.getStats();
+        console.log('💾 搜索缓存统计:');
+        console.log(`   状态: ${cache.enabled ? '已启用' : '未启用'}`);
+        console.log(`   目录: ${stats.dir}`);
+        console.log(`   有效期: ${(stats.ttl / 3600000).toFixed(2)} 小时`);
+        console.log(`   条目: ${stats.total_entries} 条（过期 ${stats.expired_entries} 条），共 ${(stats.total_bytes / 1024).toFixed(1)} KB`);
+        Object.entries(stats.engines).forEach(([engine, engineStats]) => {
+          console.log(`   - ${engine}: ${engineStats.entries} 条（过期 ${engineStats.expired} 条），${(engineStats.bytes / 1024).toFixed(1)} KB`);
+        });
+      } else if (action === 'clear') {
+        const removed = await cache.clear({ engine: options.engine, expiredOnly: options.expired });
+        console.log(`🧹 已清理 ${removed} 条搜索缓存`);
+      } else {
+        throw new Error(`未知的缓存操作: ${action}（可选: stats, clear）`);
+      }
+
+    } catch (error) {
+      console.error('❌ 缓存操作失败:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * 搜索引擎列表与健康检查命令
+ */
+program
+  .command('engines')
+  .description('列出已配置的搜索引擎及其能力、限制和最近健康状态')
+  .option('-c, --config <path>', '配置文件路径', './config.json')
+  .option('--probe', '对启用的引擎执行一次轻量搜索，检查延迟、结果数和错误类型')
+  .option('--engine <name>', '只检查指定的搜索引擎（可用逗号分隔多个）')
+  .option('--query <query>', '健康检查使用的查询', '测试查询')
+  .option('--json', '以JSON格式输出')
+  .action(async (options) => {
+    // JSON模式下过程日志写到stderr，保证stdout只有JSON
+    const log = console.log;
+    if (options.json) {
+      console.log = (...args) => console.error(...args);
+    }
+
+    try {
+      const configManager = new ConfigManager(options.config);
+      const config = await configManager.loadConfig();
+      const manager = new SearchEngineManager(config);
+      const engineFilter = options.engine ? options.engine.split(',').map(name => name.trim()) : null;
+
+      let probes = null;
+      if (options.probe) {
+        await manager.initializeEngines();
+        const interrupt = createInterruptController();
+        try {
+          probes = await manager.probeEngines({ query: options.query, engines: engineFilter, signal: interrupt.signal, persist: true });
+        } finally {
+          interrupt.dispose();
+        }
+      }
+
+      const engines = (await manager.describeEngines())
+        .filter(engine => !engineFilter || engineFilter.includes(engine.name));
+
+      if (options.json) {
+        log(JSON.stringify({ adapters: searchEngineRegistry.getTypes(), engines, probes }, null, 2));
+        return;
+      }
+
+      console.log(`🔌 已注册的适配器: ${searchEngineRegistry.getTypes().join(', ')}`);
+      console.log(`\n🔍 已配置的搜索引擎 (${engines.length}):`);
+      engines.forEach(engine => printEngineDescription(engine));
+
+      if (probes) {
+        console.log(`\n🩺 健康检查 (查询: ${options.query}):`);
+        if (probes.length === 0) {
+          console.log('   没有可检查的启用引擎');
+        } else {
+          console.log(formatTable(
+            ['引擎', '状态', '延迟(ms)', '首字节(ms)', '结果数', '尝试次数', '错误类型'],
+            probes.map(probe => [
+              probe.engine,
+              probe.status === 'ok' ? '✅ 正常' : '❌ 失败',
+              probe.latency_ms ?? '-',
+              probe.time_to_headers_ms ?? '-',
+              probe.result_count,
+              probe.attempts ?? '-',
+              probe.error_class || '-'
+            ])
+          ));
+          probes.filter(probe => probe.error).forEach(probe => {
+            console.log(`   ${probe.engine}: ${probe.error}`);
+          });
+        }
+      }
+
+    } catch (error) {
+      console.error('❌ 获取搜索引擎信息失败:', error.message);
+      process.exit(1);
+    } finally {
+      console.log = log;
+    }
+  });
+
+/**
+ * 打印单个搜索引擎的描述
+ * @param {Object} engine - SearchEngineManager.describeEngines 返回的引擎描述
+ */
+function printEngineDescription(engine) {
+  console.log(`\n   ${engine.enabled ? '🟢' : '⚪'} ${engine.name} (${engine.type})${engine.enabled ? '' : ' - 未启用'}`);
+  console.log(`      地址: ${engine.base_url || '-'}`);
+
+  if (engine.error) {
+    console.log(`      ⚠️  无法创建适配器: ${engine.error}`);
+  } else {
+    const limits = engine.limits;
+    const rate = limits.requests_per_second ? `${Number(limits.requests_per_second.toFixed(2))} 次/秒（突发 ${limits.burst}）` : '不限';
+    console.log(`      支持选项: ${engine.supported_options ? engine.supported_options.join(', ') || '-' : '插件未加载（启用后可查看）'}`);
+    console.log(`      限制: 结果数 ${limits.max_results}，超时 ${limits.timeout ? `${limits.timeout}ms` : '默认'}，最多尝试 ${limits.max_attempts} 次，速率 ${rate}，并发 ${limits.max_concurrency ?? '不限'}`);
+  }
+
+  const health = engine.health;
+  if (!health) {
+    console.log('      最近健康状态: 未检查');
+  } else if (health.status === 'ok') {
+    console.log(`      最近健康状态: ✅ 正常，${health.latency_ms}ms，${health.result_count} 条结果 (${health.checked_at})`);
+  } else {
+    console.log(`      最近健康状态: ❌ ${health.error_class}: ${health.error} (${health.checked_at})`);
+  }
+}
+
+/**
+ * 打印评分模型与人工标注的一致性分析结果
+ * @param {Object} analysis - JudgeAgreement.analyze 的返回值
+ * @param {Qrels} qrels - 人工标注
+ * @param {number} evaluationCount - 评估结果中的查询评估数量
+ */
+function printJudgeAgreement(analysis, qrels, evaluationCount) {
+  const systemNames = { binary: '二分制', five_point: '五分制' };
+  const format = value => (typeof value === 'number' ? value.toFixed(3) : '-');
+
+  console.log('🤝 评分模型与人工标注一致性');
+  console.log(`   人工标注: ${qrels.size}条（${qrels.judgments.size}个查询，分值0~${qrels.maxGrade}）`);
+  console.log(`   评估结果: ${evaluationCount}次查询评估，逐条评分${analysis.graded}次，其中${analysis.matched}次有人工标注（未标注${analysis.unmatched}次）`);
+  if (analysis.skipped_rounds > 0) {
+    console.log(`   ⚠️  跳过${analysis.skipped_rounds}轮没有逐条评分的评估（整体评分模式不能与人工标注逐条比较）`);
+  }
+
+  if (analysis.groups.length === 0) {
+    console.log('\n   没有可比较的评分：请使用 judging_mode: "per_result" 评估，并确认查询和URL与人工标注一致');
+    return;
+  }
+
+  console.log('');
+  console.log(formatTable(
+    ['评分制式', '维度', '提示词版本', '评分模型', '评分对', '条目', '一致率', 'κ', '加权κ', 'α', 'Spearman', 'Kendall τ'],
+    analysis.groups.map(group => [
+      systemNames[group.scoring_system] || group.scoring_system,
+      group.dimension,
+      group.prompt_version,
+      group.model,
+      group.metrics.count,
+      group.items,
+      format(group.metrics.exact_agreement),
+      format(group.metrics.cohen_kappa),
+      format(group.metrics.weighted_kappa),
+      format(group.metrics.krippendorff_alpha),
+      format(group.metrics.spearman),
+      format(group.metrics.kendall_tau)
+    ])
+  ));
+
+  analysis.groups.forEach(group => {
+    const { labels, matrix } = group.confusion_matrix;
+    console.log(`\n📋 ${systemNames[group.scoring_system] || group.scoring_system} / ${group.dimension} / ${group.prompt_version} / ${group.model} 混淆矩阵（行: 人工${group.human_grades_mapped ? '（已换算）' : ''}，列: 评分模型）`);
+    console.log(formatTable(
+      ['人工 \\ 模型', ...labels.map(String)],
+      matrix.map((row, index) => [labels[index], ...row])
+    ));
+  });
+
+  console.log('\n💡 κ为Cohen\'s kappa，加权κ使用二次权重，α为Krippendorff\'s alpha（序数尺度）；人工分值范围与评分制式不同时按比例换算后计算一致率、κ、α和混淆矩阵');
+}
+
+/**
+ * 将数据格式化为文本表格（按显示宽度对齐，中文字符计为两列）
+ * @param {Array} headers - 表头
+ * @param {Array} rows - 行数据
+ * @returns {string} 表格文本
+ */
+function formatTable(headers, rows) {
+  const displayWidth = text => Array.from(String(text))
+    .reduce((width, char) => width + (/[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6\u{1f300}-\u{1faff}\u2705\u274c]/u.test(char) ? 2 : 1), 0);
+  const widths = headers.map((header, index) =>
+    Math.max(displayWidth(header), ...rows.map(row => displayWidth(row[index]))));
+  const formatRow = row => '   ' + row
+    .map((cell, index) => String(cell) + ' '.repeat(widths[index] - displayWidth(cell)))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    formatRow(headers),
+    '   ' + widths.map(width => '-'.repeat(width)).join('  '),
+    ...rows.map(formatRow)
+  ].join('\n');
+}
+
 /**
  * 初始化项目
  * @param {boolean} force - 是否强制覆盖
@@ -43,8 +43,24 @@ export class ConfigManager {
       throw new Error('配置未加载');
     }
 
-    // 验证模型配置
-    if (!this.config.model || !this.config.model.model_key) {
+    // 验证模型配置（模拟评分模型无需API密钥）；配置了多个评分模型（judges）时使用 judges 代替 model
+    const judges = this.config.judges;
+    if (judges !== undefined) {
+      if (!Array.isArray(judges) || judges.length === 0) {
+        throw new Error('judges 应为非空的评分模型配置数组');
+      }
+      const names = new Set();
+      judges.forEach((judge, index) => {
+        const name = judge.name || judge.model_name || `judge${index + 1}`;
+        if (judge.provider !== 'mock' && !judge.model_key) {
+          throw new Error(`评分模型 ${name} 缺少API密钥配置`);
+        }
+        if (names.has(name)) {
+          throw new Error(`评分模型名称重复: ${name}（可用 name 区分同一模型的多个配置）`);
+        }
+        names.add(name);
+      });
+    } else if (!this.config.model || (this.config.model.provider !== 'mock' && !this.config.model.model_key)) {
       throw new Error('缺少模型API密钥配置');
     }
 
@@ -66,6 +82,18 @@ export class ConfigManager {
     if (Math.abs(totalWeight - 1.0) > 0.01) {
       throw new Error(`维度权重总和应为1.0，当前为: ${totalWeight}`);
     }
+
+    // 验证评分模式
+    const judgingMode = this.config.evaluation.judging_mode;
+    if (judgingMode !== undefined && !['list', 'per_result'].includes(judgingMode)) {
+      throw new Error(`未知的评分模式: ${judgingMode}（可选 list、per_result）`);
+    }
+
+    // 验证多评分模型的聚合方式
+    const aggregation = this.config.evaluation.ensemble?.aggregation;
+    if (aggregation !== undefined && !['mean', 'median', 'majority'].includes(aggregation)) {
+      throw new Error(`未知的评分聚合方式: ${aggregation}（可选 mean、median、majority）`);
+    }
   }
 
   /**
@@ -19,8 +19,9 @@ export class DataProcessor {
    * @returns {Promise<Array>} 查询列表
    */
   async importQueries(filePath) {
-    const fileExists = await fs.pathExists(filePath);
-    if (!fileExists) {
+    try {
+      await fs.access(filePath);
+    } catch {
       throw new Error(`文件不存在: ${filePath}`);
     }
 
@@ -45,7 +46,7 @@ export class DataProcessor {
    */
   async importFromJson(filePath) {
     try {
-      const data = await fs.readJson(filePath);
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
       
       if (Array.isArray(data)) {
         return data.map(item => typeof item === 'string' ? item : item.query || item.q || '');
@@ -105,6 +106,117 @@ export class DataProcessor {
     }
   }
 
+  /**
+   * 导入人工相关性标注（qrels）
+   * 支持的格式（按扩展名判断）：
+   * - .csv：包含 query、url、grade 列（也接受 qid/docno/label/relevance 等列名）
+   * - .jsonl / .json：每条记录为 { query, url, grade }，.json 为数组或包含 qrels 字段的对象
+   * - 其他（如 .qrels、.txt）：TREC格式，每行 `qid 0 url grade`，也接受省略第二列的三列格式
+   * qid 可以直接是查询文本，也可以通过 topics 文件映射为查询文本
+   * @param {string} filePath - 标注文件路径
+   * @param {Object} options - { topics: qid到查询文本的映射文件（.json 对象/数组，或每行 `qid<TAB>查询` 的文本文件） }
+   * @returns {Promise<Array>} 标注记录 [{ query, url, grade }]
+   */
+  async importQrels(filePath, options = {}) {
+    try {
+      await fs.access(filePath);
+    } catch {
+      throw new Error(`标注文件不存在: ${filePath}`);
+    }
+
+    const topics = options.topics ? await this.importTopics(options.topics) : {};
+    const ext = path.extname(filePath).toLowerCase();
+
+    let records;
+    try {
+      if (ext === '.csv') {
+        records = await this.readCsvRows(filePath);
+      } else if (ext === '.jsonl') {
+        const content = await fs.readFile(filePath, 'utf8');
+        records = content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+      } else if (ext === '.json') {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        records = Array.isArray(data) ? data : data.qrels;
+        if (!Array.isArray(records)) {
+          throw new Error('JSON格式不正确，应为标注数组或包含qrels字段的对象');
+        }
+      } else {
+        const content = await fs.readFile(filePath, 'utf8');
+        records = content
+          .split('\n')
+          .map(line => line.trim())
+          .filter(line => line && !line.startsWith('#'))
+          .map(line => {
+            const columns = line.split(/\s+/);
+            if (columns.length < 3) {
+              throw new Error(`TREC格式不正确: ${line}`);
+            }
+            return { qid: columns[0], url: columns[columns.length - 2], grade: columns[columns.length - 1] };
+          });
+      }
+    } catch (error) {
+      throw new Error(`读取标注文件失败: ${error.message}`, { cause: error });
+    }
+
+    return records
+      .map(record => {
+        const qid = String(record.query ?? record.q ?? record.qid ?? record.query_id ?? '').trim();
+        return {
+          query: topics[qid] ?? qid,
+          url: String(record.url ?? record.docno ?? record.doc ?? record.docid ?? record.doc_id ?? '').trim(),
+          grade: parseFloat(record.grade ?? record.label ?? record.relevance ?? record.rel ?? record.score)
+        };
+      })
+      .filter(record => record.query && record.url && Number.isFinite(record.grade));
+  }
+
+  /**
+   * 导入qid到查询文本的映射
+   * @param {string} filePath - 映射文件路径（.json 为 { qid: 查询 } 或 [{ id, query }]，其他为每行 `qid<TAB>查询`）
+   * @returns {Promise<Object>} { qid: 查询 }
+   */
+  async importTopics(filePath) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+
+      if (path.extname(filePath).toLowerCase() === '.json') {
+        const data = JSON.parse(content);
+        return Array.isArray(data)
+          ? Object.fromEntries(data.map(item => [String(item.id ?? item.qid), item.query]))
+          : data;
+      }
+
+      return Object.fromEntries(
+        content
+          .split('\n')
+          .filter(line => line.trim())
+          .map(line => {
+            const [qid, ...rest] = line.split('\t');
+            return [qid.trim(), rest.join('\t').trim()];
+          })
+      );
+    } catch (error) {
+      throw new Error(`读取查询映射文件失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 读取CSV文件的所有行
+   * @param {string} filePath - CSV文件路径
+   * @returns {Promise<Array>} 行对象数组
+   */
+  async readCsvRows(filePath) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+
+      createReadStream(filePath)
+        .pipe(csv())
+        .on('data', (row) => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+    });
+  }
+
   /**
    * 导出评估结果到JSON文件
    * @param {Array} results - 评估结果
@@ -128,23 +240,31 @@ export class DataProcessor {
    * @returns {Promise<void>}
    */
   async exportResultsToCsv(results, outputPath) {
+    await this.exportRowsToCsv(this.flattenResultsForCsv(results), outputPath);
+  }
+
+  /**
+   * 导出已扁平化的数据行到CSV文件
+   * 表头为所有行中出现过的列（按首次出现的顺序），缺失的列留空
+   * @param {Array} rows - 数据行
+   * @param {string} outputPath - 输出文件路径
+   * @returns {Promise<void>}
+   */
+  async exportRowsToCsv(rows, outputPath) {
     try {
       await fs.mkdir(path.dirname(outputPath), { recursive: true });
-      
-      // 准备CSV数据
-      const csvData = this.flattenResultsForCsv(results);
-      
-      if (csvData.length === 0) {
+
+      if (rows.length === 0) {
         throw new Error('没有可导出的数据');
       }
 
-      // 创建CSV写入器
+      const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
       const csvWriter = createCsvWriter.createObjectCsvWriter({
         path: outputPath,
-        header: Object.keys(csvData[0]).map(key => ({ id: key, title: key }))
+        header: columns.map(key => ({ id: key, title: key }))
       });
 
-      await csvWriter.writeRecords(csvData);
+      await csvWriter.writeRecords(rows);
       console.log(`结果已导出到: ${outputPath}`);
     } catch (error) {
       throw new Error(`导出CSV失败: ${error.message}`);
@@ -326,4 +446,28 @@ export class DataProcessor {
 
     console.log(`示例查询文件已创建: ${outputPath}`);
   }
+
+  /**
+   * 创建示例语料文件（JSONL），供 local_corpus 搜索引擎离线检索
+   * @param {string} outputPath - 输出文件路径
+   */
+  async createSampleCorpusFile(outputPath) {
+    const documents = [
+      { title: 'JavaScript异步编程：Promise与async/await', url: 'https://developer.mozilla.org/zh-CN/docs/Learn/JavaScript/Asynchronous', body: '异步编程让程序在等待网络请求或文件读写时继续执行其他任务。推荐使用Promise和async/await编写异步代码，用try/catch处理错误，用Promise.all并行执行相互独立的任务，避免回调地狱。', date: '2024-03-15' },
+      { title: 'Node.js事件循环详解', url: 'https://nodejs.org/zh-cn/learn/asynchronous-work/event-loop-timers-and-nexttick', body: 'Node.js通过事件循环实现非阻塞I/O。理解定时器、微任务和process.nextTick的执行顺序，是编写高性能异步JavaScript程序的基础。', date: '2023-11-02' },
+      { title: 'React性能优化：memo、useMemo与useCallback', url: 'https://react.dev/reference/react/memo', body: 'React组件重新渲染过多会影响性能。可以使用React.memo跳过不必要的渲染，用useMemo缓存计算结果，用useCallback缓存回调函数，并借助React DevTools Profiler定位性能瓶颈。', date: '2024-06-01' },
+      { title: '长列表虚拟化提升React渲染性能', url: 'https://web.dev/articles/virtualize-long-lists-react-window', body: '渲染成千上万条数据时，使用react-window等虚拟列表库只渲染可见区域的元素，可以显著减少DOM节点数量，提升滚动性能。', date: '2023-08-20' },
+      { title: '机器学习入门：从线性回归开始', url: 'https://scikit-learn.org/stable/tutorial/index.html', body: '机器学习入门可以从监督学习开始，先理解线性回归、逻辑回归和决策树等基础模型，再学习训练集与测试集划分、交叉验证和过拟合等概念。scikit-learn提供了丰富的入门教程。', date: '2024-01-10' },
+      { title: '吴恩达机器学习课程学习笔记', url: 'https://www.coursera.org/learn/machine-learning', body: '这门经典的机器学习课程覆盖了梯度下降、神经网络、支持向量机和无监督学习，适合作为机器学习入门教程。', date: '2022-09-05' },
+      { title: 'Python数据分析：pandas快速入门', url: 'https://pandas.pydata.org/docs/user_guide/10min.html', body: 'pandas是最常用的Python数据分析库，提供DataFrame数据结构，支持数据清洗、分组聚合、透视表和时间序列处理。配合NumPy和Matplotlib可以完成大部分数据分析工作。', date: '2024-04-22' },
+      { title: 'NumPy与Matplotlib数据分析实战', url: 'https://numpy.org/doc/stable/user/absolute_beginners.html', body: 'NumPy提供高效的多维数组运算，是Python科学计算和数据分析库的基础；Matplotlib用于绘制折线图、柱状图和散点图等可视化图表。', date: '2023-05-30' },
+      { title: 'Vue.js组件基础', url: 'https://cn.vuejs.org/guide/essentials/component-basics.html', body: 'Vue.js组件是可复用的Vue实例。组件开发指南：通过props向子组件传递数据，通过emit触发事件，使用插槽分发内容，并用组合式API组织组件逻辑。', date: '2024-02-18' },
+      { title: 'Vue 3组合式API最佳实践', url: 'https://cn.vuejs.org/guide/extras/composition-api-faq.html', body: '组合式API让Vue.js组件的逻辑复用更加灵活，可以把相关逻辑抽取为组合式函数，在多个组件之间共享。', date: '2023-10-12' }
+    ];
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    await fs.writeFile(outputPath, documents.map(doc => JSON.stringify(doc)).join('\n') + '\n');
+
+    console.log(`示例语料文件已创建: ${outputPath}`);
+  }
 }
\ No newline at end of file
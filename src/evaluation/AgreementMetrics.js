@@ -0,0 +1,225 @@
+/**
+ * 评分一致性指标 - 比较两组评分（如评分模型与人工标注）对同一批条目的评分
+ *
+ * 输入为评分对数组 [{ a, b }]，a、b 为同一条目的两个评分（数字）；
+ * 分类指标（kappa、alpha、混淆矩阵）把每个分值看作一个类别，categories 为按大小排列的全部分值
+ */
+
+/**
+ * 计算全部一致性指标
+ * @param {Array} pairs - 评分对 [{ a, b }]
+ * @param {Array} categories - 分值列表（按从小到大排列）
+ * @param {Array} rankPairs - 用于计算相关系数的评分对，默认为 pairs（如分类指标使用换算后的分数、相关系数使用原始分数）
+ * @returns {Object} { count, exact_agreement, cohen_kappa, weighted_kappa, krippendorff_alpha, spearman, kendall_tau }，无法计算的指标为null
+ */
+export function computeAgreement(pairs, categories, rankPairs = pairs) {
+  return {
+    count: pairs.length,
+    exact_agreement: pairs.length > 0 ? pairs.filter(pair => pair.a === pair.b).length / pairs.length : null,
+    cohen_kappa: cohenKappa(pairs, categories),
+    weighted_kappa: cohenKappa(pairs, categories, 'quadratic'),
+    krippendorff_alpha: krippendorffAlpha(pairs, categories, 'ordinal'),
+    spearman: spearmanCorrelation(rankPairs),
+    kendall_tau: kendallTau(rankPairs)
+  };
+}
+
+/**
+ * 生成混淆矩阵
+ * @param {Array} pairs - 评分对 [{ a, b }]
+ * @param {Array} categories - 分值列表
+ * @returns {Array} 二维数组，matrix[i][j] 为 a 取 categories[i]、b 取 categories[j] 的数量
+ */
+export function confusionMatrix(pairs, categories) {
+  const matrix = categories.map(() => categories.map(() => 0));
+  pairs.forEach(({ a, b }) => {
+    const row = categories.indexOf(a);
+    const column = categories.indexOf(b);
+    if (row >= 0 && column >= 0) {
+      matrix[row][column]++;
+    }
+  });
+  return matrix;
+}
+
+/**
+ * Cohen's kappa，weights 为 quadratic 或 linear 时为加权kappa（不一致程度按分值距离计算）
+ * @param {Array} pairs - 评分对 [{ a, b }]
+ * @param {Array} categories - 分值列表
+ * @param {string} weights - 权重：none（默认，未加权）、linear、quadratic
+ * @returns {number|null} kappa，期望不一致为0（如所有评分都相同）时为null
+ */
+export function cohenKappa(pairs, categories, weights = 'none') {
+  const matrix = confusionMatrix(pairs, categories);
+  const total = matrix.flat().reduce((sum, count) => sum + count, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  const size = categories.length;
+  const rowTotals = matrix.map(row => row.reduce((sum, count) => sum + count, 0));
+  const columnTotals = categories.map((_, column) => matrix.reduce((sum, row) => sum + row[column], 0));
+  const weight = (i, j) => {
+    if (weights === 'none' || size < 2) {
+      return i === j ? 0 : 1;
+    }
+    const distance = Math.abs(i - j) / (size - 1);
+    return weights === 'quadratic' ? distance * distance : distance;
+  };
+
+  let observed = 0;
+  let expected = 0;
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      observed += weight(i, j) * matrix[i][j] / total;
+      expected += weight(i, j) * rowTotals[i] * columnTotals[j] / (total * total);
+    }
+  }
+
+  return expected > 0 ? 1 - observed / expected : null;
+}
+
+/**
+ * Krippendorff's alpha（两名评分者、无缺失值）
+ * @param {Array} pairs - 评分对 [{ a, b }]
+ * @param {Array} categories - 分值列表
+ * @param {string} level - 测量尺度：nominal、ordinal（默认）、interval
+ * @returns {number|null} alpha，期望不一致为0时为null
+ */
+export function krippendorffAlpha(pairs, categories, level = 'ordinal') {
+  // 符合矩阵：每个条目的两个评分各计一次 (a, b) 和 (b, a)
+  const size = categories.length;
+  const coincidences = categories.map(() => categories.map(() => 0));
+  pairs.forEach(({ a, b }) => {
+    const i = categories.indexOf(a);
+    const j = categories.indexOf(b);
+    if (i >= 0 && j >= 0) {
+      coincidences[i][j]++;
+      coincidences[j][i]++;
+    }
+  });
+
+  const marginals = coincidences.map(row => row.reduce((sum, count) => sum + count, 0));
+  const total = marginals.reduce((sum, count) => sum + count, 0);
+  if (total < 2) {
+    return null;
+  }
+
+  const distance = (i, j) => {
+    if (level === 'nominal') {
+      return i === j ? 0 : 1;
+    }
+    if (level === 'interval') {
+      return (categories[i] - categories[j]) ** 2;
+    }
+    const [low, high] = i < j ? [i, j] : [j, i];
+    let between = 0;
+    for (let g = low; g <= high; g++) {
+      between += marginals[g];
+    }
+    return (between - (marginals[low] + marginals[high]) / 2) ** 2;
+  };
+
+  let observed = 0;
+  let expected = 0;
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      observed += coincidences[i][j] * distance(i, j);
+      expected += marginals[i] * marginals[j] * distance(i, j);
+    }
+  }
+
+  return expected > 0 ? 1 - (total - 1) * observed / expected : null;
+}
+
+/**
+ * Spearman等级相关系数（并列值取平均名次）
+ * @param {Array} pairs - 评分对 [{ a, b }]
+ * @returns {number|null} 相关系数，少于2对或某一方评分全部相同时为null
+ */
+export function spearmanCorrelation(pairs) {
+  if (pairs.length < 2) {
+    return null;
+  }
+  return pearsonCorrelation(averageRanks(pairs.map(pair => pair.a)), averageRanks(pairs.map(pair => pair.b)));
+}
+
+/**
+ * Kendall tau-b（对并列值校正）
+ * @param {Array} pairs - 评分对 [{ a, b }]
+ * @returns {number|null} 相关系数，少于2对或某一方评分全部相同时为null
+ */
+export function kendallTau(pairs) {
+  let concordant = 0;
+  let discordant = 0;
+  let tiesA = 0;
+  let tiesB = 0;
+
+  for (let i = 0; i < pairs.length; i++) {
+    for (let j = i + 1; j < pairs.length; j++) {
+      const signA = Math.sign(pairs[i].a - pairs[j].a);
+      const signB = Math.sign(pairs[i].b - pairs[j].b);
+      if (signA === 0 && signB === 0) {
+        continue;
+      }
+      if (signA === 0) {
+        tiesA++;
+      } else if (signB === 0) {
+        tiesB++;
+      } else if (signA === signB) {
+        concordant++;
+      } else {
+        discordant++;
+      }
+    }
+  }
+
+  const denominator = Math.sqrt((concordant + discordant + tiesA) * (concordant + discordant + tiesB));
+  return denominator > 0 ? (concordant - discordant) / denominator : null;
+}
+
+/**
+ * Pearson相关系数
+ * @param {Array} x - 数值数组
+ * @param {Array} y - 与 x 等长的数值数组
+ * @returns {number|null} 相关系数，某一方方差为0时为null
+ */
+function pearsonCorrelation(x, y) {
+  const meanX = x.reduce((sum, value) => sum + value, 0) / x.length;
+  const meanY = y.reduce((sum, value) => sum + value, 0) / y.length;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  x.forEach((value, index) => {
+    covariance += (value - meanX) * (y[index] - meanY);
+    varianceX += (value - meanX) ** 2;
+    varianceY += (y[index] - meanY) ** 2;
+  });
+
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+/**
+ * 计算名次（从1开始，并列值取平均名次）
+ * @param {Array} values - 数值数组
+ * @returns {Array} 与 values 一一对应的名次
+ */
+function averageRanks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((x, y) => x.value - y.value);
+  const ranks = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) {
+      end++;
+    }
+    const rank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) {
+      ranks[order[k].index] = rank;
+    }
+    start = end + 1;
+  }
+
+  return ranks;
+}
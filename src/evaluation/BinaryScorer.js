@@ -5,13 +5,15 @@ import { Scorer } from './Scorer.js';
  * 实现0-2分的评分系统
  */
 export class BinaryScorer extends Scorer {
-  constructor(modelConfig, dimensions, prompts) {
+  constructor(modelConfig, dimensions, prompts, rateLimiter) {
     const scoringSystem = {
+      name: 'binary',
       scale: [0, 1, 2],
-      description: '二分制评分（0-2分）'
+      description: '二分制评分（0-2分）',
+      gradeCriteria: ['0分：不符合要求', '1分：部分符合要求', '2分：完全符合要求']
     };
     
-    super(modelConfig, dimensions, scoringSystem);
+    super(modelConfig, dimensions, scoringSystem, rateLimiter);
     this.prompts = prompts;
   }
 
@@ -20,13 +22,14 @@ export class BinaryScorer extends Scorer {
    * @param {Object} searchResult - 搜索结果
    * @param {string} query - 原始查询
    * @param {string} dimension - 评分维度
-   * @returns {Promise<Object>} 评分结果
+   * @param {Object} options - 评分选项 { signal: 取消信号 }
+   * @returns {Promise<Object>} 评分结果，无法从回复中解析出分数时 error 为true（score 为保底分数）
    */
-  async scoreResult(searchResult, query, dimension) {
+  async scoreResult(searchResult, query, dimension, options = {}) {
     const prompt = this.buildPrompt(searchResult, query, dimension);
     
     try {
-      const aiResponse = await this.callAIModel(prompt);
+      const aiResponse = await this.callAIModel(prompt, { signal: options.signal });
       const content = aiResponse.choices?.[0]?.message?.content || '';
       
       const parsedResult = this.parseAIResponse(content);
@@ -41,11 +44,12 @@ export class BinaryScorer extends Scorer {
         reasoning: parsedResult.reasoning || content,
         dimension,
         scoringSystem: 'binary',
+        ...(parsedResult.error || parsedResult.score === undefined ? { error: true } : {}),
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      throw new Error(`二分制评分失败: ${error.message}`);
+      throw new Error(`二分制评分失败: ${error.message}`, { cause: error });
     }
   }
 
@@ -92,13 +96,14 @@ ${customPrompt ? `特殊评分要求：${customPrompt}` : ''}
    * @param {Array} searchResults - 搜索结果数组
    * @param {string} query - 搜索查询
    * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { signal: 取消信号 }
    * @returns {Promise<Object>} 该维度的整体评分结果
    */
-  async batchScoreDimension(searchResults, query, dimension) {
+  async batchScoreDimension(searchResults, query, dimension, options = {}) {
     const prompt = this.buildBatchPrompt(searchResults, query, dimension);
     
     try {
-      const aiResponse = await this.callAIModel(prompt);
+      const aiResponse = await this.callAIModel(prompt, { signal: options.signal });
       const content = aiResponse.choices?.[0]?.message?.content || '';
       
       const parsedResult = this.parseOverallAIResponse(content);
@@ -116,7 +121,7 @@ ${customPrompt ? `特殊评分要求：${customPrompt}` : ''}
       };
 
     } catch (error) {
-      throw new Error(`二分制批量评分失败: ${error.message}`);
+      throw new Error(`二分制批量评分失败: ${error.message}`, { cause: error });
     }
   }
 
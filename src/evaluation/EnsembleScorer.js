@@ -0,0 +1,275 @@
+import { Scorer } from './Scorer.js';
+import { isAbortError } from '../utils/HttpClient.js';
+
+/**
+ * 多评分模型集成评分器
+ * 同一评分制式下的多个评分器（每个评分模型一个）并行为每个维度评分，按 aggregation 聚合：
+ * - mean：平均分
+ * - median（默认）：中位数
+ * - majority：多数投票，票数相同时取最接近中位数的分数（仍相同时取较低的分数）
+ *
+ * 评分模型之间的最大分差超过 disagreement_threshold 时标记为有分歧（contested），
+ * 逐条评分时按 结果 × 维度 标记，整体评分时按维度标记；某个评分模型失败时只聚合其余模型的评分
+ */
+export class EnsembleScorer extends Scorer {
+  /**
+   * @param {Array} judges - [{ name: 评分模型名称, scorer: 该模型的评分器 }]
+   * @param {Object} options - { aggregation: 聚合方式, disagreement_threshold: 分歧阈值（分差，默认1） }
+   */
+  constructor(judges, options = {}) {
+    const first = judges[0].scorer;
+    super(null, first.dimensions, first.scoringSystem);
+    this.judges = judges;
+    this.prompts = first.prompts;
+    this.aggregation = options.aggregation || 'median';
+    this.disagreementThreshold = options.disagreement_threshold ?? 1;
+  }
+
+  /**
+   * 集成评分的模型标识，如 median(glm,gpt)
+   * @returns {string} 模型标识
+   */
+  get modelLabel() {
+    return `${this.aggregation}(${this.judges.map(judge => judge.name).join(',')})`;
+  }
+
+  /**
+   * 每次评分请求实际调用模型的次数
+   * @returns {number} 评分模型数量
+   */
+  getJudgeCount() {
+    return this.judges.length;
+  }
+
+  /**
+   * 获取维度的提示词版本，各评分模型使用相同的提示词，取第一个评分器的版本
+   * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { gradingBatchSize }
+   * @returns {string} 8位十六进制版本号
+   */
+  getPromptVersion(dimension, options = {}) {
+    return this.judges[0].scorer.getPromptVersion(dimension, options);
+  }
+
+  /**
+   * 批量评分搜索结果，在基类结果上附加各评分模型的加权分和有分歧的条目
+   * @param {Array} searchResults - 搜索结果数组
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 评分选项，同 Scorer.batchScore
+   * @returns {Promise<Object>} 评分结果，另含 judgeScores（各评分模型的加权分）和 contested（有分歧的条目）
+   */
+  async batchScore(searchResults, query, options = {}) {
+    const scored = await super.batchScore(searchResults, query, options);
+
+    scored.judgeScores = Object.fromEntries(this.judges.map(judge => {
+      const scores = Object.fromEntries(Object.entries(scored.overallScores)
+        .filter(([_, dimensionScore]) => typeof dimensionScore.judgeScores?.[judge.name] === 'number')
+        .map(([dimension, dimensionScore]) => [dimension, { score: dimensionScore.judgeScores[judge.name] }]));
+      return [judge.name, Object.keys(scores).length > 0 ? this.calculateWeightedScore(scores) : null];
+    }));
+    scored.contested = this.collectContested(scored);
+
+    if (scored.contested.length > 0) {
+      console.log(`\n⚖️  评分模型分歧超过${this.disagreementThreshold}分的条目 (${scored.contested.length}项):`);
+      scored.contested.forEach(item => {
+        const grades = Object.entries(item.grades).map(([name, grade]) => `${name} ${grade}`).join('、');
+        console.log(`   ${item.dimension} ${item.url ? `#${item.rank ?? '-'} ${item.title || item.url}` : '整体评分'}: ${grades}`);
+      });
+    }
+
+    return scored;
+  }
+
+  /**
+   * 由所有评分模型对单个维度进行整体评分并聚合
+   * @param {Array} searchResults - 搜索结果数组
+   * @param {string} query - 搜索查询
+   * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { signal }
+   * @returns {Promise<Object>} 该维度的聚合评分，judgeScores 为各评分模型的分数
+   */
+  async batchScoreDimension(searchResults, query, dimension, options = {}) {
+    const outcomes = await this.runJudges(judge => judge.scorer.batchScoreDimension(searchResults, query, dimension, options));
+    const judgeScores = Object.fromEntries(outcomes
+      .filter(outcome => !outcome.error)
+      .map(outcome => [outcome.name, outcome.value.score]));
+
+    return {
+      ...this.aggregate(judgeScores),
+      reasoning: this.describeOutcomes(outcomes, outcome => `${outcome.value.score}分：${outcome.value.reasoning}`),
+      dimension,
+      scoringSystem: this.scoringSystem.name,
+      model: this.modelLabel,
+      timestamp: new Date().toISOString(),
+      resultCount: searchResults.length
+    };
+  }
+
+  /**
+   * 由所有评分模型对单个维度逐条评分并按结果聚合
+   * @param {Array} searchResults - 搜索结果数组
+   * @param {string} query - 搜索查询
+   * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { signal, gradingBatchSize }
+   * @returns {Promise<Object>} 该维度的评分结果，grades 中每条结果另含 judges（各评分模型的分数）、spread 和 contested
+   */
+  async gradeDimension(searchResults, query, dimension, options = {}) {
+    const outcomes = await this.runJudges(judge => judge.scorer.gradeDimension(searchResults, query, dimension, options));
+    const succeeded = outcomes.filter(outcome => !outcome.error);
+
+    const grades = searchResults.map((_, index) => {
+      const judgeGrades = Object.fromEntries(succeeded
+        .filter(outcome => !outcome.value.grades[index]?.error && typeof outcome.value.grades[index]?.grade === 'number')
+        .map(outcome => [outcome.name, outcome.value.grades[index].grade]));
+      const aggregated = this.aggregate(judgeGrades);
+
+      return {
+        grade: aggregated.error ? null : aggregated.score,
+        reasoning: this.describeOutcomes(outcomes, outcome => {
+          const item = outcome.value.grades[index];
+          return !item || item.error ? '评分失败' : `${item.grade}分：${item.reasoning}`;
+        }),
+        judges: aggregated.judgeScores,
+        spread: aggregated.spread,
+        contested: aggregated.contested,
+        ...(aggregated.error ? { error: true } : {})
+      };
+    });
+
+    const validGrades = grades.filter(item => !item.error).map(item => item.grade);
+
+    return {
+      score: validGrades.length > 0 ? validGrades.reduce((sum, grade) => sum + grade, 0) / validGrades.length : 0,
+      reasoning: `${this.judges.length}个评分模型逐条评分（${this.describeAggregation()}）：${validGrades.length}/${searchResults.length}条结果评分成功，整体分数为平均分`,
+      dimension,
+      scoringSystem: this.scoringSystem.name,
+      judgingMode: 'per_result',
+      promptVersion: this.getPromptVersion(dimension, options),
+      model: this.modelLabel,
+      judgeScores: Object.fromEntries(succeeded.map(outcome => [outcome.name, outcome.value.score])),
+      grades,
+      timestamp: new Date().toISOString(),
+      resultCount: searchResults.length
+    };
+  }
+
+  /**
+   * 并行调用所有评分模型（各模型有独立的速率限制器），单个模型失败不影响其余模型；
+   * 全部失败时抛出第一个错误，取消时抛出取消错误
+   * @param {Function} task - (judge) => Promise
+   * @returns {Promise<Array>} 与 judges 顺序一致的 [{ name, value } 或 { name, error }]
+   */
+  async runJudges(task) {
+    const settled = await Promise.allSettled(this.judges.map(judge => task(judge)));
+
+    const aborted = settled.find(item => item.status === 'rejected' && isAbortError(item.reason));
+    if (aborted) {
+      throw aborted.reason;
+    }
+
+    const outcomes = settled.map((item, index) => {
+      const name = this.judges[index].name;
+      if (item.status === 'fulfilled') {
+        return { name, value: item.value };
+      }
+      console.error(`   ❌ 评分模型 ${name} 评分失败:`, item.reason.message);
+      return { name, error: item.reason };
+    });
+
+    if (outcomes.every(outcome => outcome.error)) {
+      throw new Error(`所有评分模型均评分失败: ${outcomes[0].error.message}`, { cause: outcomes[0].error });
+    }
+    return outcomes;
+  }
+
+  /**
+   * 聚合各评分模型的分数
+   * @param {Object} judgeScores - { 评分模型名称: 分数 }
+   * @returns {Object} { score, judgeScores, spread: 最大分差, contested: 是否有分歧, error? }
+   */
+  aggregate(judgeScores) {
+    const values = Object.values(judgeScores);
+    if (values.length === 0) {
+      return { score: 0, judgeScores, spread: null, contested: false, error: true };
+    }
+
+    const spread = Math.max(...values) - Math.min(...values);
+    return {
+      score: aggregateValues(values, this.aggregation),
+      judgeScores,
+      spread,
+      contested: spread > this.disagreementThreshold
+    };
+  }
+
+  /**
+   * 收集评分结果中有分歧的条目
+   * @param {Object} scored - 基类 batchScore 的评分结果
+   * @returns {Array} [{ dimension, rank, url, title, grades: { 评分模型名称: 分数 }, spread }]，整体评分时 url 为null
+   */
+  collectContested(scored) {
+    const contested = [];
+
+    Object.entries(scored.overallScores).forEach(([dimension, dimensionScore]) => {
+      if (dimensionScore.judgingMode !== 'per_result') {
+        if (dimensionScore.contested) {
+          contested.push({ dimension, rank: null, url: null, title: null, grades: dimensionScore.judgeScores, spread: dimensionScore.spread });
+        }
+        return;
+      }
+
+      scored.results.forEach(result => {
+        const item = result.grades?.[dimension];
+        if (item?.contested) {
+          contested.push({ dimension, rank: result.rank ?? null, url: result.url, title: result.title, grades: item.judges, spread: item.spread });
+        }
+      });
+    });
+
+    return contested;
+  }
+
+  /**
+   * 拼接各评分模型的评分理由
+   * @param {Array} outcomes - runJudges 的返回值
+   * @param {Function} describe - (outcome) => 成功时的说明
+   * @returns {string} 评分理由
+   */
+  describeOutcomes(outcomes, describe) {
+    return outcomes
+      .map(outcome => `[${outcome.name}] ${outcome.error ? `评分失败: ${outcome.error.message}` : describe(outcome)}`)
+      .join('\n');
+  }
+
+  /**
+   * 聚合方式的中文说明
+   * @returns {string} 说明
+   */
+  describeAggregation() {
+    return { mean: '平均分', median: '中位数', majority: '多数投票' }[this.aggregation] || this.aggregation;
+  }
+}
+
+/**
+ * 按聚合方式计算一组分数的聚合值
+ * @param {Array} values - 分数
+ * @param {string} method - mean、median 或 majority
+ * @returns {number} 聚合值
+ */
+export function aggregateValues(values, method = 'median') {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  if (method === 'mean') {
+    return sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  }
+  if (method === 'majority') {
+    const counts = new Map();
+    sorted.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    const maxCount = Math.max(...counts.values());
+    const candidates = [...counts.keys()].filter(value => counts.get(value) === maxCount);
+    return candidates.reduce((best, value) => (Math.abs(value - median) < Math.abs(best - median) ? value : best));
+  }
+  return median;
+}
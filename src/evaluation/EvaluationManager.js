@@ -1,47 +1,129 @@
 import { BinaryScorer } from './BinaryScorer.js';
 import { FivePointScorer } from './FivePointScorer.js';
+import { EnsembleScorer } from './EnsembleScorer.js';
+import { isAbortError } from '../utils/HttpClient.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { averageMetrics, computeRankingMetrics, formatMetricSeries, DEFAULT_CUTOFFS } from './RankingMetrics.js';
+import { Qrels } from './Qrels.js';
+import { DataProcessor } from '../data/DataProcessor.js';
+import { normalizeUrl } from '../utils/UrlNormalizer.js';
 
 /**
  * 评估管理器
  * 统一管理评分流程和结果汇总
  */
 export class EvaluationManager {
-  constructor(config, prompts) {
+  /**
+   * @param {Object} config - 配置
+   * @param {Object} prompts - 提示词
+   * @param {Object} options - { qrels: 人工标注（Qrels实例）, skipJudge: 是否跳过评分模型，只按人工标注评估 }
+   */
+  constructor(config, prompts, options = {}) {
     this.config = config;
-    this.modelConfig = config.model;
+    // 配置了多个评分模型（judges）时，每次评估由所有模型评分并按 evaluation.ensemble 聚合
+    this.judgeConfigs = config.judges?.length > 0 ? config.judges : [config.model];
+    this.ensembleConfig = { aggregation: 'median', disagreement_threshold: 1, ...(config.evaluation.ensemble || {}) };
     this.dimensions = config.evaluation.dimensions;
     this.prompts = prompts;
     this.repeatTimes = config.evaluation.repeat_times || 3;
+    // 评分模式：list 为整体评分，per_result 为逐条评分（每次调用评分 grading_batch_size 条结果，默认全部）
+    this.judgingMode = config.evaluation.judging_mode || 'list';
+    this.gradingBatchSize = config.evaluation.grading_batch_size || null;
+    // 排序质量指标：基于逐条评分中 dimension 维度的分数计算（weighted 表示使用加权分数）
+    this.metricsConfig = {
+      cutoffs: DEFAULT_CUTOFFS,
+      dimension: this.dimensions.some(d => d.name === '相关性') ? '相关性' : 'weighted',
+      relevant_grade: {},
+      ...(config.evaluation.metrics || {})
+    };
+    this.qrels = options.qrels || null;
+    this.skipJudge = !!options.skipJudge;
     
     this.initializeScorers();
   }
 
   /**
    * 异步创建EvaluationManager实例
+   * 配置了人工标注文件（evaluation.qrels.file）时同时加载标注
    * @param {Object} configManager - 配置管理器实例
+   * @param {Object} options - 运行选项 { qrels: 覆盖 evaluation.qrels 的标注配置, skip_judge: 覆盖 evaluation.skip_judge }
    * @returns {Promise<EvaluationManager>} EvaluationManager实例
    */
-  static async create(configManager) {
+  static async create(configManager, options = {}) {
     const config = configManager.config;
     const prompts = await configManager.getPrompts();
-    return new EvaluationManager(config, prompts);
+
+    const qrelsConfig = { ...(config.evaluation.qrels || {}), ...(options.qrels || {}) };
+    const skipJudge = options.skip_judge ?? config.evaluation.skip_judge ?? false;
+    let qrels = null;
+
+    if (qrelsConfig.file) {
+      const records = await new DataProcessor().importQrels(qrelsConfig.file, { topics: qrelsConfig.topics });
+      qrels = new Qrels(records, { ...qrelsConfig, cutoffs: config.evaluation.metrics?.cutoffs });
+      console.log(`✅ 已加载人工标注: ${qrels.size}条（${qrels.judgments.size}个查询）`);
+    } else if (skipJudge) {
+      throw new Error('跳过评分模型时必须提供人工标注文件');
+    }
+
+    return new EvaluationManager(config, prompts, { qrels, skipJudge });
   }
 
   /**
    * 初始化评分器
+   * 同一评分模型的两个评分器共享该模型的速率限制器；未配置 max_concurrency 时同一时间只发出一个评分请求。
+   * 有多个评分模型时，每个评分制式使用集成评分器，依次调用各模型的评分器并聚合
    */
   initializeScorers() {
-    this.scorers = {
+    this.judges = this.judgeConfigs.map((modelConfig, index) => ({
+      name: modelConfig.name || modelConfig.model_name || `judge${index + 1}`,
+      modelConfig,
+      rateLimiter: new RateLimiter({ max_concurrency: 1, ...(modelConfig.rate_limit || {}) })
+    }));
+
+    const createScorers = judge => ({
       binary: new BinaryScorer(
-        this.modelConfig,
+        judge.modelConfig,
         this.dimensions,
-        this.prompts.binary
+        this.prompts.binary,
+        judge.rateLimiter
       ),
       five_point: new FivePointScorer(
-        this.modelConfig,
+        judge.modelConfig,
         this.dimensions,
-        this.prompts.five_point
+        this.prompts.five_point,
+        judge.rateLimiter
+      )
+    });
+
+    if (this.judges.length === 1) {
+      this.scorers = createScorers(this.judges[0]);
+      return;
+    }
+
+    const judgeScorers = this.judges.map(judge => ({ name: judge.name, scorers: createScorers(judge) }));
+    const threshold = this.ensembleConfig.disagreement_threshold;
+    this.scorers = Object.fromEntries(['binary', 'five_point'].map(scoringType => [
+      scoringType,
+      new EnsembleScorer(
+        judgeScorers.map(judge => ({ name: judge.name, scorer: judge.scorers[scoringType] })),
+        {
+          aggregation: this.ensembleConfig.aggregation,
+          disagreement_threshold: typeof threshold === 'object' ? threshold[scoringType] : threshold
+        }
       )
+    ]));
+  }
+
+  /**
+   * 描述评分模型配置，用于报告
+   * @returns {Object} { names: 评分模型名称, aggregation: 聚合方式（单个模型时为null）, disagreement_threshold: 分歧阈值（单个模型时为null） }
+   */
+  describeJudges() {
+    const ensemble = this.judges.length > 1;
+    return {
+      names: this.judges.map(judge => judge.name),
+      aggregation: ensemble ? this.ensembleConfig.aggregation : null,
+      disagreement_threshold: ensemble ? this.ensembleConfig.disagreement_threshold : null
     };
   }
 
@@ -49,9 +131,10 @@ export class EvaluationManager {
    * 评估单个查询的所有搜索结果
    * @param {string} query - 搜索查询
    * @param {Array} searchResults - 所有搜索引擎的结果
+   * @param {Object} options - 评估选项 { signal: 取消信号，取消后返回已完成部分的结果并标记 aborted }
    * @returns {Promise<Object>} 评估结果
    */
-  async evaluateQuery(query, searchResults) {
+  async evaluateQuery(query, searchResults, options = {}) {
     console.log(`开始评估查询: ${query}`);
     
     const evaluationResults = {
@@ -61,32 +144,25 @@ export class EvaluationManager {
       summary: {}
     };
 
-    // 对每个搜索引擎的结果进行评估
-    for (const engineResult of searchResults) {
-      if (engineResult.error) {
-        evaluationResults.engines[engineResult.engine] = {
-          error: engineResult.error,
-          scores: null
-        };
-        continue;
-      }
+    // 各搜索引擎的结果并行评估，实际并发由评分模型的速率限制器控制
+    const engineEvaluations = await Promise.all(
+      searchResults.map(engineResult => this.evaluateEngineEntry(query, engineResult, options))
+    );
+    searchResults.forEach((engineResult, index) => {
+      evaluationResults.engines[engineResult.engine] = engineEvaluations[index];
+    });
 
-      console.log(`评估 ${engineResult.engine} 的搜索结果`);
-      
-      try {
-        const engineEvaluation = await this.evaluateEngineResults(
-          query,
-          engineResult
-        );
-        
-        evaluationResults.engines[engineResult.engine] = engineEvaluation;
-      } catch (error) {
-        console.error(`评估 ${engineResult.engine} 失败:`, error.message);
-        evaluationResults.engines[engineResult.engine] = {
-          error: error.message,
-          scores: null
-        };
-      }
+    // 逐条评分时计算各引擎的排序质量指标
+    this.calculateRankingMetrics(evaluationResults.engines);
+
+    // 加载了人工标注时按标注计算各引擎的排序质量指标
+    if (this.qrels) {
+      this.calculateQrelsMetrics(query, searchResults, evaluationResults.engines);
+    }
+
+    if (options.signal?.aborted) {
+      evaluationResults.aborted = true;
+      console.log(`⚠️  查询 "${query}" 的评估已取消，保留已完成的部分结果`);
     }
 
     // 生成汇总统计
@@ -98,13 +174,51 @@ export class EvaluationManager {
     return evaluationResults;
   }
 
+  /**
+   * 评估单个搜索引擎条目，搜索失败、已取消或评估失败时返回错误条目
+   * @param {string} query - 搜索查询
+   * @param {Object} engineResult - 搜索引擎结果
+   * @param {Object} options - 评估选项 { signal: 取消信号 }
+   * @returns {Promise<Object>} 评估结果
+   */
+  async evaluateEngineEntry(query, engineResult, options = {}) {
+    if (options.signal?.aborted) {
+      return {
+        error: '操作已取消',
+        scores: null,
+        aborted: true
+      };
+    }
+
+    if (engineResult.error) {
+      return {
+        error: engineResult.error,
+        scores: null,
+        attempts: engineResult.attempts ?? null
+      };
+    }
+
+    console.log(`评估 ${engineResult.engine} 的搜索结果`);
+
+    try {
+      return await this.evaluateEngineResults(query, engineResult, options);
+    } catch (error) {
+      console.error(`评估 ${engineResult.engine} 失败:`, error.message);
+      return {
+        error: error.message,
+        scores: null
+      };
+    }
+  }
+
   /**
    * 评估单个搜索引擎的结果（支持重复评估）
    * @param {string} query - 搜索查询
    * @param {Object} engineResult - 搜索引擎结果
+   * @param {Object} options - 评估选项 { signal: 取消信号 }
    * @returns {Promise<Object>} 评估结果
    */
-  async evaluateEngineResults(query, engineResult) {
+  async evaluateEngineResults(query, engineResult, options = {}) {
     const evaluation = {
       engine: engineResult.engine,
       totalResults: engineResult.results.length,
@@ -113,15 +227,29 @@ export class EvaluationManager {
         five_point: []
       },
       averageScores: {},
+      cache: engineResult.cache || null,
+      attempts: engineResult.attempts ?? null,
+      latency: engineResult.latency ?? null,
+      depth: engineResult.depth ?? null,
+      unsupportedOptions: engineResult.unsupportedOptions || [],
       timestamp: new Date().toISOString(),
-      repeatTimes: this.repeatTimes
+      repeatTimes: this.repeatTimes,
+      judgingMode: this.judgingMode,
+      judges: this.judges.map(judge => judge.name),
+      rankingMetrics: {},
+      contested: []
     };
 
-    // 获取启用的评分制式
-    const enabledSystems = this.config.evaluation.enabled_scoring_systems || ['binary', 'five_point'];
+    // 获取启用的评分制式（只按人工标注评估时不调用评分模型）
+    const enabledSystems = this.skipJudge ? [] : this.config.evaluation.enabled_scoring_systems || ['binary', 'five_point'];
     const binaryEnabled = enabledSystems.includes('binary');
     const fivePointEnabled = enabledSystems.includes('five_point');
 
+    if (this.skipJudge) {
+      console.log(`⏭️  跳过评分模型，只按人工标注评估 ${engineResult.engine}`);
+      return evaluation;
+    }
+
     console.log(`🔄 开始对 ${engineResult.engine} 进行 ${this.repeatTimes} 次重复评估`);
     console.log(`📋 评分制式说明:`);
     if (binaryEnabled) {
@@ -131,16 +259,26 @@ export class EvaluationManager {
       console.log(`   - 五分制评分: 使用 /Users/jackson/Zai/web-search-eval/prompts/five_point/ 目录下的提示词文件`);
     }
     console.log(`   - 评估维度: ${this.scorers.binary.dimensions.map(d => d.name).join('、')}`);
+    console.log(`   - 评分模式: ${this.judgingMode === 'per_result' ? '逐条评分' : '整体评分'}`);
+    if (this.judges.length > 1) {
+      console.log(`   - 评分模型: ${this.judges.map(judge => judge.name).join('、')}（${this.scorers.binary.describeAggregation()}聚合，分差超过阈值时标记为分歧）`);
+    }
 
     // 先进行所有二分制评估
     if (binaryEnabled) {
       for (let round = 1; round <= this.repeatTimes; round++) {
+        if (options.signal?.aborted) {
+          evaluation.aborted = true;
+          break;
+        }
+
         console.log(`   📊 第 ${round}/${this.repeatTimes} 次评估 ${engineResult.engine}...`);
 
         try {
           const binaryScore = await this.scorers.binary.batchScore(
             engineResult.results,
-            query
+            query,
+            this.getScoringOptions(options)
           );
           evaluation.scores.binary.push({
             round,
@@ -157,6 +295,11 @@ export class EvaluationManager {
             });
           }
         } catch (error) {
+          if (isAbortError(error)) {
+            evaluation.aborted = true;
+            break;
+          }
+
           console.error(`第${round}次二分制评分失败:`, error.message);
           evaluation.scores.binary.push({
             round,
@@ -164,23 +307,24 @@ export class EvaluationManager {
             timestamp: new Date().toISOString()
           });
         }
-
-        // 添加轮次间延迟
-        if (round < this.repeatTimes) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
       }
     }
 
     // 再进行所有五分制评估
     if (fivePointEnabled) {
       for (let round = 1; round <= this.repeatTimes; round++) {
+        if (options.signal?.aborted) {
+          evaluation.aborted = true;
+          break;
+        }
+
         console.log(`   📊 第 ${round}/${this.repeatTimes} 次评估 ${engineResult.engine}...`);
 
         try {
           const fivePointScore = await this.scorers.five_point.batchScore(
             engineResult.results,
-            query
+            query,
+            this.getScoringOptions(options)
           );
           evaluation.scores.five_point.push({
             round,
@@ -197,6 +341,11 @@ export class EvaluationManager {
             });
           }
         } catch (error) {
+          if (isAbortError(error)) {
+            evaluation.aborted = true;
+            break;
+          }
+
           console.error(`第${round}次五分制评分失败:`, error.message);
           evaluation.scores.five_point.push({
             round,
@@ -204,17 +353,17 @@ export class EvaluationManager {
             timestamp: new Date().toISOString()
           });
         }
-
-        // 添加轮次间延迟
-        if (round < this.repeatTimes) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
       }
     }
 
     // 计算平均分（基于多次评估结果）
     evaluation.averageScores = this.calculateAverageScoresFromRepeats(evaluation.scores);
 
+    // 汇总多个评分模型之间有分歧的条目
+    evaluation.contested = ['binary', 'five_point'].flatMap(scoringType => evaluation.scores[scoringType]
+      .filter(round => round.contested?.length > 0)
+      .flatMap(round => round.contested.map(item => ({ scoring_system: scoringType, round: round.round, ...item }))));
+
     // 显示三次评估的平均分
     console.log(`✅ ${engineResult.engine} 重复评估完成`);
     console.log(`📈 三次评估平均分汇总:`);
@@ -240,6 +389,126 @@ export class EvaluationManager {
     return evaluation;
   }
 
+  /**
+   * 根据逐条评分计算同一查询下各引擎的排序质量指标，写入各引擎评估结果的 rankingMetrics
+   * 理想排序（IDCG）和相关结果总数（MAP）取自所有引擎结果按URL合并后的评分（同一URL取平均分），
+   * 因此只返回少量中等结果的引擎不会因为"自己的理想排序"而得到满分；
+   * 每轮评估按结果的排名顺序计算一次，多轮取平均；没有逐条评分的评分制式不计算，
+   * 所有结果都评分失败的轮次不计入指标，全部轮次都没有可用评分时该评分制式的指标为null（无数据）
+   * @param {Object} engines - 各引擎评估结果
+   */
+  calculateRankingMetrics(engines) {
+    ['binary', 'five_point'].forEach(scoringType => {
+      const engineRounds = Object.entries(engines)
+        .filter(([_, evaluation]) => !evaluation.error && evaluation.judgingMode === 'per_result')
+        .map(([engineName, evaluation]) => {
+          const rounds = evaluation.scores?.[scoringType] || [];
+          return [engineName, rounds, rounds.filter(round => !round.error && round.results?.some(result => this.getMetricGrade(result) !== null))];
+        })
+        .filter(([_, rounds]) => rounds.length > 0);
+      if (engineRounds.length === 0) {
+        return;
+      }
+
+      const pool = new Map();
+      engineRounds.forEach(([engineName, _, gradedRounds]) => {
+        gradedRounds.forEach(round => round.results.forEach((result, index) => {
+          const grade = this.getMetricGrade(result);
+          if (grade !== null) {
+            const key = normalizeUrl(result.url) || `${engineName}#${index + 1}`;
+            pool.set(key, [...(pool.get(key) || []), grade]);
+          }
+        }));
+      });
+
+      const options = {
+        scale: this.scorers[scoringType].scoringSystem.scale,
+        cutoffs: this.metricsConfig.cutoffs,
+        relevantGrade: this.metricsConfig.relevant_grade[scoringType],
+        idealGrades: [...pool.values()].map(grades => grades.reduce((sum, grade) => sum + grade, 0) / grades.length)
+      };
+
+      engineRounds.forEach(([engineName, rounds, gradedRounds]) => {
+        engines[engineName].rankingMetrics = engines[engineName].rankingMetrics || {};
+        if (gradedRounds.length === 0) {
+          engines[engineName].rankingMetrics[scoringType] = null;
+          return;
+        }
+
+        const grades = gradedRounds.map(round => round.results.map(result => this.getMetricGrade(result)));
+        const graded = grades.flat().filter(grade => grade !== null).length;
+        const ungraded = grades.flat().length - graded;
+        engines[engineName].rankingMetrics[scoringType] = {
+          ...averageMetrics(grades.map(roundGrades => computeRankingMetrics(roundGrades, options))),
+          graded,
+          ungraded,
+          ungraded_rate: graded + ungraded > 0 ? ungraded / (graded + ungraded) : 0,
+          skipped_rounds: rounds.length - gradedRounds.length
+        };
+      });
+    });
+  }
+
+  /**
+   * 按人工标注计算同一查询下各引擎的排序质量指标，写入各引擎评估结果的 qrelsMetrics
+   * 查询没有标注时 qrelsMetrics 为null
+   * @param {string} query - 搜索查询
+   * @param {Array} searchResults - 所有搜索引擎的结果
+   * @param {Object} engines - 各引擎评估结果
+   */
+  calculateQrelsMetrics(query, searchResults, engines) {
+    const judgedQuery = this.qrels.hasQuery(query);
+    if (!judgedQuery) {
+      console.log(`⚠️  查询 "${query}" 没有人工标注，跳过人工标注指标`);
+    }
+
+    searchResults.forEach(engineResult => {
+      const evaluation = engines[engineResult.engine];
+      if (evaluation && !evaluation.error) {
+        evaluation.qrelsMetrics = judgedQuery ? this.qrels.evaluate(query, engineResult.results) : null;
+      }
+    });
+  }
+
+  /**
+   * 获取结果用于计算排序指标的分数
+   * @param {Object} result - 逐条评分后的结果
+   * @returns {number|null} 分数，评分失败时为null
+   */
+  getMetricGrade(result) {
+    if (this.metricsConfig.dimension === 'weighted') {
+      return result.weightedGrade ?? null;
+    }
+    const grade = result.grades?.[this.metricsConfig.dimension];
+    return grade && !grade.error ? grade.grade : null;
+  }
+
+  /**
+   * 将排序指标格式化为一行文本：nDCG按各截断位置列出，其余指标取最大截断位置
+   * @param {Object} metrics - 排序指标
+   * @returns {string} 格式化文本
+   */
+  formatRankingMetrics(metrics) {
+    const k = Math.max(...this.metricsConfig.cutoffs);
+    return [
+      formatMetricSeries(metrics, 'ndcg'),
+      ...['precision', 'mrr', 'map', 'err'].map(name => formatMetricSeries({ [`${name}@${k}`]: metrics[`${name}@${k}`] }, name))
+    ].join('，');
+  }
+
+  /**
+   * 构建评分器的评分选项
+   * @param {Object} options - 评估选项 { signal: 取消信号 }
+   * @returns {Object} 评分选项 { signal, judgingMode, gradingBatchSize }
+   */
+  getScoringOptions(options = {}) {
+    return {
+      signal: options.signal,
+      judgingMode: this.judgingMode,
+      gradingBatchSize: this.gradingBatchSize
+    };
+  }
+
   /**
    * 计算平均分
    * @param {Object} scores - 评分结果
@@ -322,6 +591,15 @@ export class EvaluationManager {
           averages[scoringType].weighted = 
             allWeightedScores.reduce((sum, score) => sum + score, 0) / allWeightedScores.length;
 
+          // 多个评分模型时另外计算各模型的加权平均分，便于比较模型之间的偏差
+          const judgeNames = [...new Set(validRounds.flatMap(round => Object.keys(round.judgeScores || {})))];
+          if (judgeNames.length > 0) {
+            averages[scoringType].judges = Object.fromEntries(judgeNames.map(name => {
+              const judgeScores = validRounds.map(round => round.judgeScores[name]).filter(score => typeof score === 'number');
+              return [name, judgeScores.length > 0 ? judgeScores.reduce((sum, score) => sum + score, 0) / judgeScores.length : null];
+            }));
+          }
+
           // 保存每轮的详细结果
           averages[scoringType].rounds = validRounds.map(round => ({
             round: round.round,
@@ -366,20 +644,26 @@ export class EvaluationManager {
       return;
     }
 
-    // 收集有效的引擎结果并按得分排序（优先使用五分制，如果没有则使用二分制）
+    // 收集有效的引擎结果并按得分排序（优先使用五分制，如果没有则使用二分制）；
+    // 只按人工标注评估时没有评分模型的得分，按人工标注的 nDCG（最大截断位置）排序，查询没有标注时不排序
+    const k = Math.max(...this.metricsConfig.cutoffs);
+    const scoreLabel = this.skipJudge ? `人工标注nDCG@${k}` : '总分';
     const validEngines = engineEntries
       .filter(([_, result]) => !result.error && result.averageScores)
       .map(([engine, result]) => {
         // 优先使用五分制得分，如果没有则使用二分制得分
-        const score = (fivePointEnabled && result.averageScores.five_point?.weighted) || 
-                     (binaryEnabled && result.averageScores.binary?.weighted) || 0;
+        const score = this.skipJudge
+          ? result.qrelsMetrics?.metrics?.[`ndcg@${k}`] ?? null
+          : (fivePointEnabled && result.averageScores.five_point?.weighted) ||
+            (binaryEnabled && result.averageScores.binary?.weighted) || 0;
         return {
           engine,
           score,
           result
         };
       })
-      .sort((a, b) => b.score - a.score);
+      .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+    const formatScore = score => (score === null ? '无人工标注' : score.toFixed(this.skipJudge ? 3 : 2));
 
     if (validEngines.length === 0) {
       console.log('   ❌ 所有搜索引擎都出现错误');
@@ -395,9 +679,9 @@ export class EvaluationManager {
     validEngines.forEach((item, index) => {
       const { engine, score, result } = item;
       const rank = index + 1;
-      const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : '  ';
+      const medal = score === null ? '  ' : rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : '  ';
       
-      console.log(`\n${medal} 第${rank}名: ${engine} - 总分: ${score.toFixed(2)}`);
+      console.log(`\n${medal} 第${rank}名: ${engine} - ${scoreLabel}: ${formatScore(score)}`);
       console.log(`   📈 结果数量: ${result.totalResults || 0}`);
       
       // 分别显示二分制和五分制的评分结果
@@ -418,6 +702,35 @@ export class EvaluationManager {
           });
         }
       }
+
+      ['binary', 'five_point'].forEach(scoringType => {
+        const judgeScores = result.averageScores?.[scoringType]?.judges;
+        if (judgeScores) {
+          console.log(`   🤖 ${scoringType === 'binary' ? '二分制' : '五分制'}各评分模型: ${Object.entries(judgeScores).map(([name, score]) => `${name} ${typeof score === 'number' ? score.toFixed(2) : '失败'}`).join('、')}`);
+        }
+      });
+
+      Object.entries(result.rankingMetrics || {}).forEach(([scoringType, metrics]) => {
+        const label = scoringType === 'binary' ? '二分制' : '五分制';
+        if (!metrics) {
+          console.log(`   📐 ${label}排序指标: 无数据（逐条评分全部失败）`);
+          return;
+        }
+        console.log(`   📐 ${label}排序指标: ${this.formatRankingMetrics(metrics)}`);
+        if (metrics.ungraded > 0 || metrics.skipped_rounds > 0) {
+          console.log(`      已评分 ${metrics.graded} 条，评分失败 ${metrics.ungraded} 条（按不相关计算）${metrics.skipped_rounds > 0 ? `，${metrics.skipped_rounds} 轮没有可用评分未计入` : ''}`);
+        }
+      });
+
+      if (result.qrelsMetrics) {
+        const qrelsMetrics = result.qrelsMetrics;
+        console.log(`   👤 人工标注指标: ${this.formatRankingMetrics(qrelsMetrics.metrics)}`);
+        console.log(`      已标注 ${qrelsMetrics.judged} 条（相关 ${qrelsMetrics.relevant}，不相关 ${qrelsMetrics.irrelevant}），未标注 ${qrelsMetrics.unjudged} 条`);
+      }
+
+      if (result.contested?.length > 0) {
+        console.log(`   ⚖️  评分模型分歧: ${result.contested.length}项，建议人工复核`);
+      }
     });
 
     // 显示失败的引擎
@@ -434,10 +747,11 @@ export class EvaluationManager {
     console.log(`   ✅ 成功引擎: ${evaluationResults.summary.successfulEngines}/${evaluationResults.summary.totalEngines}`);
     console.log(`   ❌ 失败引擎: ${evaluationResults.summary.failedEngines}/${evaluationResults.summary.totalEngines}`);
     
-    if (validEngines.length > 0) {
-      const avgScore = validEngines.reduce((sum, item) => sum + item.score, 0) / validEngines.length;
-      console.log(`   🎯 平均得分: ${avgScore.toFixed(2)}`);
-      console.log(`   🏆 最佳引擎: ${validEngines[0].engine} (${validEngines[0].score.toFixed(2)}分)`);
+    const scoredEngines = validEngines.filter(item => item.score !== null);
+    if (scoredEngines.length > 0) {
+      const avgScore = scoredEngines.reduce((sum, item) => sum + item.score, 0) / scoredEngines.length;
+      console.log(`   🎯 平均${this.skipJudge ? scoreLabel : '得分'}: ${formatScore(avgScore)}`);
+      console.log(`   🏆 最佳引擎: ${scoredEngines[0].engine} (${formatScore(scoredEngines[0].score)}${this.skipJudge ? '' : '分'})`);
     }
 
     console.log('='.repeat(80) + '\n');
@@ -520,11 +834,6 @@ export class EvaluationManager {
         const evaluationResult = await this.evaluateQuery(query, searchResults);
         allResults.push(evaluationResult);
 
-        // 添加延迟避免API限制
-        if (i < queries.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-
       } catch (error) {
         console.error(`查询 "${query}" 处理失败:`, error.message);
         allResults.push({
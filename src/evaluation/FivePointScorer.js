@@ -5,13 +5,15 @@ import { Scorer } from './Scorer.js';
  * 实现1-5分的评分系统
  */
 export class FivePointScorer extends Scorer {
-  constructor(modelConfig, dimensions, prompts) {
+  constructor(modelConfig, dimensions, prompts, rateLimiter) {
     const scoringSystem = {
+      name: 'five_point',
       scale: [1, 2, 3, 4, 5],
-      description: '五分制评分（1-5分）'
+      description: '五分制评分（1-5分）',
+      gradeCriteria: ['1分：非常差，完全不符合要求', '2分：较差，基本不符合要求', '3分：一般，部分符合要求', '4分：较好，大部分符合要求', '5分：优秀，完全符合要求']
     };
     
-    super(modelConfig, dimensions, scoringSystem);
+    super(modelConfig, dimensions, scoringSystem, rateLimiter);
     this.prompts = prompts;
   }
 
@@ -20,13 +22,14 @@ export class FivePointScorer extends Scorer {
    * @param {Object} searchResult - 搜索结果
    * @param {string} query - 原始查询
    * @param {string} dimension - 评分维度
-   * @returns {Promise<Object>} 评分结果
+   * @param {Object} options - 评分选项 { signal: 取消信号 }
+   * @returns {Promise<Object>} 评分结果，无法从回复中解析出分数时 error 为true（score 为保底分数）
    */
-  async scoreResult(searchResult, query, dimension) {
+  async scoreResult(searchResult, query, dimension, options = {}) {
     const prompt = this.buildPrompt(searchResult, query, dimension);
     
     try {
-      const aiResponse = await this.callAIModel(prompt);
+      const aiResponse = await this.callAIModel(prompt, { signal: options.signal });
       const content = aiResponse.choices?.[0]?.message?.content || '';
       
       const parsedResult = this.parseAIResponse(content);
@@ -41,11 +44,12 @@ export class FivePointScorer extends Scorer {
         reasoning: parsedResult.reasoning || content,
         dimension,
         scoringSystem: 'five_point',
+        ...(parsedResult.error || parsedResult.score === undefined ? { error: true } : {}),
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      throw new Error(`五分制评分失败: ${error.message}`);
+      throw new Error(`五分制评分失败: ${error.message}`, { cause: error });
     }
   }
 
@@ -95,13 +99,14 @@ ${customPrompt ? `特殊评分要求：${customPrompt}` : ''}
    * @param {Array} searchResults - 搜索结果数组
    * @param {string} query - 搜索查询
    * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { signal: 取消信号 }
    * @returns {Promise<Object>} 该维度的整体评分结果
    */
-  async batchScoreDimension(searchResults, query, dimension) {
+  async batchScoreDimension(searchResults, query, dimension, options = {}) {
     const prompt = this.buildBatchPrompt(searchResults, query, dimension);
     
     try {
-      const aiResponse = await this.callAIModel(prompt);
+      const aiResponse = await this.callAIModel(prompt, { signal: options.signal });
       const content = aiResponse.choices?.[0]?.message?.content || '';
       
       const parsedResult = this.parseOverallAIResponse(content);
@@ -119,7 +124,7 @@ ${customPrompt ? `特殊评分要求：${customPrompt}` : ''}
       };
 
     } catch (error) {
-      throw new Error(`五分制批量评分失败: ${error.message}`);
+      throw new Error(`五分制批量评分失败: ${error.message}`, { cause: error });
     }
   }
 
@@ -0,0 +1,204 @@
+import { computeAgreement, confusionMatrix } from './AgreementMetrics.js';
+import { normalizeUrl } from '../utils/UrlNormalizer.js';
+
+/**
+ * 评分模型与人工标注的一致性分析
+ * 从评估结果中取出逐条评分，与人工标注（qrels）中同一查询-URL的分数配对，
+ * 按 评分制式 × 维度 × 提示词版本 × 评分模型 分组计算 Cohen's kappa、加权kappa、Krippendorff's alpha、
+ * Spearman/Kendall 相关系数和混淆矩阵
+ *
+ * 人工标注的分值范围（0 ~ 最高分）与评分制式不同时，人工分数按比例换算到评分制式的分值后再计算分类指标，
+ * 相关系数不受换算影响；每次评分（包括重复评估的各轮、不同引擎返回的同一URL）各计为一对；
+ * 多个评分模型集成评分时，聚合后的评分和每个模型各自的评分分别作为一组（聚合后的小数分数按最接近的分值计算分类指标）
+ */
+export class JudgeAgreement {
+  /**
+   * @param {Qrels} qrels - 人工标注
+   * @param {Object} options - { scales: 各评分制式的分值列表, dimensions: 只分析这些维度 }
+   */
+  constructor(qrels, options = {}) {
+    this.qrels = qrels;
+    this.scales = options.scales || { binary: [0, 1, 2], five_point: [1, 2, 3, 4, 5] };
+    this.dimensions = options.dimensions || null;
+  }
+
+  /**
+   * 从评估结果文件的内容中取出单个查询的评估结果
+   * 支持批量测试的详细结果（detailed_results_*.json）、单个查询的评估结果和 eval 命令生成的JSON报告
+   * @param {*} data - 解析后的JSON
+   * @returns {Array} 评估结果数组 [{ query, engines }]
+   */
+  static extractEvaluations(data) {
+    if (Array.isArray(data)) {
+      return data.flatMap(item => JudgeAgreement.extractEvaluations(item));
+    }
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+    if (data.original_result) {
+      return JudgeAgreement.extractEvaluations(data.original_result);
+    }
+    if (typeof data.query === 'string' && data.engines) {
+      return [data];
+    }
+    if (Array.isArray(data.results)) {
+      return JudgeAgreement.extractEvaluations(data.results);
+    }
+    return [];
+  }
+
+  /**
+   * 分析评估结果中的逐条评分与人工标注的一致性
+   * @param {Array} evaluations - 评估结果数组 [{ query, engines }]
+   * @returns {Object} { groups: 各分组的一致性, graded: 逐条评分总数, matched: 有人工标注的评分数, unmatched: 没有人工标注的评分数, skipped_rounds: 没有逐条评分的评估轮数 }
+   */
+  analyze(evaluations) {
+    const groups = new Map();
+    const totals = { graded: 0, matched: 0, unmatched: 0, skipped_rounds: 0 };
+
+    evaluations.forEach(evaluation => {
+      Object.values(evaluation.engines || {}).forEach(engineData => {
+        Object.entries(engineData?.scores || {}).forEach(([scoringType, rounds]) => {
+          (rounds || []).forEach(round => {
+            if (round.error || !round.results?.some(result => result.grades)) {
+              totals.skipped_rounds++;
+              return;
+            }
+            this.collectRound(evaluation.query, scoringType, round, groups, totals);
+          });
+        });
+      });
+    });
+
+    return {
+      groups: [...groups.values()]
+        .map(group => this.summarizeGroup(group))
+        .sort((a, b) => a.scoring_system.localeCompare(b.scoring_system)
+          || a.dimension.localeCompare(b.dimension)
+          || a.first_seen.localeCompare(b.first_seen)
+          || a.model.localeCompare(b.model)),
+      ...totals
+    };
+  }
+
+  /**
+   * 把一轮逐条评分与人工标注配对，加入对应的分组
+   * @param {string} query - 查询
+   * @param {string} scoringType - 评分制式
+   * @param {Object} round - 一轮评分结果 { results, overallScores, timestamp }
+   * @param {Map} groups - 分组
+   * @param {Object} totals - 计数
+   */
+  collectRound(query, scoringType, round, groups, totals) {
+    round.results.forEach(result => {
+      Object.entries(result.grades || {}).forEach(([dimension, item]) => {
+        if (this.dimensions && !this.dimensions.includes(dimension)) {
+          return;
+        }
+        if (item?.error || typeof item?.grade !== 'number') {
+          return;
+        }
+
+        totals.graded++;
+        const human = this.qrels.getGrade(query, result.url);
+        if (human === null) {
+          totals.unmatched++;
+          return;
+        }
+        totals.matched++;
+
+        // 多个评分模型时，聚合后的评分和每个模型的评分分别计入各自的分组
+        const dimensionScore = round.overallScores?.[dimension] || {};
+        const promptVersion = dimensionScore.promptVersion || 'unknown';
+        const gradesByModel = [
+          [dimensionScore.model || 'unknown', item.grade],
+          ...Object.entries(item.judges || {})
+        ];
+
+        gradesByModel.forEach(([model, grade]) => {
+          const key = `${scoringType}|${dimension}|${promptVersion}|${model}`;
+          if (!groups.has(key)) {
+            groups.set(key, {
+              scoringType,
+              dimension,
+              promptVersion,
+              model,
+              items: new Set(),
+              pairs: [],
+              firstSeen: round.timestamp || ''
+            });
+          }
+
+          const group = groups.get(key);
+          group.items.add(`${query}\n${normalizeUrl(result.url)}`);
+          group.pairs.push({ human, judge: grade });
+          if (round.timestamp && round.timestamp < group.firstSeen) {
+            group.firstSeen = round.timestamp;
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * 计算一个分组的一致性指标
+   * @param {Object} group - 分组
+   * @returns {Object} 分组的一致性，confusion_matrix 的行为人工分数、列为评分模型分数
+   */
+  summarizeGroup(group) {
+    const scale = this.scales[group.scoringType] || [...new Set(group.pairs.map(pair => pair.judge))].sort((a, b) => a - b);
+    const mapped = group.pairs.map(pair => ({ a: this.mapHumanGrade(pair.human, scale), b: nearestGrade(pair.judge, scale) }));
+    const raw = group.pairs.map(pair => ({ a: pair.human, b: pair.judge }));
+
+    return {
+      scoring_system: group.scoringType,
+      dimension: group.dimension,
+      prompt_version: group.promptVersion,
+      model: group.model,
+      first_seen: group.firstSeen,
+      items: group.items.size,
+      human_scale: [0, this.qrels.maxGrade],
+      human_grades_mapped: !this.isSameScale(scale),
+      metrics: computeAgreement(mapped, scale, raw),
+      confusion_matrix: {
+        labels: scale,
+        matrix: confusionMatrix(mapped, scale)
+      }
+    };
+  }
+
+  /**
+   * 人工标注的分值范围是否与评分制式相同
+   * @param {Array} scale - 评分制式的分值列表
+   * @returns {boolean} 是否相同
+   */
+  isSameScale(scale) {
+    return Math.min(...scale) === 0 && Math.max(...scale) === this.qrels.maxGrade;
+  }
+
+  /**
+   * 把人工分数按比例换算到评分制式的分值
+   * @param {number} grade - 人工分数（0 ~ 最高分）
+   * @param {Array} scale - 评分制式的分值列表
+   * @returns {number} 换算后的分数
+   */
+  mapHumanGrade(grade, scale) {
+    if (this.isSameScale(scale)) {
+      return grade;
+    }
+    const min = Math.min(...scale);
+    const max = Math.max(...scale);
+    const ratio = Math.max(0, Math.min(1, grade / Math.max(1, this.qrels.maxGrade)));
+    return min + Math.round(ratio * (max - min));
+  }
+}
+
+/**
+ * 取分值列表中最接近的分数（距离相同时取较低的分数）
+ * @param {number} grade - 分数
+ * @param {Array} scale - 分值列表
+ * @returns {number} 最接近的分值
+ */
+function nearestGrade(grade, scale) {
+  return scale.reduce((best, value) => (Math.abs(value - grade) < Math.abs(best - grade) ? value : best));
+}
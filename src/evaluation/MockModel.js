@@ -0,0 +1,153 @@
+import { sleep } from '../utils/HttpClient.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { stableStringify } from '../utils/RequestKey.js';
+
+/**
+ * 模拟评分模型
+ * 模型配置的 provider 为 mock 时代替真实的模型API，返回与OpenAI兼容的响应格式，
+ * 按脚本、匹配规则或种子随机数给出评分，可注入失败、延迟和格式错误的响应
+ *
+ * 配置（model.mock）：
+ * - seed：随机种子（默认1），相同的种子和提示词总是得到相同的评分
+ * - latency_ms：模拟延迟，数字或 [min, max]
+ * - failure_rate：返回HTTP错误的概率（0~1），failure_status 为错误状态码（默认503）
+ * - malformed_rate：返回无法解析的评分的概率（0~1）
+ * - rules：[{ match, score } 或 { match, quality }]，提示词（系统提示和用户提示）包含 match 时给出固定分数，按顺序取第一条匹配的规则；
+ *   quality 为0~1之间的质量，按评分体系的分值范围换算为分数，同一规则可同时用于二分制和五分制；
+ *   模拟搜索引擎的结果URL中包含引擎名称，可以用来为不同引擎设定不同分数
+ * - script：按调用顺序依次返回的响应，元素为回复文本、{ score }、{ grades: [...] }、{ error: { status } } 或 { malformed: true }，用完后按规则和随机数评分
+ *
+ * 逐条评分请求（options.grades 为期望的评分数量）返回<result>标签包裹的JSON数组 [{ index, grade, reason }]，
+ * 规则先与每条结果的文本匹配，再与整个提示词匹配，均未匹配时按随机数评分
+ */
+export class MockModel {
+  constructor(modelConfig = {}) {
+    this.modelName = modelConfig.model_name || 'mock';
+    this.config = modelConfig.mock || {};
+    this.callCounts = new Map();
+    this.scriptIndex = 0;
+  }
+
+  /**
+   * 生成模拟回复
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - { scale: 评分体系的分值列表, grades: 逐条评分时期望的评分数量, signal: 取消信号 }
+   * @returns {Promise<Object>} 与OpenAI兼容的响应 { choices: [{ message: { content } }] }
+   */
+  async complete(messages, options = {}) {
+    const prompt = stableStringify(messages);
+    const call = (this.callCounts.get(prompt) || 0) + 1;
+    this.callCounts.set(prompt, call);
+
+    const random = new SeededRandom([this.config.seed ?? 1, prompt, call]);
+    const scripted = this.nextScriptEntry();
+
+    const latency = random.latency(scripted.latency_ms ?? this.config.latency_ms);
+    if (latency > 0) {
+      await sleep(latency, options.signal);
+    }
+
+    const hasScriptedScore = scripted.score !== undefined || scripted.grades !== undefined;
+    if (scripted.error || (!hasScriptedScore && scripted.content === undefined && random.chance(this.config.failure_rate))) {
+      const status = scripted.error?.status ?? this.config.failure_status ?? 503;
+      const error = new Error(`HTTP ${status}: 模拟失败`);
+      error.status = status;
+      throw error;
+    }
+
+    let content;
+    if (scripted.content !== undefined) {
+      content = scripted.content;
+    } else if (scripted.malformed || (!hasScriptedScore && random.chance(this.config.malformed_rate))) {
+      content = '模拟的格式错误响应：<result>无法评分</result>';
+    } else if (options.grades) {
+      const grades = this.gradeResults(messages, options, random, scripted);
+      content = `模拟逐条评分（第${call}次调用）：根据每条搜索结果分别给出评分。<result>${JSON.stringify(grades)}</result>`;
+    } else {
+      const score = scripted.score ?? this.matchRule(messages, options.scale) ?? this.randomScore(random, options.scale);
+      content = `模拟评分（第${call}次调用）：根据搜索结果给出评分。<result>${score}</result>`;
+    }
+
+    return {
+      id: `mock-${call}`,
+      model: this.modelName,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: prompt.length, completion_tokens: content.length, total_tokens: prompt.length + content.length }
+    };
+  }
+
+  /**
+   * 取出下一条脚本响应
+   * @returns {Object} 脚本响应，脚本用完时为空对象
+   */
+  nextScriptEntry() {
+    const script = this.config.script || [];
+    if (this.scriptIndex >= script.length) {
+      return {};
+    }
+
+    const entry = script[this.scriptIndex++];
+    return typeof entry === 'string' ? { content: entry } : entry;
+  }
+
+  /**
+   * 生成逐条评分
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - { scale, grades }
+   * @param {SeededRandom} random - 随机数生成器
+   * @param {Object} scripted - 脚本响应
+   * @returns {Array} [{ index, grade, reason }]
+   */
+  gradeResults(messages, options, random, scripted) {
+    const items = this.splitResults(messages, options.grades);
+
+    return items.map((text, index) => {
+      const grade = scripted.grades?.[index]
+        ?? scripted.score
+        ?? this.matchRule([{ content: text }], options.scale)
+        ?? this.matchRule(messages, options.scale)
+        ?? this.randomScore(random, options.scale);
+      return { index: index + 1, grade, reason: `模拟评分：结果${index + 1}` };
+    });
+  }
+
+  /**
+   * 按“结果N：”标记把最后一条消息拆分为各条结果的文本
+   * @param {Array} messages - 消息数组
+   * @param {number} count - 期望的结果数量
+   * @returns {Array} 各条结果的文本，无法按数量拆分时每条都使用整条消息
+   */
+  splitResults(messages, count) {
+    const text = messages.at(-1)?.content || '';
+    const items = text.split(/(?=^结果\d+：)/m).filter(item => /^结果\d+：/.test(item));
+    return items.length === count ? items : Array(count).fill(text);
+  }
+
+  /**
+   * 按匹配规则确定评分
+   * @param {Array} messages - 消息数组
+   * @param {Array} scale - 分值列表，缺省为1~5分
+   * @returns {number|undefined} 评分，没有匹配的规则时为undefined
+   */
+  matchRule(messages, scale = [1, 2, 3, 4, 5]) {
+    const text = messages.map(message => message.content).join('\n');
+    const rule = (this.config.rules || []).find(item => text.includes(item.match));
+    if (!rule) {
+      return undefined;
+    }
+    if (rule.quality !== undefined) {
+      return scale[Math.round(Math.min(1, Math.max(0, rule.quality)) * (scale.length - 1))];
+    }
+    return rule.score;
+  }
+
+  /**
+   * 在评分体系的分值范围内随机取分
+   * @param {SeededRandom} random - 随机数生成器
+   * @param {Array} scale - 分值列表，缺省为1~5分
+   * @returns {number} 评分
+   */
+  randomScore(random, scale = [1, 2, 3, 4, 5]) {
+    return scale[random.int(0, scale.length - 1)];
+  }
+}
@@ -0,0 +1,140 @@
+import { normalizeUrl } from '../utils/UrlNormalizer.js';
+import { averageMetrics, computeRankingMetrics, DEFAULT_CUTOFFS } from './RankingMetrics.js';
+
+/**
+ * 人工相关性标注（qrels）
+ * 保存 查询 → 规范化URL → 分数 的标注，按规范化URL把标注对应到搜索结果，并计算排序质量指标
+ *
+ * 没有标注的结果（未标注）在指标中按不相关计算，但与标注为不相关的结果分开统计，
+ * 便于判断指标偏低是因为结果差还是因为标注覆盖不足
+ */
+export class Qrels {
+  /**
+   * @param {Array} records - 标注记录 [{ query, url, grade }]
+   * @param {Object} options - { relevant_grade: 相关阈值（默认1）, max_grade: 最高分（默认取标注中的最高分）, cutoffs: 截断位置 }
+   */
+  constructor(records = [], options = {}) {
+    this.judgments = new Map();
+    this.cutoffs = options.cutoffs || DEFAULT_CUTOFFS;
+    this.relevantGrade = options.relevant_grade ?? 1;
+
+    records.forEach(record => {
+      const query = Qrels.normalizeQuery(record.query);
+      const url = normalizeUrl(record.url);
+      if (!query || !url || !Number.isFinite(record.grade)) {
+        return;
+      }
+      if (!this.judgments.has(query)) {
+        this.judgments.set(query, new Map());
+      }
+      this.judgments.get(query).set(url, record.grade);
+    });
+
+    // 标注可达数十万条，逐个比较而不是展开为 Math.max 的参数（参数过多会超出调用栈）
+    let maxGrade = 1;
+    this.judgments.forEach(urls => urls.forEach(grade => {
+      maxGrade = Math.max(maxGrade, grade);
+    }));
+    this.maxGrade = options.max_grade ?? maxGrade;
+  }
+
+  /**
+   * 规范化查询文本（去除首尾空白、合并连续空白、转为小写）
+   * @param {string} query - 查询
+   * @returns {string} 规范化后的查询
+   */
+  static normalizeQuery(query) {
+    return String(query ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * 汇总多次评估（如同一引擎在多个查询上）的人工标注指标
+   * @param {Array} evaluations - evaluate() 的返回值数组
+   * @returns {Object|null} 平均指标和覆盖率，以及 judged、unjudged、unjudged_rate、query_count，数组为空时返回null
+   */
+  static summarize(evaluations) {
+    const valid = evaluations.filter(Boolean);
+    if (valid.length === 0) {
+      return null;
+    }
+
+    const judged = valid.reduce((sum, item) => sum + item.judged, 0);
+    const unjudged = valid.reduce((sum, item) => sum + item.unjudged, 0);
+
+    return {
+      ...averageMetrics(valid.map(item => item.metrics)),
+      ...averageMetrics(valid.map(item => item.coverage)),
+      judged,
+      unjudged,
+      unjudged_rate: judged + unjudged > 0 ? unjudged / (judged + unjudged) : 0,
+      query_count: valid.length
+    };
+  }
+
+  /**
+   * 标注数量
+   * @returns {number} 标注的查询-URL对数量
+   */
+  get size() {
+    return [...this.judgments.values()].reduce((sum, urls) => sum + urls.size, 0);
+  }
+
+  /**
+   * 查询是否有标注
+   * @param {string} query - 查询
+   * @returns {boolean} 是否有标注
+   */
+  hasQuery(query) {
+    return this.judgments.has(Qrels.normalizeQuery(query));
+  }
+
+  /**
+   * 获取查询-URL的标注分数
+   * @param {string} query - 查询
+   * @param {string} url - URL
+   * @returns {number|null} 分数，未标注时为null
+   */
+  getGrade(query, url) {
+    return this.judgments.get(Qrels.normalizeQuery(query))?.get(normalizeUrl(url)) ?? null;
+  }
+
+  /**
+   * 按人工标注评估一个引擎的结果列表
+   * @param {string} query - 查询
+   * @param {Array} results - 按排名排列的搜索结果
+   * @returns {Object|null} { metrics, judged, unjudged, relevant, irrelevant, total_relevant, coverage, unjudged_urls }，查询没有标注时为null
+   */
+  evaluate(query, results) {
+    const urls = this.judgments.get(Qrels.normalizeQuery(query));
+    if (!urls) {
+      return null;
+    }
+
+    const grades = results.map(result => urls.get(normalizeUrl(result.url)) ?? null);
+
+    const scale = [0, this.maxGrade];
+    const metrics = computeRankingMetrics(grades, {
+      scale,
+      cutoffs: this.cutoffs,
+      relevantGrade: this.relevantGrade,
+      idealGrades: [...urls.values()]
+    });
+
+    const judgedGrades = grades.filter(grade => grade !== null);
+    const coverage = Object.fromEntries(this.cutoffs.map(k => {
+      const top = grades.slice(0, k);
+      return [`judged@${k}`, top.length > 0 ? top.filter(grade => grade !== null).length / top.length : 0];
+    }));
+
+    return {
+      metrics,
+      judged: judgedGrades.length,
+      unjudged: grades.length - judgedGrades.length,
+      relevant: judgedGrades.filter(grade => grade >= this.relevantGrade).length,
+      irrelevant: judgedGrades.filter(grade => grade < this.relevantGrade).length,
+      total_relevant: [...urls.values()].filter(grade => grade >= this.relevantGrade).length,
+      coverage,
+      unjudged_urls: results.filter((_, index) => grades[index] === null).map(result => result.url)
+    };
+  }
+}
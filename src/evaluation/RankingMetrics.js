@@ -0,0 +1,163 @@
+/**
+ * 排序质量指标 - 根据逐条评分（分级相关性）计算 nDCG@k、Precision@k、MRR@k、MAP@k、ERR@k
+ *
+ * 分数按评分体系的最低分归零后作为分级 g（二分制0~2，五分制0~4），增益为 2^g - 1；
+ * 分数不低于 relevantGrade 的结果视为相关（用于 Precision、MRR、MAP）；
+ * 没有评分的结果（评分失败或未标注）按不相关计算
+ */
+
+export const DEFAULT_CUTOFFS = [1, 3, 5, 10];
+
+export const METRIC_NAMES = ['ndcg', 'precision', 'mrr', 'map', 'err'];
+
+/**
+ * 获取评分体系的默认相关阈值：分值范围的中点（二分制为1分，五分制为3分）
+ * @param {Array} scale - 分值列表
+ * @returns {number} 相关阈值
+ */
+export function getDefaultRelevantGrade(scale) {
+  const min = Math.min(...scale);
+  const max = Math.max(...scale);
+  return min + Math.ceil((max - min) / 2);
+}
+
+/**
+ * 计算一个结果列表的排序质量指标
+ * @param {Array} grades - 按排名顺序排列的分数，null 表示没有评分
+ * @param {Object} options - 计算选项
+ * @param {Array} options.scale - 评分体系的分值列表
+ * @param {Array} options.cutoffs - 截断位置（默认 1、3、5、10）
+ * @param {number} options.relevantGrade - 相关阈值（默认为分值范围的中点）
+ * @param {Array} options.idealGrades - 用于计算理想排序（IDCG）和相关结果总数（MAP）的全部已知分数，默认为 grades 本身
+ * @returns {Object} 指标，键为 `${指标}@${k}`，如 ndcg@10
+ */
+export function computeRankingMetrics(grades, options = {}) {
+  const scale = options.scale || [0, 1, 2];
+  const cutoffs = options.cutoffs || DEFAULT_CUTOFFS;
+  const minGrade = Math.min(...scale);
+  const maxGain = Math.max(...scale) - minGrade;
+  const relevantGrade = options.relevantGrade ?? getDefaultRelevantGrade(scale);
+
+  const toGain = grade => (typeof grade === 'number' ? Math.max(0, Math.min(maxGain, grade - minGrade)) : 0);
+  const isRelevant = grade => typeof grade === 'number' && grade >= relevantGrade;
+
+  const gains = grades.map(toGain);
+  const relevant = grades.map(isRelevant);
+  const idealSource = (options.idealGrades || grades).filter(grade => typeof grade === 'number');
+  const idealGains = idealSource.map(toGain).sort((a, b) => b - a);
+  const totalRelevant = idealSource.filter(isRelevant).length;
+
+  const metrics = {};
+
+  cutoffs.forEach(k => {
+    const dcg = discountedGain(gains, k);
+    const idcg = discountedGain(idealGains, k);
+    metrics[`ndcg@${k}`] = idcg > 0 ? dcg / idcg : 0;
+
+    const topRelevant = relevant.slice(0, k);
+    metrics[`precision@${k}`] = topRelevant.filter(Boolean).length / k;
+
+    const firstRelevant = topRelevant.indexOf(true);
+    metrics[`mrr@${k}`] = firstRelevant >= 0 ? 1 / (firstRelevant + 1) : 0;
+
+    let hits = 0;
+    let precisionSum = 0;
+    topRelevant.forEach((isHit, index) => {
+      if (isHit) {
+        hits++;
+        precisionSum += hits / (index + 1);
+      }
+    });
+    const denominator = Math.min(totalRelevant, k);
+    metrics[`map@${k}`] = denominator > 0 ? precisionSum / denominator : 0;
+
+    // ERR（级联模型）：用户在第r位满足的概率为 R_r = (2^g - 1) / 2^gmax
+    let err = 0;
+    let continueProbability = 1;
+    gains.slice(0, k).forEach((gain, index) => {
+      const satisfied = (Math.pow(2, gain) - 1) / Math.pow(2, maxGain);
+      err += continueProbability * satisfied / (index + 1);
+      continueProbability *= 1 - satisfied;
+    });
+    metrics[`err@${k}`] = err;
+  });
+
+  return metrics;
+}
+
+/**
+ * 计算前k个结果的折损累计增益（DCG）
+ * @param {Array} gains - 按排名顺序排列的分级
+ * @param {number} k - 截断位置
+ * @returns {number} DCG
+ */
+function discountedGain(gains, k) {
+  return gains
+    .slice(0, k)
+    .reduce((sum, gain, index) => sum + (Math.pow(2, gain) - 1) / Math.log2(index + 2), 0);
+}
+
+/**
+ * 按键求多组指标的平均值（某组缺少的键不计入该键的平均）
+ * @param {Array} metricsList - 指标对象数组
+ * @returns {Object|null} 平均指标，数组为空时返回null
+ */
+export function averageMetrics(metricsList) {
+  const valid = metricsList.filter(Boolean);
+  if (valid.length === 0) {
+    return null;
+  }
+
+  const sums = {};
+  const counts = {};
+  valid.forEach(metrics => {
+    Object.entries(metrics).forEach(([key, value]) => {
+      if (typeof value === 'number' && !isNaN(value)) {
+        sums[key] = (sums[key] || 0) + value;
+        counts[key] = (counts[key] || 0) + 1;
+      }
+    });
+  });
+
+  return Object.fromEntries(Object.keys(sums).map(key => [key, sums[key] / counts[key]]));
+}
+
+/**
+ * 汇总多组逐条评分的排序指标：指标取平均，已评分、评分失败条数和未计入的轮数求和
+ * @param {Array} metricsList - EvaluationManager 计算的排序指标数组（含 graded、ungraded、skipped_rounds）
+ * @returns {Object|null} 平均指标和 graded、ungraded、ungraded_rate、skipped_rounds，没有有效指标时返回null
+ */
+export function summarizeRankingMetrics(metricsList) {
+  const valid = metricsList.filter(Boolean);
+  if (valid.length === 0) {
+    return null;
+  }
+
+  const counts = Object.fromEntries(['graded', 'ungraded', 'skipped_rounds'].map(key => [
+    key,
+    valid.reduce((sum, metrics) => sum + (metrics[key] || 0), 0)
+  ]));
+
+  return {
+    ...averageMetrics(valid),
+    ...counts,
+    ungraded_rate: counts.graded + counts.ungraded > 0 ? counts.ungraded / (counts.graded + counts.ungraded) : 0
+  };
+}
+
+/**
+ * 将指标格式化为一行文本，如 "nDCG@1 0.800 / @3 0.750"
+ * @param {Object} metrics - 指标
+ * @param {string} name - 指标名称（ndcg、precision、mrr、map、err）
+ * @returns {string} 格式化文本，没有该指标时为空字符串
+ */
+export function formatMetricSeries(metrics, name) {
+  const labels = { ndcg: 'nDCG', precision: 'P', mrr: 'MRR', map: 'MAP', err: 'ERR' };
+  const entries = Object.entries(metrics || {})
+    .filter(([key]) => key.startsWith(`${name}@`))
+    .sort(([a], [b]) => Number(a.split('@')[1]) - Number(b.split('@')[1]));
+
+  return entries
+    .map(([key, value], index) => `${index === 0 ? labels[name] : ''}@${key.split('@')[1]} ${value.toFixed(3)}`)
+    .join(' / ');
+}
@@ -1,14 +1,27 @@
-import fetch from 'node-fetch';
+import { cassetteManager } from '../utils/CassetteManager.js';
+import { fetchWithTimeout, isAbortError, sleep } from '../utils/HttpClient.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { MockModel } from './MockModel.js';
+import { hashRequest } from '../utils/RequestKey.js';
 
 /**
  * 评分器基类
  * 定义评分系统的基础接口和通用方法
+ * rateLimiter 为评分模型的速率限制器，同一模型的多个评分器应共享同一个实例；
+ * 模型配置的 provider 为 mock 时使用模拟评分模型，不访问网络
+ *
+ * 评分模式（batchScore 的 judgingMode 选项）：
+ * - list（默认）：每个维度调用1次模型，对整个结果列表给出一个整体分数
+ * - per_result：逐条评分，每个维度按 gradingBatchSize 条结果一批调用模型，模型返回JSON数组，
+ *   每条结果得到各维度的独立分级（保存在结果的 grades 中）；gradingBatchSize 为1时逐条调用 scoreResult
  */
 export class Scorer {
-  constructor(modelConfig, dimensions, scoringSystem) {
+  constructor(modelConfig, dimensions, scoringSystem, rateLimiter = new RateLimiter(modelConfig?.rate_limit)) {
     this.modelConfig = modelConfig;
     this.dimensions = dimensions;
     this.scoringSystem = scoringSystem;
+    this.rateLimiter = rateLimiter;
+    this.mockModel = modelConfig?.provider === 'mock' ? new MockModel(modelConfig) : null;
   }
 
   /**
@@ -16,9 +29,10 @@ export class Scorer {
    * @param {Object} searchResult - 搜索结果
    * @param {string} query - 原始查询
    * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { signal: 取消信号 }
    * @returns {Promise<Object>} 评分结果
    */
-  async scoreResult(searchResult, query, dimension) {
+  async scoreResult(searchResult, query, dimension, options = {}) {
     throw new Error('scoreResult方法需要在子类中实现');
   }
 
@@ -26,15 +40,22 @@ export class Scorer {
    * 批量评分搜索结果（优化版本 - 减少API调用）
    * @param {Array} searchResults - 搜索结果数组
    * @param {string} query - 搜索查询
+   * @param {Object} options - 评分选项 { signal: 取消信号, judgingMode: 评分模式（list 或 per_result）, gradingBatchSize: 逐条评分时每次调用评分的结果数量 }
    * @returns {Promise<Array>} 评分后的结果数组
    */
-  async batchScore(searchResults, query) {
+  async batchScore(searchResults, query, options = {}) {
+    const perResult = options.judgingMode === 'per_result';
+    const callsPerDimension = perResult ? Math.ceil(searchResults.length / this.getGradingBatchSize(searchResults, options)) : 1;
+    const totalCalls = callsPerDimension * this.dimensions.length * this.getJudgeCount();
+
     console.log('\n' + '='.repeat(80));
-    console.log('🎯 开始AI批量评估过程');
+    console.log(perResult ? '🎯 开始AI逐条评估过程' : '🎯 开始AI批量评估过程');
     console.log(`📝 查询: "${query}"`);
     console.log(`📊 待评估结果数量: ${searchResults.length}`);
     console.log(`🔍 评估维度: ${this.dimensions.map(d => `${d.name}(权重:${d.weight})`).join(', ')}`);
-    console.log(`🚀 评估说明: 每个维度仅调用1次API (本轮总共${this.dimensions.length}次调用)`);
+    console.log(perResult
+      ? `🚀 评估说明: 每个维度调用${callsPerDimension}次API，为每条结果单独评分 (本轮总共${totalCalls}次调用)`
+      : `🚀 评估说明: 每个维度仅调用1次API (本轮总共${totalCalls}次调用)`);
     console.log('='.repeat(80));
 
     const scoredResults = [];
@@ -46,15 +67,26 @@ export class Scorer {
       console.log(`\n📏 批量评估维度: ${dimension.name} (权重: ${dimension.weight})`);
       
       try {
-        // 调用子类实现的批量评分方法
-        const batchScoreResult = await this.batchScoreDimension(searchResults, query, dimension.name);
+        // 逐条评分或调用子类实现的批量评分方法
+        const batchScoreResult = perResult
+          ? await this.gradeDimension(searchResults, query, dimension.name, options)
+          : await this.batchScoreDimension(searchResults, query, dimension.name, options);
         dimensionScores[dimension.name] = batchScoreResult;
         
-        console.log(`   ✅ ${dimension.name}: 批量评分完成，处理了${searchResults.length}个结果`);
-        console.log(`      整体评分: ${batchScoreResult.score}分`);
-        console.log(`      评分理由: ${this.formatReasoningForDisplay(batchScoreResult.reasoning)}`);
+        console.log(`   ✅ ${dimension.name}: ${perResult ? '逐条' : '批量'}评分完成，处理了${searchResults.length}个结果`);
+        if (perResult) {
+          console.log(`      各结果评分: ${batchScoreResult.grades.map(item => item.grade ?? '失败').join(', ')}`);
+          console.log(`      平均评分: ${batchScoreResult.score.toFixed(2)}分`);
+        } else {
+          console.log(`      整体评分: ${batchScoreResult.score}分`);
+          console.log(`      评分理由: ${this.formatReasoningForDisplay(batchScoreResult.reasoning)}`);
+        }
         
       } catch (error) {
+        // 取消时不再继续评估剩余维度
+        if (isAbortError(error)) {
+          throw error;
+        }
         console.error(`   ❌ ${dimension.name} 批量评分失败:`, error.message);
         // 创建错误评分
         dimensionScores[dimension.name] = {
@@ -65,11 +97,6 @@ export class Scorer {
           resultCount: searchResults.length
         };
       }
-      
-      // 添加维度间延迟
-      if (this.dimensions.indexOf(dimension) < this.dimensions.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
     }
     
     // 计算整体加权评分
@@ -80,22 +107,36 @@ export class Scorer {
     
     const weightedScore = this.calculateWeightedScore(overallScores);
     
-    // 创建评分结果（整体评分应用到所有搜索结果）
+    // 创建评分结果（整体评分应用到所有搜索结果，逐条评分时每条结果另外保存各维度的分级）
     for (let i = 0; i < searchResults.length; i++) {
       const result = searchResults[i];
-      
-      scoredResults.push({
+      const scoredResult = {
         ...result,
         dimensionScores: overallScores,
         weightedScore,
         timestamp: new Date().toISOString()
-      });
+      };
+
+      if (perResult) {
+        scoredResult.grades = {};
+        this.dimensions.forEach(dimension => {
+          scoredResult.grades[dimension.name] = overallScores[dimension.name].grades?.[i]
+            || { grade: null, reasoning: overallScores[dimension.name].reasoning, error: true };
+        });
+        scoredResult.weightedGrade = this.calculateWeightedGrade(scoredResult.grades);
+      }
+
+      scoredResults.push(scoredResult);
+    }
+
+    if (perResult) {
+      this.logWeakResults(scoredResults);
     }
 
     console.log('\n' + '='.repeat(80));
-    console.log('✅ AI批量评估完成');
-    console.log(`📊 API调用优化: ${this.dimensions.length} 次调用 (原来需要 ${searchResults.length * this.dimensions.length} 次)`);
-    console.log(`🎯 效率提升: ${Math.round((1 - this.dimensions.length / (searchResults.length * this.dimensions.length)) * 100)}%`);
+    console.log(perResult ? '✅ AI逐条评估完成' : '✅ AI批量评估完成');
+    console.log(`📊 API调用优化: ${totalCalls} 次调用 (逐条单独调用需要 ${searchResults.length * this.dimensions.length * this.getJudgeCount()} 次)`);
+    console.log(`🎯 效率提升: ${Math.round((1 - totalCalls / Math.max(1, searchResults.length * this.dimensions.length * this.getJudgeCount())) * 100)}%`);
     console.log('='.repeat(80));
 
     return {
@@ -111,12 +152,251 @@ export class Scorer {
    * @param {Array} searchResults - 搜索结果数组
    * @param {string} query - 搜索查询
    * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { signal: 取消信号 }
    * @returns {Promise<Array>} 该维度下所有结果的评分数组
    */
-  async batchScoreDimension(searchResults, query, dimension) {
+  async batchScoreDimension(searchResults, query, dimension, options = {}) {
     throw new Error('batchScoreDimension方法需要在子类中实现');
   }
 
+  /**
+   * 每次评分请求实际调用模型的次数（集成多个评分模型时为模型数量）
+   * @returns {number} 评分模型数量
+   */
+  getJudgeCount() {
+    return 1;
+  }
+
+  /**
+   * 获取逐条评分时每次调用评分的结果数量（默认为全部结果）
+   * @param {Array} searchResults - 搜索结果数组
+   * @param {Object} options - 评分选项 { gradingBatchSize }
+   * @returns {number} 每批结果数量
+   */
+  getGradingBatchSize(searchResults, options = {}) {
+    return Math.max(1, options.gradingBatchSize || searchResults.length || 1);
+  }
+
+  /**
+   * 逐条评分单个维度：按批调用模型，为每条结果给出独立的分级
+   * 某一批调用失败或无法解析时，该批结果标记为评分失败，其余批次不受影响；
+   * 维度的整体分数为评分成功的结果的平均分
+   * @param {Array} searchResults - 搜索结果数组
+   * @param {string} query - 搜索查询
+   * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { signal, gradingBatchSize }
+   * @returns {Promise<Object>} 该维度的评分结果，grades 为与 searchResults 一一对应的 { grade, reasoning, error? }
+   */
+  async gradeDimension(searchResults, query, dimension, options = {}) {
+    const batchSize = this.getGradingBatchSize(searchResults, options);
+    const grades = [];
+
+    for (let start = 0; start < searchResults.length; start += batchSize) {
+      const batch = searchResults.slice(start, start + batchSize);
+
+      try {
+        grades.push(...await this.gradeBatch(batch, query, dimension, options));
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        console.error(`   ❌ ${dimension} 第${start + 1}-${start + batch.length}条结果评分失败:`, error.message);
+        grades.push(...batch.map(() => ({
+          grade: null,
+          reasoning: `逐条评分失败: ${error.message}`,
+          error: true
+        })));
+      }
+    }
+
+    const validGrades = grades.filter(item => !item.error).map(item => item.grade);
+    if (searchResults.length > 0 && validGrades.length === 0) {
+      throw new Error('所有结果的逐条评分均失败');
+    }
+
+    return {
+      score: validGrades.length > 0 ? validGrades.reduce((sum, grade) => sum + grade, 0) / validGrades.length : 0,
+      reasoning: `逐条评分：${validGrades.length}/${searchResults.length}条结果评分成功，整体分数为平均分`,
+      dimension,
+      scoringSystem: this.scoringSystem.name,
+      judgingMode: 'per_result',
+      promptVersion: this.getPromptVersion(dimension, options),
+      model: this.modelConfig?.model_name || null,
+      grades,
+      timestamp: new Date().toISOString(),
+      resultCount: searchResults.length
+    };
+  }
+
+  /**
+   * 获取维度的提示词版本：实际发送的逐条评分提示词（不含查询和结果）的短哈希，
+   * 修改提示词文件、评分标准或维度说明后版本随之改变，用于按版本比较评分与人工标注的一致性；
+   * gradingBatchSize 为1时逐条调用 scoreResult，哈希的是 buildPrompt 的模板
+   * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { gradingBatchSize }
+   * @returns {string} 8位十六进制版本号
+   */
+  getPromptVersion(dimension, options = {}) {
+    const template = options.gradingBatchSize === 1 && typeof this.buildPrompt === 'function'
+      ? this.buildPrompt({ title: '', url: '', snippet: '', source: '' }, '', dimension)
+      : this.buildGradingPrompt([], '', dimension).system;
+    return hashRequest(template, 8);
+  }
+
+  /**
+   * 对一批结果进行逐条评分
+   * @param {Array} batch - 本批搜索结果
+   * @param {string} query - 搜索查询
+   * @param {string} dimension - 评分维度
+   * @param {Object} options - 评分选项 { signal, gradingBatchSize }
+   * @returns {Promise<Array>} 与本批结果一一对应的 { grade, reasoning, error? }
+   */
+  async gradeBatch(batch, query, dimension, options = {}) {
+    if (options.gradingBatchSize === 1) {
+      const scored = await this.scoreResult(batch[0], query, dimension, { signal: options.signal });
+      // 无法解析的回复与逐条评分数组中缺少的评分一样记为评分失败，不使用保底分数
+      return [scored.error
+        ? { grade: null, reasoning: scored.reasoning, error: true }
+        : { grade: scored.score, reasoning: scored.reasoning }];
+    }
+
+    const prompt = this.buildGradingPrompt(batch, query, dimension);
+    const aiResponse = await this.callAIModel(prompt, { signal: options.signal, grades: batch.length });
+    const content = aiResponse.choices?.[0]?.message?.content || '';
+
+    return this.parseGradesResponse(content, batch.length);
+  }
+
+  /**
+   * 构建逐条评分提示词，要求模型在<result>标签中返回JSON数组
+   * 评分标准取自评分体系的 gradeCriteria，维度说明取自配置中的 description；
+   * 配置了该维度的提示词文件时，去掉其中的输出要求和输入占位部分后作为该维度的评分要求一并发送
+   * @param {Array} searchResults - 本批搜索结果
+   * @param {string} query - 原始查询
+   * @param {string} dimension - 评分维度
+   * @returns {Object} 包含系统提示和用户提示的对象
+   */
+  buildGradingPrompt(searchResults, query, dimension) {
+    const description = this.dimensions.find(item => item.name === dimension)?.description;
+    const scale = this.scoringSystem.scale;
+    const rubric = extractRubric(this.prompts?.[dimension] || '');
+
+    const resultsText = searchResults.map((result, index) => `
+结果${index + 1}：
+标题：${result.title}
+URL：${result.url}
+摘要：${result.snippet}
+来源：${result.source}
+${result.timestamp ? `发布时间：${result.timestamp}` : ''}
+`).join('\n');
+
+    const systemPrompt = `
+请对每一条搜索结果在"${dimension}"维度${description ? `（${description}）` : ''}上分别评分。每条结果单独判断，不要受其他结果好坏的影响。
+
+评分标准（${Math.min(...scale)}-${Math.max(...scale)}分）：
+${this.scoringSystem.gradeCriteria.map(line => `- ${line}`).join('\n')}
+${rubric ? `
+"${dimension}"维度的评分要求如下。其中按整个结果列表计数的标准请换算为对单条结果的判断，输出格式以本提示最后的要求为准：
+${rubric}
+` : ''}
+请先简要说明评分理由，然后在<result></result>标签中返回JSON数组，按结果编号顺序每条结果一个元素：
+<result>[{"index": 1, "grade": 评分, "reason": "一句话理由"}, ...]</result>
+`;
+
+    const userPrompt = `
+查询：${query}
+
+搜索结果：
+${resultsText}
+`;
+
+    return {
+      system: systemPrompt.trim(),
+      user: userPrompt.trim()
+    };
+  }
+
+  /**
+   * 解析逐条评分响应中的JSON数组
+   * 数组元素可以是 { index, grade, reason } 或数字；有 index 时按编号对应结果，否则按顺序对应；
+   * 缺少某条结果的评分时该条标记为评分失败
+   * @param {string} content - AI响应内容
+   * @param {number} expectedCount - 期望的结果数量
+   * @returns {Array} 与结果一一对应的 { grade, reasoning, error? }
+   */
+  parseGradesResponse(content, expectedCount) {
+    const tagged = content.match(/<result>([\s\S]*?)<\/result>/);
+    const arrayMatch = (tagged ? tagged[1] : content).match(/\[[\s\S]*\]/);
+    if (!arrayMatch) {
+      throw new Error('响应中没有逐条评分数组');
+    }
+
+    let items;
+    try {
+      items = JSON.parse(arrayMatch[0]);
+    } catch (error) {
+      throw new Error(`逐条评分数组不是有效的JSON: ${error.message}`, { cause: error });
+    }
+
+    return Array.from({ length: expectedCount }, (_, index) => {
+      const item = items.find(entry => Number(entry?.index) === index + 1) ?? items[index];
+      const value = typeof item === 'object' && item !== null ? Number(item.grade ?? item.score) : Number(item);
+
+      if (item === undefined || item === null || !Number.isFinite(value)) {
+        return { grade: null, reasoning: `缺少结果${index + 1}的评分`, error: true };
+      }
+
+      return {
+        grade: this.normalizeGrade(value),
+        reasoning: item.reason || item.reasoning || ''
+      };
+    });
+  }
+
+  /**
+   * 将分数取整并限制在评分体系的分值范围内
+   * @param {number} value - 原始分数
+   * @returns {number} 分级
+   */
+  normalizeGrade(value) {
+    const scale = this.scoringSystem.scale;
+    return Math.max(Math.min(...scale), Math.min(Math.max(...scale), Math.round(value)));
+  }
+
+  /**
+   * 计算单条结果各维度分级的加权分数（忽略评分失败的维度）
+   * @param {Object} grades - 各维度分级 { 维度: { grade, error? } }
+   * @returns {number|null} 加权分数，所有维度都失败时为null
+   */
+  calculateWeightedGrade(grades) {
+    const validDimensions = this.dimensions.filter(dimension => !grades[dimension.name]?.error);
+    if (validDimensions.length === 0) {
+      return null;
+    }
+
+    const scores = Object.fromEntries(
+      validDimensions.map(dimension => [dimension.name, { score: grades[dimension.name].grade }])
+    );
+    return this.calculateWeightedScore(scores);
+  }
+
+  /**
+   * 输出加权分数低于分值范围中点的结果，便于定位差的结果
+   * @param {Array} scoredResults - 逐条评分后的结果
+   */
+  logWeakResults(scoredResults) {
+    const scale = this.scoringSystem.scale;
+    const threshold = (Math.min(...scale) + Math.max(...scale)) / 2;
+    const weakResults = scoredResults.filter(result => result.weightedGrade !== null && result.weightedGrade < threshold);
+
+    if (weakResults.length > 0) {
+      console.log(`\n⚠️  加权分数低于${threshold}分的结果 (${weakResults.length}条):`);
+      weakResults.forEach(result => {
+        console.log(`   #${result.rank ?? '-'} ${result.weightedGrade.toFixed(2)}分 ${result.title || result.url}`);
+      });
+    }
+  }
+
   /**
    * 计算加权总分
    * @param {Object} scores - 各维度得分
@@ -140,69 +420,110 @@ export class Scorer {
   /**
    * 调用AI模型进行评分
    * @param {string|Object} prompt - 评分提示词（字符串或包含system和user的对象）
-   * @param {number} maxRetries - 最大重试次数
+   * @param {Object} options - 调用选项 { maxRetries: 最大重试次数（默认取模型配置的 max_retries）, signal: 取消信号, grades: 逐条评分时期望的评分数量 }
    * @returns {Promise<Object>} AI模型响应
    */
-  async callAIModel(prompt, maxRetries = 3) {
+  async callAIModel(prompt, options = {}) {
+    const messages = this.buildMessages(prompt);
+
+    return cassetteManager.run(
+      'judge',
+      { model: this.modelConfig.model_name, messages },
+      () => this.requestAIModel(messages, options)
+    );
+  }
+
+  /**
+   * 构建模型消息数组
+   * @param {string|Object} prompt - 评分提示词（字符串或包含system和user的对象）
+   * @returns {Array} 消息数组
+   */
+  buildMessages(prompt) {
+    if (typeof prompt === 'string') {
+      // 兼容旧版本：字符串提示词作为用户消息
+      return [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ];
+    }
+
+    // 新版本：支持系统提示和用户提示分离
+    const messages = [];
+    if (prompt.system) {
+      messages.push({
+        role: 'system',
+        content: prompt.system
+      });
+    }
+    if (prompt.user) {
+      messages.push({
+        role: 'user',
+        content: prompt.user
+      });
+    }
+    return messages;
+  }
+
+  /**
+   * 请求AI模型（带重试）
+   * 单次请求的超时时间取自模型配置的 timeout（毫秒）；被取消时不再重试；
+   * 每次请求都受模型配置的 rate_limit（令牌桶限速和最大并发数）约束
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - 调用选项 { maxRetries, signal, grades }
+   * @returns {Promise<Object>} AI模型响应
+   */
+  async requestAIModel(messages, options = {}) {
+    const maxRetries = options.maxRetries || this.modelConfig.max_retries || 3;
+
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        // 构建消息数组
-        let messages;
-        if (typeof prompt === 'string') {
-          // 兼容旧版本：字符串提示词作为用户消息
-          messages = [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ];
-        } else {
-          // 新版本：支持系统提示和用户提示分离
-          messages = [];
-          if (prompt.system) {
-            messages.push({
-              role: 'system',
-              content: prompt.system
-            });
-          }
-          if (prompt.user) {
-            messages.push({
-              role: 'user',
-              content: prompt.user
+        return await this.rateLimiter.schedule(async () => {
+          if (this.mockModel) {
+            return this.mockModel.complete(messages, {
+              scale: this.scoringSystem.scale,
+              grades: options.grades,
+              signal: options.signal
             });
           }
-        }
 
-        const response = await fetch(this.modelConfig.base_url, {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.modelConfig.model_key}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: this.modelConfig.model_name,
-            messages: messages,
-            temperature: 0.1,
-            max_tokens: 500
-          }),
-          timeout: 30000
-        });
+          const response = await fetchWithTimeout(this.modelConfig.base_url, {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${this.modelConfig.model_key}`,
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+              model: this.modelConfig.model_name,
+              messages: messages,
+              temperature: 0.1,
+              max_tokens: 500
+            })
+          }, {
+            timeout: this.modelConfig.timeout,
+            signal: options.signal
+          });
 
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          }
 
-        const data = await response.json();
-        return data;
+          return response.json();
+        }, options.signal);
       } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+
         console.error(`AI模型调用失败 (尝试 ${attempt}/${maxRetries}):`, error.message);
         
         if (attempt === maxRetries) {
-          throw new Error(`AI模型调用失败: ${error.message}`);
+          throw new Error(`AI模型调用失败: ${error.message}`, { cause: error });
         }
         
         // 等待后重试
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        await sleep(1000 * attempt, options.signal);
       }
     }
   }
@@ -304,4 +625,29 @@ export class Scorer {
     const scale = this.scoringSystem.scale;
     return score >= Math.min(...scale) && score <= Math.max(...scale);
   }
-}
\ No newline at end of file
+}
+
+// 提示词文件中不适用于逐条评分的章节：按整个列表打分的输出格式和查询、结果的占位
+const LIST_ONLY_SECTIONS = /输出要求|输入数据|搜索Query|搜索结果/;
+
+/**
+ * 从按整个列表打分的提示词文件中取出评分要求：去掉输出要求和输入占位章节（到下一个同级或更高级标题为止）
+ * @param {string} prompt - 提示词文件内容
+ * @returns {string} 评分要求，没有提示词时为空字符串
+ */
+function extractRubric(prompt) {
+  const kept = [];
+  let skipLevel = null;
+
+  prompt.split('\n').forEach(line => {
+    const heading = line.match(/^(#+)\s*(.*)$/);
+    if (heading && (skipLevel === null || heading[1].length <= skipLevel)) {
+      skipLevel = LIST_ONLY_SECTIONS.test(heading[2]) ? heading[1].length : null;
+    }
+    if (skipLevel === null) {
+      kept.push(line);
+    }
+  });
+
+  return kept.join('\n').trim();
+}
@@ -4,14 +4,24 @@ import { EvaluationManager } from './evaluation/EvaluationManager.js';
 import { BatchTestManager } from './batch/BatchTestManager.js';
 import { ReportGenerator } from './report/ReportGenerator.js';
 import { DataProcessor } from './data/DataProcessor.js';
+import { cassetteManager } from './utils/CassetteManager.js';
+
+export { SearchEngine } from './search/SearchEngine.js';
+export { searchEngineRegistry } from './search/SearchEngineRegistry.js';
+export { NORMALIZED_OPTIONS, normalizeSearchOptions } from './search/SearchOptions.js';
 
 /**
  * 网络搜索引擎评估系统主类
  * 整合所有功能模块，提供统一的API接口
  */
 export class WebSearchEvaluationSystem {
-  constructor(configPath = './config.json') {
+  /**
+   * @param {string} configPath - 配置文件路径
+   * @param {Object} options - 运行选项，其中的 cassette、cache 会覆盖配置文件中的同名配置，evaluation 会覆盖 evaluation 中的 qrels、skip_judge
+   */
+  constructor(configPath = './config.json', options = {}) {
     this.configPath = configPath;
+    this.options = options;
     this.configManager = new ConfigManager(configPath);
     this.config = null;
     this.searchEngineManager = null;
@@ -33,12 +43,21 @@ export class WebSearchEvaluationSystem {
       this.config = await this.configManager.loadConfig();
       console.log('✅ 配置加载成功');
 
-      // 初始化搜索引擎管理器
-      this.searchEngineManager = new SearchEngineManager(this.config);
+      // 配置录制/回放
+      cassetteManager.configure({
+        ...(this.config.cassette || {}),
+        ...(this.options.cassette || {})
+      });
+
+      // 初始化搜索引擎管理器（运行选项中的 cache 覆盖配置文件中的缓存配置）
+      this.searchEngineManager = await SearchEngineManager.create({
+        ...this.config,
+        cache: { ...(this.config.cache || {}), ...(this.options.cache || {}) }
+      });
       console.log('✅ 搜索引擎管理器初始化完成');
 
       // 初始化评估管理器
-      this.evaluationManager = await EvaluationManager.create(this.configManager);
+      this.evaluationManager = await EvaluationManager.create(this.configManager, this.options.evaluation);
       console.log('✅ 评估管理器初始化完成');
 
       // 初始化批量测试管理器
@@ -61,7 +80,7 @@ export class WebSearchEvaluationSystem {
   /**
    * 执行单个查询的评估
    * @param {string} query - 搜索查询
-   * @param {Object} options - 评估选项
+   * @param {Object} options - 评估选项 { searchOptions, signal: 取消信号 }
    * @returns {Promise<Object>} 评估结果
    */
   async evaluateSingleQuery(query, options = {}) {
@@ -73,16 +92,17 @@ export class WebSearchEvaluationSystem {
       // 执行搜索
       const searchResults = await this.searchEngineManager.searchWithAllEngines(
         query,
-        options.searchOptions || {}
+        { ...options.searchOptions, signal: options.signal }
       );
 
       // 执行评估
       const evaluationResult = await this.evaluationManager.evaluateQuery(
         query,
-        searchResults
+        searchResults,
+        { signal: options.signal }
       );
 
-      console.log(`✅ 查询 "${query}" 评估完成`);
+      console.log(evaluationResult.aborted ? `⚠️  查询 "${query}" 评估已中断` : `✅ 查询 "${query}" 评估完成`);
       return evaluationResult;
 
     } catch (error) {
@@ -94,7 +114,7 @@ export class WebSearchEvaluationSystem {
   /**
    * 执行批量测试
    * @param {string|Array} queriesInput - 查询文件路径或查询数组
-   * @param {Object} options - 测试选项
+   * @param {Object} options - 测试选项，options.signal 为取消信号，取消后仍保存已完成部分的结果和报告
    * @returns {Promise<Object>} 测试结果
    */
   async runBatchEvaluation(queriesInput, options = {}) {
@@ -110,7 +130,7 @@ export class WebSearchEvaluationSystem {
         await this.generateReports(result.finalReport, options.outputDir, options.reportOptions);
       }
 
-      console.log('🎉 批量评估完成！');
+      console.log(result.finalReport.metadata.aborted ? '⚠️  批量评估已中断，已保存部分结果' : '🎉 批量评估完成！');
       return result;
 
     } catch (error) {
@@ -147,6 +167,7 @@ export class WebSearchEvaluationSystem {
 
   /**
    * 测试搜索引擎连接
+   * responseTime 为搜索请求的总耗时（毫秒），timeToHeaders 为收到响应头的耗时（毫秒）
    * @returns {Promise<Object>} 连接测试结果
    */
   async testConnections() {
@@ -154,37 +175,24 @@ export class WebSearchEvaluationSystem {
     
     console.log('🔗 测试搜索引擎连接...');
     
-    const testQuery = '测试查询';
+    const probes = await this.searchEngineManager.probeEngines({ query: '测试查询' });
     const results = {};
 
-    const enabledEngines = this.searchEngineManager.getEnabledEngines();
-    
-    for (const engine of enabledEngines) {
-      const engineName = engine.getName();
-      console.log(`测试 ${engineName} 连接...`);
-      
-      try {
-        const result = await this.searchEngineManager.searchWithEngine(
-          engineName,
-          testQuery,
-          { maxResults: 1 }
-        );
-        
-        results[engineName] = {
+    for (const probe of probes) {
+      if (probe.status === 'ok') {
+        results[probe.engine] = {
           status: 'success',
-          resultCount: result.results.length,
-          responseTime: result.timestamp
+          resultCount: probe.result_count,
+          responseTime: probe.latency_ms,
+          timeToHeaders: probe.time_to_headers_ms
         };
-        
-        console.log(`✅ ${engineName} 连接正常`);
-        
-      } catch (error) {
-        results[engineName] = {
+        console.log(`✅ ${probe.engine} 连接正常 (${probe.latency_ms}ms)`);
+      } else {
+        results[probe.engine] = {
           status: 'failed',
-          error: error.message
+          error: probe.error
         };
-        
-        console.log(`❌ ${engineName} 连接失败: ${error.message}`);
+        console.log(`❌ ${probe.engine} 连接失败: ${probe.error}`);
       }
     }
 
@@ -209,6 +217,7 @@ export class WebSearchEvaluationSystem {
         dimensions: this.config.evaluation.dimensions.map(d => d.name),
         repeatTimes: this.config.evaluation.repeat_times
       },
+      cassette: cassetteManager.getStats(),
       timestamp: new Date().toISOString()
     };
   }
@@ -233,6 +242,10 @@ export class WebSearchEvaluationSystem {
     files.queries_txt = `${outputDir}/sample_queries.txt`;
     await this.dataProcessor.createSampleQueryFile(files.queries_txt, 'txt');
 
+    // 创建示例语料文件（local_corpus 搜索引擎使用）
+    files.corpus_jsonl = `${outputDir}/sample_corpus.jsonl`;
+    await this.dataProcessor.createSampleCorpusFile(files.corpus_jsonl);
+
     console.log('✅ 示例文件创建完成');
     return files;
   }
@@ -264,20 +277,21 @@ export class WebSearchEvaluationSystem {
 /**
  * 便捷函数：创建并初始化系统实例
  * @param {string} configPath - 配置文件路径
+ * @param {Object} options - 运行选项
  * @returns {Promise<WebSearchEvaluationSystem>} 初始化后的系统实例
  */
-export async function createEvaluationSystem(configPath = './config.json') {
-  const system = new WebSearchEvaluationSystem(configPath);
+export async function createEvaluationSystem(configPath = './config.json', options = {}) {
+  const system = new WebSearchEvaluationSystem(configPath, options);
   await system.initialize();
   return system;
 }
 
-// 如果直接运行此文件，执行演示
+// 如果直接运行此文件，执行演示（可通过第一个参数指定配置文件，如 config.mock.json）
 if (import.meta.url === `file://${process.argv[1]}`) {
   console.log('🎯 运行搜索引擎评估系统演示...\n');
   
   try {
-    const system = await createEvaluationSystem();
+    const system = await createEvaluationSystem(process.argv[2]);
     
     // 测试连接
     console.log('测试搜索引擎连接...');
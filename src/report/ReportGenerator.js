@@ -159,7 +159,9 @@ export class ReportGenerator {
             <p><strong>查询数量:</strong> ${metadata.total_queries || 1}</p>
             <p><strong>生成时间:</strong> ${metadata.generation_time ? new Date(metadata.generation_time).toLocaleString('zh-CN') : new Date().toLocaleString('zh-CN')}</p>
             <p><strong>启用引擎:</strong> ${(configSummary.enabled_engines || []).join(', ')}</p>
+            ${Object.keys(metadata.search_options || {}).length > 0 ? `<p><strong>搜索选项:</strong> ${this.formatSearchOptions(metadata.search_options)}</p>` : ''}
             <p><strong>评估维度:</strong> ${(configSummary.dimensions || ['权威性', '相关性', '时效性']).join(', ')}</p>
+            ${configSummary.judges?.aggregation ? `<p><strong>评分模型:</strong> ${this.formatJudges(configSummary.judges)}</p>` : ''}
         </div>
 
         <h2>🏆 引擎排名</h2>
@@ -205,6 +207,8 @@ export class ReportGenerator {
                     <th>搜索引擎</th>
                     <th>综合得分</th>
                     <th>成功率</th>
+                    <th>P50延迟</th>
+                    <th>P90延迟</th>
                 </tr>
             </thead>
             <tbody>
@@ -213,6 +217,12 @@ export class ReportGenerator {
         </table>
         ` : ''}
 
+        ${['binary', 'five_point'].map(scoringType => this.generateRankingMetricsTable(aggregatedResults.engine_performance || {}, scoringType)).join('')}
+
+        ${this.generateMetricsTableHtml('人工标注评估指标', this.getQrelsMetricsTable(aggregatedResults.engine_performance || {}))}
+
+        ${this.generateContestedTableHtml(aggregatedResults.contested_items || [])}
+
         ${aggregatedResults.engine_performance && Object.keys(aggregatedResults.engine_performance).length > 0 ? `
         <h2>📈 详细性能分析</h2>
         ${this.generatePerformanceAnalysis(aggregatedResults.engine_performance)}
@@ -260,10 +270,215 @@ export class ReportGenerator {
             <td>${item.engine}</td>
             <td class="${this.getScoreClass(item.combined_score)}">${item.combined_score.toFixed(3)}</td>
             <td>${(item.success_rate * 100).toFixed(1)}%</td>
+            <td>${this.formatLatency(item.latency_p50_ms)}</td>
+            <td>${this.formatLatency(item.latency_p90_ms)}</td>
         </tr>
     `).join('');
   }
 
+  /**
+   * 整理排序质量指标表格：nDCG列出所有截断位置，P、MRR、MAP、ERR取最大截断位置，按最大截断位置的nDCG排序，
+   * 最后一列为评分失败（按不相关计算）的结果比例
+   * @param {Object} enginePerformance - 引擎性能数据
+   * @param {string} scoringType - 评分制式
+   * @returns {Object|null} { columns: [{ key, label }], rows: [{ engine, values }] }，没有排序指标时返回null
+   */
+  getRankingMetricsTable(enginePerformance, scoringType) {
+    return this.buildMetricsTable(
+      Object.entries(enginePerformance).map(([engine, performance]) => [engine, performance.ranking_metrics?.[scoringType]]),
+      () => [{ key: 'ungraded_rate', label: '评分失败比例', percent: true }]
+    );
+  }
+
+  /**
+   * 整理人工标注指标表格：在排序质量指标之后增加最大截断位置的已标注比例和整体未标注比例
+   * @param {Object} enginePerformance - 引擎性能数据
+   * @returns {Object|null} 表格数据，没有人工标注指标时返回null
+   */
+  getQrelsMetricsTable(enginePerformance) {
+    return this.buildMetricsTable(
+      Object.entries(enginePerformance).map(([engine, performance]) => [engine, performance.qrels_metrics]),
+      k => [
+        { key: `judged@${k}`, label: `已标注@${k}`, percent: true },
+        { key: 'unjudged_rate', label: '未标注比例', percent: true }
+      ]
+    );
+  }
+
+  /**
+   * 整理指标表格
+   * @param {Array} entries - [[引擎名称, 指标]]，指标为空的引擎不列出
+   * @param {Function} extraColumns - 根据最大截断位置返回额外的列
+   * @returns {Object|null} { columns: [{ key, label }], rows: [{ engine, values }] }，没有指标时返回null
+   */
+  buildMetricsTable(entries, extraColumns = () => []) {
+    const validEntries = entries.filter(([_, metrics]) => metrics);
+    if (validEntries.length === 0) {
+      return null;
+    }
+
+    const cutoffs = [...new Set(validEntries.flatMap(([_, metrics]) =>
+      Object.keys(metrics)
+        .filter(key => key.startsWith('ndcg@'))
+        .map(key => Number(key.split('@')[1]))
+    ))].sort((a, b) => a - b);
+    const k = cutoffs[cutoffs.length - 1];
+    const columns = [
+      ...cutoffs.map(cutoff => ({ key: `ndcg@${cutoff}`, label: `nDCG@${cutoff}` })),
+      { key: `precision@${k}`, label: `P@${k}` },
+      { key: `mrr@${k}`, label: `MRR@${k}` },
+      { key: `map@${k}`, label: `MAP@${k}` },
+      { key: `err@${k}`, label: `ERR@${k}` },
+      ...extraColumns(k)
+    ];
+
+    const rows = validEntries
+      .sort(([_, a], [__, b]) => (b[`ndcg@${k}`] || 0) - (a[`ndcg@${k}`] || 0))
+      .map(([engine, metrics]) => ({
+        engine,
+        values: columns.map(column => {
+          const value = metrics[column.key];
+          if (typeof value !== 'number') {
+            return '-';
+          }
+          return column.percent ? `${(value * 100).toFixed(1)}%` : value.toFixed(3);
+        })
+      }));
+
+    return { columns, rows };
+  }
+
+  /**
+   * 生成排序质量指标表格HTML
+   * @param {Object} enginePerformance - 引擎性能数据
+   * @param {string} scoringType - 评分制式
+   * @returns {string} HTML内容，没有排序指标时为空字符串
+   */
+  generateRankingMetricsTable(enginePerformance, scoringType) {
+    return this.generateMetricsTableHtml(
+      `${scoringType === 'binary' ? '二分制' : '五分制'}排序质量指标`,
+      this.getRankingMetricsTable(enginePerformance, scoringType)
+    );
+  }
+
+  /**
+   * 生成指标表格HTML
+   * @param {string} title - 表格标题
+   * @param {Object|null} table - 表格数据
+   * @returns {string} HTML内容，没有表格数据时为空字符串
+   */
+  generateMetricsTableHtml(title, table) {
+    if (!table) {
+      return '';
+    }
+
+    return `
+        <h3>${title}</h3>
+        <table class="ranking-table">
+            <thead>
+                <tr>
+                    <th>搜索引擎</th>
+                    ${table.columns.map(column => `<th>${column.label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${table.rows.map(row => `
+                <tr>
+                    <td>${row.engine}</td>
+                    ${row.values.map(value => `<td>${value}</td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+  }
+
+  /**
+   * 整理评分模型分歧表格：按分差从大到小列出有分歧的条目，最多 limit 项
+   * @param {Array} contestedItems - aggregated_results.contested_items
+   * @param {number} limit - 最多列出的条目数
+   * @returns {Object|null} { columns, rows, note }，没有分歧条目时返回null
+   */
+  getContestedTable(contestedItems, limit = 50) {
+    if (contestedItems.length === 0) {
+      return null;
+    }
+
+    const rows = [...contestedItems]
+      .sort((a, b) => b.spread - a.spread)
+      .slice(0, limit)
+      .map(item => [
+        item.query,
+        item.engine,
+        item.scoring_system === 'binary' ? '二分制' : '五分制',
+        item.dimension,
+        item.url ? `#${item.rank ?? '-'} ${item.title || item.url}` : '整体评分',
+        this.formatJudgeScores(item.grades, 0),
+        item.spread
+      ]);
+
+    return {
+      columns: ['查询', '搜索引擎', '评分制式', '维度', '结果', '各评分模型评分', '分差'],
+      rows,
+      note: `共 ${contestedItems.length} 项评分模型分歧较大的条目${contestedItems.length > limit ? `，此处列出分差最大的 ${limit} 项` : ''}，完整列表见JSON报告的 \`aggregated_results.contested_items\`，建议人工复核。`
+    };
+  }
+
+  /**
+   * 生成评分模型分歧表格HTML
+   * @param {Array} contestedItems - aggregated_results.contested_items
+   * @returns {string} HTML内容，没有分歧条目时为空字符串
+   */
+  generateContestedTableHtml(contestedItems) {
+    const table = this.getContestedTable(contestedItems);
+    if (!table) {
+      return '';
+    }
+
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `
+        <h3>⚖️ 评分模型分歧</h3>
+        <table class="ranking-table">
+            <thead>
+                <tr>
+                    ${table.columns.map(column => `<th>${column}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${table.rows.map(row => `
+                <tr>
+                    ${row.map(cell => `<td>${escape(cell)}</td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        <p>${escape(table.note)}</p>
+    `;
+  }
+
+  /**
+   * 格式化评分模型配置
+   * @param {Object} judges - config_summary.judges
+   * @returns {string} 如 "glm, gpt（中位数聚合，分差超过1分标记为分歧）"
+   */
+  formatJudges(judges) {
+    const aggregation = { mean: '平均分', median: '中位数', majority: '多数投票' }[judges.aggregation] || judges.aggregation;
+    const threshold = typeof judges.disagreement_threshold === 'object'
+      ? Object.entries(judges.disagreement_threshold).map(([type, value]) => `${type === 'binary' ? '二分制' : '五分制'}${value}分`).join('、')
+      : `${judges.disagreement_threshold}分`;
+    return `${judges.names.join(', ')}（${aggregation}聚合，分差超过${threshold}标记为分歧）`;
+  }
+
+  /**
+   * 格式化各评分模型的分数
+   * @param {Object} scores - { 评分模型名称: 分数 }
+   * @param {number} digits - 小数位数
+   * @returns {string} 如 "glm 3.20 / gpt 3.50"
+   */
+  formatJudgeScores(scores, digits = 2) {
+    return Object.entries(scores || {})
+      .map(([name, score]) => `${name} ${typeof score === 'number' ? score.toFixed(digits) : '-'}`)
+      .join(' / ');
+  }
+
   /**
    * 生成性能分析HTML
    * @param {Object} enginePerformance - 引擎性能数据
@@ -277,11 +492,19 @@ export class ReportGenerator {
             <div class="progress-bar">
                 <div class="progress-fill" style="width: ${performance.success_rate * 100}%"></div>
             </div>
+            ${performance.cache_hit_rate !== undefined ? `<p><strong>搜索缓存命中率:</strong> ${(performance.cache_hit_rate * 100).toFixed(1)}%</p>` : ''}
+            ${typeof performance.average_attempts === 'number' ? `<p><strong>平均搜索尝试次数:</strong> ${performance.average_attempts.toFixed(2)} (重试比例: ${(performance.retry_rate * 100).toFixed(1)}%)</p>` : ''}
+            ${performance.unsupported_options?.length > 0 ? `<p><strong>⚠️ 不支持的搜索选项（未生效）:</strong> ${performance.unsupported_options.join(', ')}</p>` : ''}
+            ${performance.depth ? `<p><strong>结果深度:</strong> ${this.formatDepth(performance.depth)}</p>` : ''}
+            ${performance.latency?.total_ms ? `<p><strong>搜索延迟 (总耗时):</strong> ${this.formatLatencyStats(performance.latency.total_ms)}</p>` : ''}
+            ${performance.latency?.time_to_headers_ms ? `<p><strong>搜索延迟 (响应头):</strong> ${this.formatLatencyStats(performance.latency.time_to_headers_ms)}</p>` : ''}
             
             ${Object.entries(performance.average_scores).map(([scoringType, scores]) => `
                 <p><strong>${scoringType === 'binary' ? '二分制' : '五分制'}平均分:</strong> ${scores.mean.toFixed(3)} (范围: ${scores.min.toFixed(3)} - ${scores.max.toFixed(3)})</p>
                 <p><strong>标准差:</strong> ${scores.std_dev.toFixed(3)}</p>
+                ${performance.judge_scores?.[scoringType] ? `<p><strong>各评分模型平均分:</strong> ${this.formatJudgeScores(performance.judge_scores[scoringType])}</p>` : ''}
             `).join('')}
+            ${performance.contested_count > 0 ? `<p><strong>⚖️ 评分模型分歧:</strong> ${performance.contested_count}项</p>` : ''}
         </div>
     `).join('');
   }
@@ -305,8 +528,10 @@ export class ReportGenerator {
 - **测试轮次:** ${metadata.total_rounds || 1}
 - **查询数量:** ${metadata.total_queries || 1}
 - **生成时间:** ${metadata.generation_time ? new Date(metadata.generation_time).toLocaleString('zh-CN') : new Date().toLocaleString('zh-CN')}
-- **启用引擎:** ${(configSummary.enabled_engines || []).join(', ')}
-- **评估维度:** ${(configSummary.dimensions || ['权威性', '相关性', '时效性']).join(', ')}
+- **启用引擎:** ${(configSummary.enabled_engines || []).join(', ')}${Object.keys(metadata.search_options || {}).length > 0 ? `
+- **搜索选项:** ${this.formatSearchOptions(metadata.search_options)}` : ''}
+- **评估维度:** ${(configSummary.dimensions || ['权威性', '相关性', '时效性']).join(', ')}${configSummary.judges?.aggregation ? `
+- **评分模型:** ${this.formatJudges(configSummary.judges)}` : ''}
 
 ## 🏆 引擎排名
 `;
@@ -342,14 +567,54 @@ ${engineRankings.five_point.map(item =>
       content += `
 ### 综合排名
 
-| 排名 | 搜索引擎 | 综合得分 | 成功率 |
-|------|----------|----------|--------|
+| 排名 | 搜索引擎 | 综合得分 | 成功率 | P50延迟 | P90延迟 |
+|------|----------|----------|--------|---------|---------|
 ${engineRankings.combined.map(item => 
-  `| ${item.rank} | ${item.engine} | ${item.combined_score.toFixed(3)} | ${(item.success_rate * 100).toFixed(1)}% |`
+  `| ${item.rank} | ${item.engine} | ${item.combined_score.toFixed(3)} | ${(item.success_rate * 100).toFixed(1)}% | ${this.formatLatency(item.latency_p50_ms)} | ${this.formatLatency(item.latency_p90_ms)} |`
 ).join('\n')}
 `;
     }
 
+    // 添加排序质量指标（逐条评分时存在）和人工标注指标（加载了人工标注时存在）
+    [
+      ...['binary', 'five_point'].map(scoringType => [
+        `${scoringType === 'binary' ? '二分制' : '五分制'}排序质量指标`,
+        this.getRankingMetricsTable(enginePerformance, scoringType)
+      ]),
+      ['人工标注评估指标', this.getQrelsMetricsTable(enginePerformance)]
+    ].forEach(([title, table]) => {
+      if (table) {
+        content += `
+### ${title}
+
+| 搜索引擎 | ${table.columns.map(column => column.label).join(' | ')} |
+|----------|${table.columns.map(() => '------').join('|')}|
+${table.rows.map(row => `| ${row.engine} | ${row.values.join(' | ')} |`).join('\n')}
+`;
+      }
+    });
+
+    const unjudgedResults = aggregatedResults.unjudged_results || {};
+    const unjudgedCount = Object.values(unjudgedResults).reduce((sum, urls) => sum + urls.length, 0);
+    if (unjudgedCount > 0) {
+      content += `
+人工标注未覆盖 ${unjudgedCount} 条结果（${Object.keys(unjudgedResults).length} 个查询），完整列表见JSON报告的 \`aggregated_results.unjudged_results\`，可补充标注后重新评估。
+`;
+    }
+
+    const contested = this.getContestedTable(aggregatedResults.contested_items || []);
+    if (contested) {
+      content += `
+### ⚖️ 评分模型分歧
+
+| ${contested.columns.join(' | ')} |
+|${contested.columns.map(() => '------').join('|')}|
+${contested.rows.map(row => `| ${row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`).join('\n')}
+
+${contested.note}
+`;
+    }
+
     // 添加性能分析（如果存在）
     if (Object.keys(enginePerformance).length > 0) {
       content += `
@@ -358,10 +623,18 @@ ${engineRankings.combined.map(item =>
 ${Object.entries(enginePerformance).map(([engineName, performance]) => `
 ### ${engineName}
 
-- **成功率:** ${(performance.success_rate * 100).toFixed(1)}%
+- **成功率:** ${(performance.success_rate * 100).toFixed(1)}%${performance.cache_hit_rate !== undefined ? `
+- **搜索缓存命中率:** ${(performance.cache_hit_rate * 100).toFixed(1)}%` : ''}${typeof performance.average_attempts === 'number' ? `
+- **平均搜索尝试次数:** ${performance.average_attempts.toFixed(2)} (重试比例: ${(performance.retry_rate * 100).toFixed(1)}%)` : ''}${performance.unsupported_options?.length > 0 ? `
+- **⚠️ 不支持的搜索选项（未生效）:** ${performance.unsupported_options.join(', ')}` : ''}${performance.depth ? `
+- **结果深度:** ${this.formatDepth(performance.depth)}` : ''}${performance.latency?.total_ms ? `
+- **搜索延迟 (总耗时):** ${this.formatLatencyStats(performance.latency.total_ms)}` : ''}${performance.latency?.time_to_headers_ms ? `
+- **搜索延迟 (响应头):** ${this.formatLatencyStats(performance.latency.time_to_headers_ms)}` : ''}
 ${Object.entries(performance.average_scores || {}).map(([scoringType, scores]) => `
 - **${scoringType === 'binary' ? '二分制' : '五分制'}平均分:** ${scores.mean.toFixed(3)} (范围: ${scores.min.toFixed(3)} - ${scores.max.toFixed(3)})
-- **标准差:** ${scores.std_dev.toFixed(3)}`).join('')}
+- **标准差:** ${scores.std_dev.toFixed(3)}${performance.judge_scores?.[scoringType] ? `
+- **各评分模型平均分:** ${this.formatJudgeScores(performance.judge_scores[scoringType])}` : ''}`).join('')}${performance.contested_count > 0 ? `
+- **⚖️ 评分模型分歧:** ${performance.contested_count}项` : ''}
 `).join('')}
 `;
     }
@@ -451,6 +724,47 @@ ${'='.repeat(50)}
     return summary;
   }
 
+  /**
+   * 格式化搜索选项
+   * @param {Object} searchOptions - 搜索选项
+   * @returns {string} 格式化后的文本
+   */
+  formatSearchOptions(searchOptions) {
+    return Object.entries(searchOptions)
+      .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`)
+      .join('，');
+  }
+
+  /**
+   * 格式化结果深度统计，返回数量不足时加警告标记
+   * @param {Object} depth - { requested, average_returned, min_returned, short_rate }
+   * @returns {string} 格式化后的文本
+   */
+  formatDepth(depth) {
+    const text = `请求 ${depth.requested} 条，平均返回 ${depth.average_returned.toFixed(1)} 条（最少 ${depth.min_returned} 条）`;
+    return depth.short_rate > 0
+      ? `⚠️ ${text}，${(depth.short_rate * 100).toFixed(1)}% 的搜索返回数量不足`
+      : text;
+  }
+
+  /**
+   * 格式化单个延迟值
+   * @param {number|null} value - 延迟（毫秒）
+   * @returns {string} 格式化后的文本
+   */
+  formatLatency(value) {
+    return typeof value === 'number' ? `${value}ms` : '-';
+  }
+
+  /**
+   * 格式化延迟分布统计
+   * @param {Object} stats - { count, mean, p50, p90, p99, max }
+   * @returns {string} 格式化后的文本
+   */
+  formatLatencyStats(stats) {
+    return `P50 ${stats.p50}ms / P90 ${stats.p90}ms / P99 ${stats.p99}ms / 最大 ${stats.max}ms（${stats.count} 次）`;
+  }
+
   /**
    * 获取分数对应的CSS类
    * @param {number} score - 分数
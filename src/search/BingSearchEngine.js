@@ -0,0 +1,197 @@
+import { SearchEngine } from './SearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
+
+// 统一时间范围到Bing freshness 取值的映射（year 没有对应取值，使用日期范围）
+const FRESHNESS = {
+  day: 'Day',
+  week: 'Week',
+  month: 'Month'
+};
+
+// 统一安全搜索级别到Bing safeSearch 取值的映射
+const SAFE_SEARCH = {
+  off: 'Off',
+  moderate: 'Moderate',
+  strict: 'Strict'
+};
+
+/**
+ * Bing搜索引擎实现
+ * 调用Bing Web Search API v7 进行网络搜索
+ *
+ * 除统一搜索选项外，也可以通过引擎配置的 options 或搜索选项直接传入Bing参数：
+ * mkt（市场，如 zh-CN）、freshness（Day/Week/Month 或 YYYY-MM-DD..YYYY-MM-DD）、
+ * count（每页数量，最大50）、offset（起始结果偏移）、responseFilter（默认 Webpages）
+ */
+export class BingSearchEngine extends SearchEngine {
+  static capabilities = {
+    language: 'mkt（语言-地区）/ setLang',
+    region: 'mkt（语言-地区）/ cc',
+    recency: 'freshness',
+    includeSites: '查询中的 site: 语法',
+    excludeSites: '查询中的 -site: 语法',
+    safeSearch: 'safeSearch',
+    maxResults: 'count + offset 分页'
+  };
+
+  constructor(config, name = 'bing') {
+    super(name, config);
+  }
+
+  /**
+   * 执行Bing搜索
+   * 结果数量超过每页数量（count 选项或配置 page_size，默认50）时通过 offset 参数分页获取
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async search(query, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error('Bing搜索引擎配置无效');
+    }
+
+    try {
+      const maxResults = this.getMaxResults(options);
+      const { items, pages } = await this.paginate(
+        async (page, pageSize) => {
+          const data = await this.requestPage(query, options, page, pageSize);
+          return { items: data?.webPages?.value || [], raw: data };
+        },
+        maxResults,
+        Math.min(Number(options.count || this.config.page_size || 50), 50)
+      );
+
+      return this.formatResults({
+        query,
+        total: pages[0]?.webPages?.totalEstimatedMatches || 0,
+        results: this.parseBingResults(items, maxResults),
+        raw: pages.length === 1 ? pages[0] : { pages }
+      });
+
+    } catch (error) {
+      console.error(`Bing搜索失败: ${error.message}`);
+      throw new Error(`Bing搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 请求单页结果
+   * Bing的 offset 以结果条数为单位，实际偏移为 options.offset + (page - 1) * pageSize
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @param {number} page - 页码（从1开始）
+   * @param {number} pageSize - 每页结果数量
+   * @returns {Promise<Object>} 原始响应数据
+   */
+  async requestPage(query, options, page, pageSize) {
+    const params = new URLSearchParams({
+      q: this.applySiteOperators(query, options),
+      count: String(pageSize),
+      responseFilter: options.responseFilter || 'Webpages'
+    });
+
+    const offset = Number(options.offset || 0) + (page - 1) * pageSize;
+    if (offset > 0) {
+      params.set('offset', String(offset));
+    }
+
+    const market = this.getMarket(options);
+    if (market) {
+      params.set('mkt', market);
+    } else {
+      if (options.language) {
+        params.set('setLang', options.language);
+      }
+      if (options.region) {
+        params.set('cc', options.region.toUpperCase());
+      }
+    }
+
+    const freshness = options.freshness || this.getFreshness(options.recency);
+    if (freshness) {
+      params.set('freshness', freshness);
+    }
+
+    if (options.safeSearch) {
+      params.set('safeSearch', SAFE_SEARCH[options.safeSearch]);
+    }
+
+    const response = await this.request(`${this.config.base_url}?${params}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'Ocp-Apim-Subscription-Key': this.config.api_key
+      }
+    }, options.signal);
+
+    if (!response.ok) {
+      throw createHttpError(response);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * 获取本次请求的市场代码
+   * 优先使用 mkt 选项；否则由带地区的语言代码（如 zh-cn）或 language + region 组合得到，如 zh-CN
+   * @param {Object} options - 搜索选项
+   * @returns {string|null} 市场代码
+   */
+  getMarket(options = {}) {
+    if (options.mkt) {
+      return options.mkt;
+    }
+
+    const [language, languageRegion] = (options.language || '').split('-');
+    const region = languageRegion || options.region;
+    if (!language || !region) {
+      return null;
+    }
+    return `${language}-${region.toUpperCase()}`;
+  }
+
+  /**
+   * 将统一时间范围转换为Bing freshness 取值
+   * @param {string} recency - 统一时间范围
+   * @returns {string|null} freshness 取值
+   */
+  getFreshness(recency) {
+    if (recency === 'year') {
+      const end = new Date();
+      const start = new Date(end);
+      start.setFullYear(end.getFullYear() - 1);
+      return `${start.toISOString().slice(0, 10)}..${end.toISOString().slice(0, 10)}`;
+    }
+    return FRESHNESS[recency] || null;
+  }
+
+  /**
+   * 解析Bing API返回的结果（webPages.value）
+   * timestamp 优先使用发布日期 datePublished，没有时使用抓取日期 dateLastCrawled
+   * @param {Array} rawResults - 原始结果数组
+   * @param {number} maxResults - 最大结果数量
+   * @returns {Array} 格式化的结果数组
+   */
+  parseBingResults(rawResults, maxResults = 10) {
+    if (!Array.isArray(rawResults)) {
+      return [];
+    }
+
+    const limitedResults = rawResults.slice(0, maxResults);
+
+    if (rawResults.length > maxResults) {
+      console.log(`Bing返回了${rawResults.length}条结果，已限制为${maxResults}条`);
+    }
+
+    return limitedResults.map((item, index) => ({
+      rank: index + 1,
+      title: item.name || '',
+      url: item.url || '',
+      snippet: item.snippet || '',
+      source: item.siteName || this.extractDomain(item.url),
+      timestamp: item.datePublished || item.dateLastCrawled || null,
+      datePublished: item.datePublished || null,
+      dateLastCrawled: item.dateLastCrawled || null
+    }));
+  }
+}
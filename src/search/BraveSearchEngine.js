@@ -0,0 +1,169 @@
+import { SearchEngine } from './SearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
+
+// 统一时间范围到Brave freshness 取值的映射
+const FRESHNESS = {
+  day: 'pd',
+  week: 'pw',
+  month: 'pm',
+  year: 'py'
+};
+
+// 统一语言代码到Brave search_lang 取值的映射（Brave区分简体和繁体中文）
+const SEARCH_LANGS = {
+  zh: 'zh-hans',
+  'zh-cn': 'zh-hans',
+  'zh-sg': 'zh-hans',
+  'zh-tw': 'zh-hant',
+  'zh-hk': 'zh-hant'
+};
+
+/**
+ * Brave搜索引擎实现
+ * 调用Brave Web Search API进行网络搜索
+ *
+ * 除统一搜索选项外，也可以通过引擎配置的 options 或搜索选项直接传入Brave参数：
+ * count（每页数量，最大20）、offset（起始页偏移）、country、search_lang、freshness（pd/pw/pm/py 或 YYYY-MM-DDtoYYYY-MM-DD）
+ */
+export class BraveSearchEngine extends SearchEngine {
+  static capabilities = {
+    language: 'search_lang',
+    region: 'country',
+    recency: 'freshness（pd/pw/pm/py）',
+    includeSites: '查询中的 site: 语法',
+    excludeSites: '查询中的 -site: 语法',
+    safeSearch: 'safesearch',
+    maxResults: 'count + offset 分页'
+  };
+
+  constructor(config, name = 'brave') {
+    super(name, config);
+  }
+
+  /**
+   * 执行Brave搜索
+   * 结果数量超过每页数量（count 选项或配置 page_size，默认20）时通过 offset 参数分页获取
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async search(query, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error('Brave搜索引擎配置无效');
+    }
+
+    try {
+      const maxResults = this.getMaxResults(options);
+      const { items, pages } = await this.paginate(
+        async (page, pageSize) => {
+          const data = await this.requestPage(query, options, page, pageSize);
+          return { items: data?.web?.results || [], raw: data };
+        },
+        maxResults,
+        Math.min(Number(options.count || this.config.page_size || 20), 20)
+      );
+
+      return this.formatResults({
+        query,
+        total: items.length,
+        results: this.parseBraveResults(items, maxResults),
+        raw: pages.length === 1 ? pages[0] : { pages }
+      });
+
+    } catch (error) {
+      console.error(`Brave搜索失败: ${error.message}`);
+      throw new Error(`Brave搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 请求单页结果
+   * Brave的 offset 以页为单位（从0开始），实际偏移为 options.offset + page - 1
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @param {number} page - 页码（从1开始）
+   * @param {number} pageSize - 每页结果数量
+   * @returns {Promise<Object>} 原始响应数据
+   */
+  async requestPage(query, options, page, pageSize) {
+    const params = new URLSearchParams({
+      q: this.applySiteOperators(query, options),
+      count: String(pageSize)
+    });
+
+    const offset = Number(options.offset || 0) + page - 1;
+    if (offset > 0) {
+      params.set('offset', String(offset));
+    }
+
+    const country = options.country || options.region;
+    if (country) {
+      params.set('country', country.toUpperCase());
+    }
+
+    const searchLang = options.search_lang || SEARCH_LANGS[options.language] || options.language;
+    if (searchLang) {
+      params.set('search_lang', searchLang);
+    }
+
+    const freshness = options.freshness || FRESHNESS[options.recency];
+    if (freshness) {
+      params.set('freshness', freshness);
+    }
+
+    if (options.safeSearch) {
+      params.set('safesearch', options.safeSearch);
+    }
+
+    const response = await this.request(`${this.config.base_url}?${params}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'X-Subscription-Token': this.config.api_key
+      }
+    }, options.signal);
+
+    if (!response.ok) {
+      throw createHttpError(response);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * 解析Brave API返回的结果（web.results）
+   * @param {Array} rawResults - 原始结果数组
+   * @param {number} maxResults - 最大结果数量
+   * @returns {Array} 格式化的结果数组
+   */
+  parseBraveResults(rawResults, maxResults = 10) {
+    if (!Array.isArray(rawResults)) {
+      return [];
+    }
+
+    const limitedResults = rawResults.slice(0, maxResults);
+
+    if (rawResults.length > maxResults) {
+      console.log(`Brave返回了${rawResults.length}条结果，已限制为${maxResults}条`);
+    }
+
+    return limitedResults.map((item, index) => ({
+      rank: index + 1,
+      title: this.stripTags(item.title),
+      url: item.url || '',
+      snippet: this.stripTags(item.description),
+      source: item.profile?.name || item.meta_url?.hostname || this.extractDomain(item.url),
+      timestamp: item.page_age || null,
+      age: item.age || null
+    }));
+  }
+
+  /**
+   * 去除Brave在标题和摘要中用于高亮的HTML标签
+   * @param {string} text - 原始文本
+   * @returns {string} 纯文本
+   */
+  stripTags(text) {
+    return (text || '').replace(/<[^>]+>/g, '');
+  }
+}
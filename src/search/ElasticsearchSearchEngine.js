@@ -0,0 +1,203 @@
+import { HttpJsonSearchEngine } from './HttpJsonSearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
+
+// 默认查询模板：在 title 和 content 字段上做 multi_match，并返回 content 的高亮片段
+const DEFAULT_QUERY_TEMPLATE = {
+  query: {
+    multi_match: {
+      query: '{{query}}',
+      fields: ['title^2', 'content']
+    }
+  },
+  highlight: {
+    fields: {
+      content: { fragment_size: 150, number_of_fragments: 3 }
+    }
+  }
+};
+
+// 默认字段路径（相对于每条 hit）
+const DEFAULT_FIELDS = {
+  title: '_source.title',
+  url: '_source.url',
+  snippet: '_source.content',
+  source: '_source.source',
+  timestamp: '_source.published_at',
+  score: '_score'
+};
+
+/**
+ * Elasticsearch/OpenSearch搜索引擎实现
+ * 向 _search 接口发送可配置的查询DSL模板，用于以与公共搜索引擎相同的评分模型和提示词评估自有索引
+ *
+ * 配置示例：
+ * {
+ *   "type": "elasticsearch",
+ *   "base_url": "http://localhost:9200/docs/_search",
+ *   "api_key": "...",
+ *   "query_template": { "query": { "match": { "body": "{{query}}" } }, "highlight": { "fields": { "body": {} } } },
+ *   "fields": { "title": "_source.headline", "url": "_source.link", "snippet": "_source.body", "timestamp": "_source.date" }
+ * }
+ *
+ * 查询模板的占位符规则与 http_json 适配器相同；模板中未指定 size 时按结果数量补充 size。
+ * 认证：配置 api_key 时发送 Authorization: ApiKey，配置 username/password 时使用Basic认证
+ */
+export class ElasticsearchSearchEngine extends HttpJsonSearchEngine {
+  constructor(config, name = 'elasticsearch') {
+    super(config, name);
+  }
+
+  /**
+   * 执行搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async search(query, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error(`${this.name}搜索引擎配置无效`);
+    }
+
+    try {
+      const variables = this.buildTemplateVariables(query, options);
+      const body = this.renderValue(this.getQueryTemplate(), variables);
+      if (body.size === undefined) {
+        body.size = variables.maxResults;
+      }
+
+      const response = await this.request(this.config.base_url, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders(),
+          ...(this.config.headers || {})
+        },
+        body: JSON.stringify(body)
+      }, options.signal);
+
+      if (!response.ok) {
+        throw createHttpError(response);
+      }
+
+      const data = await response.json();
+      const total = data?.hits?.total;
+      const results = this.parseHits(data?.hits?.hits, variables.maxResults);
+
+      return this.formatResults({
+        query,
+        total: typeof total === 'number' ? total : (total?.value ?? results.length),
+        results,
+        raw: data
+      });
+
+    } catch (error) {
+      console.error(`${this.name}搜索失败: ${error.message}`);
+      throw new Error(`${this.name}搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 获取查询DSL模板（支持对象或JSON字符串）
+   * @returns {Object} 查询模板
+   */
+  getQueryTemplate() {
+    const template = this.config.query_template || DEFAULT_QUERY_TEMPLATE;
+    return typeof template === 'string' ? JSON.parse(template) : template;
+  }
+
+  /**
+   * 获取支持的统一搜索选项（由查询模板中的占位符推断，结果数量通过 size 传递）
+   * @returns {Object} 选项名称到模板占位符的映射
+   */
+  getCapabilities() {
+    return { ...super.getCapabilities(), maxResults: 'size' };
+  }
+
+  /**
+   * 收集查询模板中引用的占位符名称，用于推断支持的统一搜索选项
+   * @returns {Set} 占位符名称集合
+   */
+  getTemplatePlaceholders() {
+    const template = JSON.stringify(this.config.query_template || DEFAULT_QUERY_TEMPLATE);
+    return new Set([...template.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(match => match[1]));
+  }
+
+  /**
+   * 构建认证请求头
+   * @returns {Object} 请求头
+   */
+  getAuthHeaders() {
+    if (this.config.api_key) {
+      return { 'Authorization': `ApiKey ${this.config.api_key}` };
+    }
+    if (this.config.username) {
+      const credentials = Buffer.from(`${this.config.username}:${this.config.password || ''}`).toString('base64');
+      return { 'Authorization': `Basic ${credentials}` };
+    }
+    return {};
+  }
+
+  /**
+   * 按字段路径解析命中结果
+   * 有高亮片段时优先作为摘要（去除高亮标签），否则使用 snippet 字段
+   * @param {Array} hits - hits.hits 数组
+   * @param {number} maxResults - 最大结果数量
+   * @returns {Array} 格式化的结果数组
+   */
+  parseHits(hits, maxResults) {
+    if (!Array.isArray(hits)) {
+      return [];
+    }
+
+    const fields = { ...DEFAULT_FIELDS, ...(this.config.fields || {}) };
+    const limitedHits = hits.slice(0, maxResults);
+
+    if (hits.length > maxResults) {
+      console.log(`${this.name}返回了${hits.length}条结果，已限制为${maxResults}条`);
+    }
+
+    return limitedHits.map((hit, index) => {
+      const url = this.getValueByPath(hit, fields.url) || '';
+      return {
+        rank: index + 1,
+        title: this.getValueByPath(hit, fields.title) || '',
+        url,
+        snippet: this.getHighlightSnippet(hit) || this.getValueByPath(hit, fields.snippet) || '',
+        source: this.getValueByPath(hit, fields.source) || this.extractDomain(url),
+        timestamp: this.getValueByPath(hit, fields.timestamp) || null,
+        score: this.getValueByPath(hit, fields.score) ?? null,
+        id: hit._id ?? null
+      };
+    });
+  }
+
+  /**
+   * 拼接命中结果的高亮片段
+   * 配置 highlight_field 时只使用该字段的片段，否则按返回顺序使用所有字段的片段
+   * @param {Object} hit - 命中结果
+   * @returns {string} 摘要，没有高亮时为空字符串
+   */
+  getHighlightSnippet(hit) {
+    const highlight = hit?.highlight;
+    if (!highlight) {
+      return '';
+    }
+
+    const fragments = this.config.highlight_field
+      ? highlight[this.config.highlight_field] || []
+      : Object.values(highlight).flat();
+
+    return fragments
+      .map(fragment => String(fragment).replace(/<\/?[^>]+>/g, ''))
+      .join(' … ');
+  }
+
+  /**
+   * 验证配置（只要求有 _search 地址，认证可选）
+   * @returns {boolean} 配置是否有效
+   */
+  validateConfig() {
+    return !!(this.config && this.config.base_url);
+  }
+}
@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * 搜索引擎健康记录
+ * 将每个引擎最近一次健康检查的结果持久化到磁盘（只有 engines --probe 写入），
+ * 供 engines 命令展示“最近健康状态”
+ *
+ * 配置：
+ * - file：记录文件路径（默认 ./cache/engine_health.json）
+ */
+export class EngineHealthStore {
+  constructor(healthConfig = {}) {
+    this.file = path.resolve(process.cwd(), healthConfig.file || './cache/engine_health.json');
+  }
+
+  /**
+   * 读取所有引擎的健康记录
+   * @returns {Promise<Object>} 引擎名称到健康记录的映射
+   */
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  读取引擎健康记录失败，忽略: ${this.file} (${error.message})`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * 写入健康记录（与已有记录合并，同名引擎覆盖）
+   * @param {Object} records - 引擎名称到健康记录的映射
+   * @returns {Promise<void>}
+   */
+  async update(records) {
+    const current = await this.load();
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify({ ...current, ...records }, null, 2));
+  }
+}
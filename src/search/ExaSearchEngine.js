@@ -0,0 +1,147 @@
+import { SearchEngine } from './SearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
+
+// 统一时间范围对应的天数，用于计算 startPublishedDate
+const RECENCY_DAYS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+/**
+ * Exa搜索引擎实现
+ * 调用面向LLM智能体的Exa Search API，通过 contents 参数同时获取网页正文（text）和高亮片段
+ *
+ * 除统一搜索选项外，也可以通过引擎配置的 options 或搜索选项直接传入Exa参数：
+ * type（auto/neural/keyword/fast，即搜索深度）、category、includeDomains、excludeDomains、
+ * startPublishedDate、endPublishedDate；配置 max_characters 限制每条结果正文的长度
+ */
+export class ExaSearchEngine extends SearchEngine {
+  static capabilities = {
+    recency: 'startPublishedDate',
+    includeSites: 'includeDomains',
+    excludeSites: 'excludeDomains',
+    maxResults: 'numResults'
+  };
+
+  constructor(config, name = 'exa') {
+    super(name, config);
+  }
+
+  /**
+   * 执行Exa搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async search(query, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error('Exa搜索引擎配置无效');
+    }
+
+    try {
+      const requestData = {
+        query,
+        type: options.type || this.config.search_type || 'auto',
+        numResults: this.getMaxResults(options),
+        contents: {
+          text: this.config.max_characters ? { maxCharacters: this.config.max_characters } : true,
+          highlights: true
+        }
+      };
+
+      if (options.category) {
+        requestData.category = options.category;
+      }
+      const includeDomains = options.includeDomains || options.includeSites;
+      if (includeDomains?.length) {
+        requestData.includeDomains = includeDomains;
+      }
+      const excludeDomains = options.excludeDomains || options.excludeSites;
+      if (excludeDomains?.length) {
+        requestData.excludeDomains = excludeDomains;
+      }
+      const startPublishedDate = options.startPublishedDate || this.getStartPublishedDate(options.recency);
+      if (startPublishedDate) {
+        requestData.startPublishedDate = startPublishedDate;
+      }
+      if (options.endPublishedDate) {
+        requestData.endPublishedDate = options.endPublishedDate;
+      }
+
+      const response = await this.request(this.config.base_url, {
+        method: 'POST',
+        headers: {
+          'x-api-key': this.config.api_key,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestData)
+      }, options.signal);
+
+      if (!response.ok) {
+        throw createHttpError(response);
+      }
+
+      const data = await response.json();
+      const results = this.parseExaResults(data?.results || [], requestData.numResults);
+
+      return {
+        ...this.formatResults({
+          query,
+          total: results.length,
+          results,
+          raw: data
+        }),
+        searchType: data?.resolvedSearchType || requestData.type
+      };
+
+    } catch (error) {
+      console.error(`Exa搜索失败: ${error.message}`);
+      throw new Error(`Exa搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 将统一时间范围转换为发布日期下限
+   * @param {string} recency - 统一时间范围
+   * @returns {string|null} ISO格式的日期
+   */
+  getStartPublishedDate(recency) {
+    if (!RECENCY_DAYS[recency]) {
+      return null;
+    }
+    return new Date(Date.now() - RECENCY_DAYS[recency] * 86400000).toISOString();
+  }
+
+  /**
+   * 解析Exa API返回的结果
+   * 摘要优先使用高亮片段，其次是 summary，最后截取正文开头
+   * @param {Array} rawResults - 原始结果数组
+   * @param {number} maxResults - 最大结果数量
+   * @returns {Array} 格式化的结果数组
+   */
+  parseExaResults(rawResults, maxResults = 10) {
+    if (!Array.isArray(rawResults)) {
+      return [];
+    }
+
+    const limitedResults = rawResults.slice(0, maxResults);
+
+    if (rawResults.length > maxResults) {
+      console.log(`Exa返回了${rawResults.length}条结果，已限制为${maxResults}条`);
+    }
+
+    return limitedResults.map((item, index) => ({
+      rank: index + 1,
+      title: item.title || '',
+      url: item.url || '',
+      snippet: item.highlights?.length ? item.highlights.join(' … ') : (item.summary || (item.text || '').slice(0, 300)),
+      source: this.extractDomain(item.url),
+      timestamp: item.publishedDate || null,
+      content: item.text || null,
+      author: item.author || null,
+      score: item.score ?? null
+    }));
+  }
+}
@@ -0,0 +1,250 @@
+import { SearchEngine } from './SearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
+import { NORMALIZED_OPTIONS } from './SearchOptions.js';
+
+/**
+ * 通用HTTP/JSON搜索引擎实现
+ * 请求方式、URL模板、请求头、请求体模板以及结果字段映射全部由配置声明，
+ * 无需编写子类即可接入新的搜索服务
+ *
+ * 配置示例：
+ * {
+ *   "type": "http_json",
+ *   "api_key": "...",
+ *   "base_url": "https://api.example.com/search",
+ *   "request": {
+ *     "method": "POST",
+ *     "url": "{{base_url}}?lang={{language}}",
+ *     "headers": { "Authorization": "Bearer {{api_key}}" },
+ *     "body": { "q": "{{query}}", "size": "{{maxResults}}" }
+ *   },
+ *   "response": {
+ *     "results_path": "data.items",
+ *     "total_path": "data.total",
+ *     "fields": { "title": "title", "url": "link", "snippet": "summary", "timestamp": "meta.date" }
+ *   }
+ * }
+ *
+ * 支持的统一搜索选项由请求模板中引用的占位符推断（如 {{language}}、{{recency}}），
+ * 也可以通过 supported_options 显式声明；站点列表在模板中渲染为逗号分隔的字符串
+ */
+export class HttpJsonSearchEngine extends SearchEngine {
+  constructor(config, name = 'http_json') {
+    super(name, config);
+  }
+
+  /**
+   * 执行搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async search(query, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error(`${this.name}搜索引擎配置无效`);
+    }
+
+    try {
+      const variables = this.buildTemplateVariables(query, options);
+      const requestConfig = this.config.request || {};
+      const method = (requestConfig.method || 'GET').toUpperCase();
+
+      const url = this.renderTemplate(
+        requestConfig.url || '{{base_url}}',
+        variables,
+        (value, name) => (name === 'base_url' ? value : encodeURIComponent(value))
+      );
+      const headers = this.renderValue({
+        'Accept': 'application/json',
+        ...(method !== 'GET' && requestConfig.body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(requestConfig.headers || {})
+      }, variables);
+
+      const fetchOptions = { method, headers };
+      if (method !== 'GET' && requestConfig.body !== undefined) {
+        const body = this.renderValue(requestConfig.body, variables);
+        fetchOptions.body = typeof body === 'string' ? body : JSON.stringify(body);
+      }
+
+      const response = await this.request(url, fetchOptions, options.signal);
+
+      if (!response.ok) {
+        throw createHttpError(response);
+      }
+
+      const data = await response.json();
+      const responseConfig = this.config.response || {};
+      const rawResults = this.getValueByPath(data, responseConfig.results_path);
+      const results = this.parseResults(rawResults, variables.maxResults);
+      const total = this.getValueByPath(data, responseConfig.total_path);
+
+      return this.formatResults({
+        query,
+        total: total ?? results.length,
+        results,
+        raw: data
+      });
+
+    } catch (error) {
+      console.error(`${this.name}搜索失败: ${error.message}`);
+      throw new Error(`${this.name}搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 获取支持的统一搜索选项
+   * @returns {Object} 选项名称到模板占位符的映射
+   */
+  getCapabilities() {
+    const supported = this.config.supported_options
+      || NORMALIZED_OPTIONS.filter(option => this.getTemplatePlaceholders().has(option));
+
+    return {
+      maxResults: '截取前 maxResults 条结果',
+      ...Object.fromEntries(supported.map(option => [option, `{{${option}}}`]))
+    };
+  }
+
+  /**
+   * 收集请求模板（URL、请求头、请求体）中引用的占位符名称
+   * @returns {Set} 占位符名称集合
+   */
+  getTemplatePlaceholders() {
+    const template = JSON.stringify(this.config.request || {});
+    return new Set([...template.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(match => match[1]));
+  }
+
+  /**
+   * 构建模板变量
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Object} 模板变量
+   */
+  buildTemplateVariables(query, options) {
+    return {
+      ...(this.config.variables || {}),
+      ...options,
+      includeSites: options.includeSites?.join(','),
+      excludeSites: options.excludeSites?.join(','),
+      query,
+      maxResults: this.getMaxResults(options),
+      language: options.language || this.config.language || 'zh-cn',
+      api_key: this.config.api_key || '',
+      base_url: this.config.base_url || ''
+    };
+  }
+
+  /**
+   * 渲染字符串模板，替换 {{name}} 占位符
+   * @param {string} template - 模板字符串
+   * @param {Object} variables - 模板变量
+   * @param {Function} encode - 变量值编码函数 (value, name)，用于URL参数编码
+   * @returns {string} 渲染结果
+   */
+  renderTemplate(template, variables, encode = value => value) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+      const value = this.getValueByPath(variables, name);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return encode(typeof value === 'object' ? JSON.stringify(value) : String(value), name);
+    });
+  }
+
+  /**
+   * 递归渲染模板值（对象、数组或字符串）
+   * 字符串恰好为单个占位符时保留变量的原始类型，例如 "{{maxResults}}" 渲染为数字
+   * @param {*} value - 模板值
+   * @param {Object} variables - 模板变量
+   * @returns {*} 渲染结果
+   */
+  renderValue(value, variables) {
+    if (typeof value === 'string') {
+      const exactMatch = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+      if (exactMatch) {
+        return this.getValueByPath(variables, exactMatch[1]) ?? '';
+      }
+      return this.renderTemplate(value, variables);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.renderValue(item, variables));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.renderValue(item, variables)])
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * 按路径读取对象中的值，支持 a.b.c、a[0].b 和 a.0.b 形式；路径为空时返回对象本身
+   * @param {Object} data - 数据对象
+   * @param {string} jsonPath - 字段路径
+   * @returns {*} 字段值
+   */
+  getValueByPath(data, jsonPath) {
+    if (!jsonPath) {
+      return data;
+    }
+
+    return jsonPath
+      .replace(/^\$\.?/, '')
+      .replace(/\[(\d+)\]/g, '.$1')
+      .split('.')
+      .filter(Boolean)
+      .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), data);
+  }
+
+  /**
+   * 按字段映射解析结果列表
+   * @param {Array} rawResults - 原始结果数组
+   * @param {number} maxResults - 最大结果数量
+   * @returns {Array} 格式化的结果数组
+   */
+  parseResults(rawResults, maxResults) {
+    if (!Array.isArray(rawResults)) {
+      return [];
+    }
+
+    const fields = {
+      title: 'title',
+      url: 'url',
+      snippet: 'snippet',
+      source: 'source',
+      timestamp: 'timestamp',
+      score: 'score',
+      ...(this.config.response?.fields || {})
+    };
+
+    const limitedResults = rawResults.slice(0, maxResults);
+
+    if (rawResults.length > maxResults) {
+      console.log(`${this.name}返回了${rawResults.length}条结果，已限制为${maxResults}条`);
+    }
+
+    return limitedResults.map((item, index) => {
+      const url = this.getValueByPath(item, fields.url) || '';
+      return {
+        rank: index + 1,
+        title: this.getValueByPath(item, fields.title) || '',
+        url,
+        snippet: this.getValueByPath(item, fields.snippet) || '',
+        source: this.getValueByPath(item, fields.source) || this.extractDomain(url),
+        timestamp: this.getValueByPath(item, fields.timestamp) || null,
+        score: this.getValueByPath(item, fields.score) ?? null
+      };
+    });
+  }
+
+  /**
+   * 验证API配置（部分服务无需API密钥，只要求有请求地址）
+   * @returns {boolean} 配置是否有效
+   */
+  validateConfig() {
+    return !!(this.config && (this.config.base_url || this.config.request?.url) && this.config.response);
+  }
+}
@@ -1,17 +1,25 @@
-import fetch from 'node-fetch';
 import { SearchEngine } from './SearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
 
 /**
  * Jina搜索引擎实现
  * 调用Jina API进行网络搜索
  */
 export class JinaSearchEngine extends SearchEngine {
-  constructor(config) {
-    super('jina', config);
+  static capabilities = {
+    language: 'hl',
+    region: 'gl',
+    includeSites: 'site',
+    maxResults: 'page 分页'
+  };
+
+  constructor(config, name = 'jina') {
+    super(name, config);
   }
 
   /**
    * 执行Jina搜索
+   * Jina每页返回的结果数量固定，结果数量不足时通过 page 参数继续获取后续页（每页数量按配置 page_size 估算，默认10）
    * @param {string} query - 搜索查询
    * @param {Object} options - 搜索选项
    * @returns {Promise<Object>} 搜索结果
@@ -22,52 +30,79 @@ export class JinaSearchEngine extends SearchEngine {
     }
 
     try {
-      const searchUrl = `${this.config.base_url}?q=${encodeURIComponent(query)}&hl=${options.language || 'zh-cn'}`;
-      
-      const response = await fetch(searchUrl, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'Authorization': `Bearer ${this.config.api_key}`,
-          'X-Respond-With': 'no-content'
+      const maxResults = this.getMaxResults(options);
+      const { items, pages } = await this.paginate(
+        async page => {
+          const data = await this.requestPage(query, options, page);
+          return { items: data?.data || [], raw: data };
         },
-        timeout: 30000
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+        maxResults,
+        this.config.page_size || 10
+      );
 
       return this.formatResults({
         query,
-        total: data?.data?.length || 0,
-        results: this.parseJinaResults(data?.data || []),
-        raw: data
+        total: items.length,
+        results: this.parseJinaResults(items, maxResults),
+        raw: pages.length === 1 ? pages[0] : { pages }
       });
 
     } catch (error) {
       console.error(`Jina搜索失败: ${error.message}`);
-      throw new Error(`Jina搜索失败: ${error.message}`);
+      throw new Error(`Jina搜索失败: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * 请求单页结果
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @param {number} page - 页码（从1开始）
+   * @returns {Promise<Object>} 原始响应数据
+   */
+  async requestPage(query, options, page) {
+    let searchUrl = `${this.config.base_url}?q=${encodeURIComponent(query)}&hl=${options.language || 'zh-cn'}`;
+    if (options.region) {
+      searchUrl += `&gl=${encodeURIComponent(options.region)}`;
+    }
+    (options.includeSites || []).forEach(site => {
+      searchUrl += `&site=${encodeURIComponent(site)}`;
+    });
+    if (page > 1) {
+      searchUrl += `&page=${page}`;
+    }
+
+    const response = await this.request(searchUrl, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': `Bearer ${this.config.api_key}`,
+        'X-Respond-With': 'no-content'
+      }
+    }, options.signal);
+
+    if (!response.ok) {
+      throw createHttpError(response);
+    }
+
+    return response.json();
+  }
+
   /**
    * 解析Jina API返回的结果
    * @param {Array} rawResults - 原始结果数组
+   * @param {number} maxResults - 最大结果数量
    * @returns {Array} 格式化的结果数组
    */
-  parseJinaResults(rawResults) {
+  parseJinaResults(rawResults, maxResults = 10) {
     if (!Array.isArray(rawResults)) {
       return [];
     }
 
-    // 严格限制返回结果数量为10条
-    const limitedResults = rawResults.slice(0, 10);
+    const limitedResults = rawResults.slice(0, maxResults);
     
-    if (rawResults.length > 10) {
-      console.log(`Jina返回了${rawResults.length}条结果，已限制为10条`);
+    if (rawResults.length > maxResults) {
+      console.log(`Jina返回了${rawResults.length}条结果，已限制为${maxResults}条`);
     }
 
     return limitedResults.map((item, index) => ({
@@ -81,16 +116,4 @@ export class JinaSearchEngine extends SearchEngine {
     }));
   }
 
-  /**
-   * 从URL提取域名
-   * @param {string} url - 完整URL
-   * @returns {string} 域名
-   */
-  extractDomain(url) {
-    try {
-      return new URL(url).hostname;
-    } catch {
-      return '';
-    }
-  }
 }
\ No newline at end of file
@@ -0,0 +1,367 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SearchEngine } from './SearchEngine.js';
+import { throwIfAborted } from '../utils/HttpClient.js';
+
+// 统一时间范围对应的天数，用于按文档日期过滤
+const RECENCY_DAYS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+// 目录模式下读取的文件类型
+const DOCUMENT_EXTENSIONS = ['.jsonl', '.json', '.md', '.txt'];
+
+// 中日韩文字（按字切分为二元组）
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/;
+
+/**
+ * 内置分词器
+ * - bigram：拉丁字母和数字按单词切分，中日韩文字按相邻两字切分（单字成段时保留单字）
+ * - whitespace：按空白和标点切分
+ */
+const TOKENIZERS = {
+  bigram: text => {
+    const tokens = [];
+    const segments = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const segment of segments) {
+      let word = '';
+      let cjkRun = [];
+      const flushWord = () => {
+        if (word) tokens.push(word);
+        word = '';
+      };
+      const flushCjk = () => {
+        if (cjkRun.length === 1) {
+          tokens.push(cjkRun[0]);
+        }
+        for (let i = 0; i < cjkRun.length - 1; i++) {
+          tokens.push(cjkRun[i] + cjkRun[i + 1]);
+        }
+        cjkRun = [];
+      };
+
+      for (const char of segment) {
+        if (CJK_PATTERN.test(char)) {
+          flushWord();
+          cjkRun.push(char);
+        } else {
+          flushCjk();
+          word += char;
+        }
+      }
+      flushWord();
+      flushCjk();
+    }
+
+    return tokens;
+  },
+  whitespace: text => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+};
+
+/**
+ * 本地语料搜索引擎实现
+ * 对本地目录或JSONL文件中的文档建立纯JS的BM25索引，无需网络和API密钥，结果完全确定，
+ * 可作为离线基线，也可以在CI中跑通完整的评估流程
+ *
+ * 配置：
+ * - corpus：语料路径，JSONL/JSON文件或目录（目录下的 .jsonl、.json、.md、.txt 文件，递归读取）
+ * - fields：文档字段名映射，默认 { title: 'title', url: 'url', body: 'body', date: 'date' }
+ * - tokenizer：bigram（默认）、whitespace，或导出分词函数 (text) => string[] 的模块路径
+ * - bm25：{ k1: 1.2, b: 0.75 }
+ * - snippet_length：摘要长度（默认200字符）
+ *
+ * .md、.txt 文件整体作为一篇文档，标题取首行，URL为文件路径
+ */
+export class LocalCorpusSearchEngine extends SearchEngine {
+  static capabilities = {
+    recency: '按文档日期过滤',
+    includeSites: '按URL域名过滤',
+    excludeSites: '按URL域名过滤',
+    maxResults: '按BM25得分截取'
+  };
+
+  constructor(config, name = 'local_corpus') {
+    super(name, config);
+    this.indexPromise = null;
+  }
+
+  /**
+   * 执行BM25检索
+   * 首次搜索时加载语料并建立索引，之后复用
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async search(query, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error(`${this.name}搜索引擎配置无效：未配置 corpus`);
+    }
+
+    try {
+      throwIfAborted(options.signal);
+      const index = await this.getIndex();
+      const maxResults = this.getMaxResults(options);
+
+      const queryTerms = [...new Set(index.tokenize(query))];
+      const matched = this.scoreDocuments(index, queryTerms)
+        .filter(({ doc }) => this.matchesFilters(doc, options));
+
+      const results = matched.slice(0, maxResults).map(({ doc, score }, i) => ({
+        rank: i + 1,
+        title: doc.title,
+        url: doc.url,
+        snippet: this.buildSnippet(doc.body, queryTerms),
+        source: this.extractDomain(doc.url) || path.basename(doc.file || ''),
+        timestamp: doc.date || null,
+        score: Number(score.toFixed(4))
+      }));
+
+      return this.formatResults({
+        query,
+        total: matched.length,
+        results,
+        raw: { documents: index.docs.length, query_terms: queryTerms }
+      });
+
+    } catch (error) {
+      console.error(`${this.name}搜索失败: ${error.message}`);
+      throw new Error(`${this.name}搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 获取（必要时建立）BM25索引
+   * @returns {Promise<Object>} 索引
+   */
+  getIndex() {
+    if (!this.indexPromise) {
+      this.indexPromise = this.buildIndex().catch(error => {
+        this.indexPromise = null;
+        throw error;
+      });
+    }
+    return this.indexPromise;
+  }
+
+  /**
+   * 加载语料并建立倒排索引
+   * @returns {Promise<Object>} { docs, postings, docLengths, avgLength, tokenize }
+   */
+  async buildIndex() {
+    const tokenize = await this.loadTokenizer();
+    const docs = await this.loadDocuments(path.resolve(process.cwd(), this.config.corpus));
+    const postings = new Map();
+    const docLengths = [];
+
+    docs.forEach((doc, docId) => {
+      const tokens = tokenize(`${doc.title}\n${doc.body}`);
+      docLengths.push(tokens.length);
+
+      const termFrequencies = new Map();
+      tokens.forEach(token => termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1));
+      termFrequencies.forEach((frequency, term) => {
+        if (!postings.has(term)) {
+          postings.set(term, []);
+        }
+        postings.get(term).push([docId, frequency]);
+      });
+    });
+
+    const avgLength = docLengths.reduce((sum, length) => sum + length, 0) / (docLengths.length || 1);
+    console.log(`📚 ${this.name} 已索引 ${docs.length} 篇文档，${postings.size} 个词项`);
+
+    return { docs, postings, docLengths, avgLength, tokenize };
+  }
+
+  /**
+   * 计算文档的BM25得分，按得分降序排列（同分按语料中的顺序）
+   * @param {Object} index - 索引
+   * @param {Array} queryTerms - 去重后的查询词项
+   * @returns {Array} [{ doc, score }]，只包含得分大于0的文档
+   */
+  scoreDocuments(index, queryTerms) {
+    const { k1 = 1.2, b = 0.75 } = this.config.bm25 || {};
+    const totalDocs = index.docs.length;
+    const scores = new Map();
+
+    queryTerms.forEach(term => {
+      const posting = index.postings.get(term);
+      if (!posting) {
+        return;
+      }
+
+      const idf = Math.log(1 + (totalDocs - posting.length + 0.5) / (posting.length + 0.5));
+      posting.forEach(([docId, frequency]) => {
+        const lengthNorm = 1 - b + b * index.docLengths[docId] / (index.avgLength || 1);
+        const termScore = idf * frequency * (k1 + 1) / (frequency + k1 * lengthNorm);
+        scores.set(docId, (scores.get(docId) || 0) + termScore);
+      });
+    });
+
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .map(([docId, score]) => ({ doc: index.docs[docId], score }));
+  }
+
+  /**
+   * 检查文档是否满足站点和时间范围过滤条件
+   * @param {Object} doc - 文档
+   * @param {Object} options - 搜索选项
+   * @returns {boolean} 是否保留
+   */
+  matchesFilters(doc, options) {
+    const domain = this.extractDomain(doc.url);
+    const matchesSite = site => domain === site || domain.endsWith(`.${site}`);
+
+    if (options.includeSites?.length && !options.includeSites.some(matchesSite)) {
+      return false;
+    }
+    if (options.excludeSites?.some(matchesSite)) {
+      return false;
+    }
+    if (options.recency) {
+      const publishedAt = Date.parse(doc.date);
+      if (Number.isNaN(publishedAt) || publishedAt < Date.now() - RECENCY_DAYS[options.recency] * 86400000) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 截取包含第一个命中词项的正文片段作为摘要
+   * @param {string} body - 正文
+   * @param {Array} queryTerms - 查询词项
+   * @returns {string} 摘要
+   */
+  buildSnippet(body, queryTerms) {
+    const length = this.config.snippet_length || 200;
+    const text = String(body || '').replace(/\s+/g, ' ').trim();
+    const lowerText = text.toLowerCase();
+
+    const positions = queryTerms
+      .map(term => lowerText.indexOf(term))
+      .filter(position => position >= 0);
+    const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - Math.floor(length / 4)) : 0;
+
+    const snippet = text.slice(start, start + length);
+    return `${start > 0 ? '…' : ''}${snippet}${start + length < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * 加载分词器
+   * @returns {Promise<Function>} 分词函数 (text) => string[]
+   */
+  async loadTokenizer() {
+    const tokenizer = this.config.tokenizer || 'bigram';
+    if (TOKENIZERS[tokenizer]) {
+      return TOKENIZERS[tokenizer];
+    }
+
+    let tokenizerModule;
+    try {
+      tokenizerModule = await import(pathToFileURL(path.resolve(process.cwd(), tokenizer)).href);
+    } catch (error) {
+      throw new Error(`加载分词器失败: ${tokenizer} (${error.message})`);
+    }
+
+    const tokenize = tokenizerModule.default || tokenizerModule.tokenize;
+    if (typeof tokenize !== 'function') {
+      throw new Error(`分词器 ${tokenizer} 未导出分词函数（default 或 tokenize）`);
+    }
+    return text => tokenize(text).map(token => String(token).toLowerCase());
+  }
+
+  /**
+   * 从文件或目录加载文档
+   * @param {string} corpusPath - 语料路径
+   * @returns {Promise<Array>} 文档列表 [{ title, url, body, date, file }]
+   */
+  async loadDocuments(corpusPath) {
+    const stat = await fs.stat(corpusPath);
+    if (!stat.isDirectory()) {
+      return this.loadFile(corpusPath);
+    }
+
+    const entries = await fs.readdir(corpusPath, { withFileTypes: true });
+    const docs = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(corpusPath, entry.name);
+      if (entry.isDirectory()) {
+        docs.push(...await this.loadDocuments(entryPath));
+      } else if (DOCUMENT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        docs.push(...await this.loadFile(entryPath));
+      }
+    }
+    return docs;
+  }
+
+  /**
+   * 加载单个语料文件
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<Array>} 文档列表
+   */
+  async loadFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.jsonl') {
+      return content
+        .split('\n')
+        .map((line, lineNumber) => [line.trim(), lineNumber])
+        .filter(([line]) => line)
+        .map(([line, lineNumber]) => {
+          try {
+            return this.normalizeDocument(JSON.parse(line), filePath);
+          } catch (error) {
+            throw new Error(`语料文件 ${filePath} 第 ${lineNumber + 1} 行解析失败: ${error.message}`);
+          }
+        });
+    }
+
+    if (extension === '.json') {
+      const data = JSON.parse(content);
+      const records = Array.isArray(data) ? data : (data.documents || [data]);
+      return records.map(record => this.normalizeDocument(record, filePath));
+    }
+
+    const [firstLine = ''] = content.split('\n');
+    return [{
+      title: firstLine.replace(/^#+\s*/, '').trim() || path.basename(filePath),
+      url: pathToFileURL(filePath).href,
+      body: content,
+      date: null,
+      file: filePath
+    }];
+  }
+
+  /**
+   * 按字段映射规范化文档记录
+   * @param {Object} record - 原始记录
+   * @param {string} filePath - 来源文件
+   * @returns {Object} 文档
+   */
+  normalizeDocument(record, filePath) {
+    const fields = { title: 'title', url: 'url', body: 'body', date: 'date', ...(this.config.fields || {}) };
+    return {
+      title: String(record[fields.title] ?? ''),
+      url: String(record[fields.url] ?? ''),
+      body: String(record[fields.body] ?? record.content ?? record.text ?? ''),
+      date: record[fields.date] ?? null,
+      file: filePath
+    };
+  }
+
+  /**
+   * 验证配置（只要求配置语料路径）
+   * @returns {boolean} 配置是否有效
+   */
+  validateConfig() {
+    return !!(this.config && this.config.corpus);
+  }
+}
@@ -0,0 +1,167 @@
+import { SearchEngine } from './SearchEngine.js';
+import { sleep } from '../utils/HttpClient.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+/**
+ * 模拟搜索引擎实现
+ * 不访问网络，按脚本或种子随机数返回结果，可注入失败、延迟和格式错误的响应，
+ * 用于演示、无API密钥时跑通 eval/batch 流程，以及验证重试、超时、报告等行为
+ *
+ * 配置：
+ * - seed：随机种子（默认1），相同的种子、引擎名称和查询总是返回相同的结果
+ * - results_per_query：每次返回的结果数量（默认为请求的结果数量）
+ * - latency_ms：模拟延迟，数字或 [min, max]
+ * - failure_rate：返回HTTP错误的概率（0~1），failure_status 为错误状态码（默认503）
+ * - malformed_rate：返回无法解析的响应的概率（0~1）
+ * - responses：按查询指定的脚本，键为查询（"*" 匹配所有查询），值为结果数组，
+ *   或 { results, error: { status, message }, malformed: true, latency_ms }；
+ *   值为数组时依次用于同一查询的第1、2…次调用，超出后使用最后一项
+ */
+export class MockSearchEngine extends SearchEngine {
+  static capabilities = {
+    language: '记录在结果中',
+    region: '记录在结果中',
+    recency: '记录在结果中',
+    includeSites: '结果URL使用第一个站点',
+    excludeSites: '忽略',
+    safeSearch: '记录在结果中',
+    maxResults: '生成指定数量的结果'
+  };
+
+  constructor(config, name = 'mock') {
+    super(name, config);
+    this.callCounts = new Map();
+  }
+
+  /**
+   * 执行模拟搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async search(query, options = {}) {
+    const call = (this.callCounts.get(query) || 0) + 1;
+    this.callCounts.set(query, call);
+
+    const random = new SeededRandom([this.config.seed ?? 1, this.name, query, call]);
+    const scripted = this.getScriptedResponse(query, call);
+
+    try {
+      const latency = random.latency(scripted.latency_ms ?? this.config.latency_ms);
+      if (latency > 0) {
+        await sleep(latency, options.signal);
+      }
+
+      if (scripted.error || (!scripted.results && random.chance(this.config.failure_rate))) {
+        const status = scripted.error?.status ?? this.config.failure_status ?? 503;
+        const error = new Error(scripted.error?.message || `HTTP ${status}: 模拟失败`);
+        error.status = status;
+        error.retryAfter = scripted.error?.retry_after ?? null;
+        throw error;
+      }
+
+      if (scripted.malformed || (!scripted.results && random.chance(this.config.malformed_rate))) {
+        // 与真实适配器解析截断的JSON响应时抛出的错误一致
+        JSON.parse('{"results": [');
+      }
+
+      const maxResults = this.getMaxResults(options);
+      const results = scripted.results
+        ? this.parseScriptedResults(scripted.results, maxResults)
+        : this.generateResults(query, options, random, Math.min(maxResults, this.config.results_per_query ?? maxResults));
+
+      return this.formatResults({
+        query,
+        total: results.length,
+        results,
+        raw: { mock: true, call, options: this.describeOptions(options) }
+      });
+
+    } catch (error) {
+      console.error(`${this.name}搜索失败: ${error.message}`);
+      throw new Error(`${this.name}搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 获取查询对应的脚本响应
+   * @param {string} query - 搜索查询
+   * @param {number} call - 该查询的调用次数（从1开始）
+   * @returns {Object} 脚本响应，没有脚本时为空对象
+   */
+  getScriptedResponse(query, call) {
+    const responses = this.config.responses || {};
+    const script = responses[query] ?? responses['*'];
+    if (script === undefined) {
+      return {};
+    }
+
+    // 数组的元素都是数组或对象时表示按调用次数依次使用的脚本
+    const isSequence = Array.isArray(script) && script.length > 0
+      && script.every(item => Array.isArray(item) || item?.results || item?.error || item?.malformed);
+    const entry = isSequence ? script[Math.min(call, script.length) - 1] : script;
+
+    return Array.isArray(entry) ? { results: entry } : entry;
+  }
+
+  /**
+   * 补全脚本中的结果
+   * @param {Array} rawResults - 脚本中的结果
+   * @param {number} maxResults - 最大结果数量
+   * @returns {Array} 格式化的结果数组
+   */
+  parseScriptedResults(rawResults, maxResults) {
+    return rawResults.slice(0, maxResults).map((item, index) => ({
+      rank: index + 1,
+      title: item.title || '',
+      url: item.url || '',
+      snippet: item.snippet || '',
+      source: item.source || this.extractDomain(item.url),
+      timestamp: item.timestamp || null,
+      ...item
+    }));
+  }
+
+  /**
+   * 按种子随机数生成结果
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @param {SeededRandom} random - 随机数生成器
+   * @param {number} count - 结果数量
+   * @returns {Array} 结果数组
+   */
+  generateResults(query, options, random, count) {
+    const site = options.includeSites?.[0];
+
+    return Array.from({ length: count }, (_, index) => {
+      const domain = site || `site${random.int(1, 20)}.example.com`;
+      const daysAgo = random.int(0, 720);
+      return {
+        rank: index + 1,
+        title: `${query} - 模拟结果${index + 1}`,
+        url: `https://${domain}/${this.name}/${encodeURIComponent(query)}/${index + 1}`,
+        snippet: `这是${this.name}为“${query}”生成的第${index + 1}条模拟结果，相关度约为${random.int(1, 100)}%。`,
+        source: domain,
+        timestamp: new Date(Date.UTC(2025, 0, 1) - daysAgo * 86400000).toISOString().slice(0, 10)
+      };
+    });
+  }
+
+  /**
+   * 列出本次请求中的搜索选项（不含取消信号），便于检查选项是否正确传递
+   * @param {Object} options - 搜索选项
+   * @returns {Object} 搜索选项
+   */
+  describeOptions(options) {
+    const { signal, ...rest } = options;
+    return rest;
+  }
+
+  /**
+   * 验证配置（模拟引擎无需API密钥和地址）
+   * @returns {boolean} 配置是否有效
+   */
+  validateConfig() {
+    return true;
+  }
+}
@@ -0,0 +1,245 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { hashRequest } from '../utils/RequestKey.js';
+
+// 不影响搜索结果的引擎配置（启用状态、凭据、超时、重试和限速），不参与缓存键计算
+const NON_RESULT_CONFIG_KEYS = ['enabled', 'api_key', 'username', 'password', 'timeout', 'retry', 'rate_limit'];
+
+/**
+ * 计算引擎配置中影响搜索结果部分（type、base_url、search_engine、请求模板等）的哈希
+ * @param {Object} engineConfig - 引擎配置
+ * @returns {string} 十六进制哈希
+ */
+function hashEngineConfig(engineConfig = {}) {
+  return hashRequest(Object.fromEntries(
+    Object.entries(engineConfig).filter(([key]) => !NON_RESULT_CONFIG_KEYS.includes(key))
+  ));
+}
+
+/**
+ * 搜索结果缓存
+ * 将搜索结果持久化到磁盘并在TTL内跨运行复用，减少付费API的重复调用；
+ * 缓存键包含引擎配置的哈希，修改引擎的接口地址、请求模板等配置后不会复用旧结果
+ *
+ * 配置：
+ * - enabled：是否启用缓存（默认关闭）
+ * - dir：缓存目录（默认 ./cache/search）
+ * - ttl：缓存有效期，单位毫秒（默认24小时）
+ * - refresh：忽略已有缓存，强制重新搜索并写入缓存
+ */
+export class SearchCache {
+  constructor(cacheConfig = {}) {
+    this.enabled = cacheConfig.enabled === true;
+    this.refresh = cacheConfig.refresh === true;
+    this.ttl = cacheConfig.ttl ?? 24 * 60 * 60 * 1000;
+    this.dir = path.resolve(process.cwd(), cacheConfig.dir || './cache/search');
+  }
+
+  /**
+   * 通过缓存执行搜索
+   * 返回的结果带有 cache 字段：status 为 hit（命中）、miss（未命中）、refresh（强制刷新）或 disabled（未启用）
+   * @param {string} engineName - 搜索引擎名称
+   * @param {Object} engineConfig - 引擎配置
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @param {Function} execute - 实际执行搜索的函数
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async run(engineName, engineConfig, query, options, execute) {
+    if (!this.enabled) {
+      const result = await execute();
+      return { ...result, cache: { status: 'disabled' } };
+    }
+
+    const entryPath = this.getEntryPath(engineName, engineConfig, query, options);
+
+    if (!this.refresh) {
+      const entry = await this.readEntry(entryPath);
+      if (entry && !this.isExpired(entry)) {
+        console.log(`💾 ${engineName} 命中搜索缓存 (缓存于 ${entry.cached_at})`);
+        return {
+          ...entry.result,
+          cache: {
+            status: 'hit',
+            cached_at: entry.cached_at,
+            age_ms: Date.now() - new Date(entry.cached_at).getTime()
+          }
+        };
+      }
+    }
+
+    const result = await execute();
+    const cachedAt = new Date().toISOString();
+    const written = await this.writeEntry(entryPath, {
+      engine: engineName,
+      config_hash: hashEngineConfig(engineConfig),
+      query: this.normalizeQuery(query),
+      options,
+      cached_at: cachedAt,
+      result
+    });
+
+    return {
+      ...result,
+      cache: {
+        status: this.refresh ? 'refresh' : 'miss',
+        cached_at: written ? cachedAt : null,
+        age_ms: 0
+      }
+    };
+  }
+
+  /**
+   * 写入缓存条目；写入失败（如目录不可写、磁盘已满）只输出警告，不影响已成功的搜索
+   * @param {string} entryPath - 缓存文件路径
+   * @param {Object} entry - 缓存条目
+   * @returns {Promise<boolean>} 是否写入成功
+   */
+  async writeEntry(entryPath, entry) {
+    try {
+      await fs.mkdir(path.dirname(entryPath), { recursive: true });
+      await fs.writeFile(entryPath, JSON.stringify(entry, null, 2));
+      return true;
+    } catch (error) {
+      console.warn(`⚠️  写入搜索缓存失败，本次结果未缓存: ${entryPath} (${error.message})`);
+      return false;
+    }
+  }
+
+  /**
+   * 规范化查询（去除首尾空白、合并连续空白、英文转小写）
+   * @param {string} query - 搜索查询
+   * @returns {string} 规范化后的查询
+   */
+  normalizeQuery(query) {
+    return String(query).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * 计算缓存条目路径
+   * @param {string} engineName - 搜索引擎名称
+   * @param {Object} engineConfig - 引擎配置
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {string} 缓存文件路径
+   */
+  getEntryPath(engineName, engineConfig, query, options = {}) {
+    const hash = hashRequest({
+      engine: engineName,
+      config: hashEngineConfig(engineConfig),
+      query: this.normalizeQuery(query),
+      options
+    }, 32);
+    return path.join(this.dir, engineName.replace(/[^\w.-]/g, '_'), `${hash}.json`);
+  }
+
+  /**
+   * 判断缓存条目是否过期
+   * @param {Object} entry - 缓存条目
+   * @returns {boolean} 是否过期
+   */
+  isExpired(entry) {
+    return Date.now() - new Date(entry.cached_at).getTime() > this.ttl;
+  }
+
+  /**
+   * 读取缓存条目
+   * @param {string} entryPath - 缓存文件路径
+   * @returns {Promise<Object|null>} 缓存条目，不存在或损坏时返回null
+   */
+  async readEntry(entryPath) {
+    try {
+      return JSON.parse(await fs.readFile(entryPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  读取搜索缓存失败，忽略该条目: ${entryPath} (${error.message})`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 列出所有缓存条目文件
+   * @returns {Promise<Array>} [{ engine, file }]
+   */
+  async listEntries() {
+    let engineDirs;
+    try {
+      engineDirs = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const engineDir of engineDirs.filter(item => item.isDirectory())) {
+      const files = await fs.readdir(path.join(this.dir, engineDir.name));
+      files
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => entries.push({ engine: engineDir.name, file: path.join(this.dir, engineDir.name, file) }));
+    }
+    return entries;
+  }
+
+  /**
+   * 获取缓存统计
+   * @returns {Promise<Object>} 统计信息
+   */
+  async getStats() {
+    const stats = {
+      dir: this.dir,
+      ttl: this.ttl,
+      total_entries: 0,
+      expired_entries: 0,
+      total_bytes: 0,
+      engines: {}
+    };
+
+    for (const { engine, file } of await this.listEntries()) {
+      const [entry, fileStat] = await Promise.all([this.readEntry(file), fs.stat(file)]);
+      const expired = !entry || this.isExpired(entry);
+
+      if (!stats.engines[engine]) {
+        stats.engines[engine] = { entries: 0, expired: 0, bytes: 0 };
+      }
+
+      stats.total_entries++;
+      stats.total_bytes += fileStat.size;
+      stats.engines[engine].entries++;
+      stats.engines[engine].bytes += fileStat.size;
+      if (expired) {
+        stats.expired_entries++;
+        stats.engines[engine].expired++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * 清理缓存
+   * @param {Object} options - 清理选项 { engine: 只清理指定引擎, expiredOnly: 只清理过期条目 }
+   * @returns {Promise<number>} 删除的条目数量
+   */
+  async clear(options = {}) {
+    let removed = 0;
+
+    for (const { engine, file } of await this.listEntries()) {
+      if (options.engine && engine !== options.engine) {
+        continue;
+      }
+      if (options.expiredOnly) {
+        const entry = await this.readEntry(file);
+        if (entry && !this.isExpired(entry)) {
+          continue;
+        }
+      }
+      await fs.rm(file, { force: true });
+      removed++;
+    }
+
+    return removed;
+  }
+}
@@ -1,11 +1,29 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { fetchWithTimeout } from '../utils/HttpClient.js';
+import { RetryPolicy } from '../utils/RetryPolicy.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { getSpecifiedOptions, normalizeSearchOptions } from './SearchOptions.js';
+
+// 当前搜索尝试的上下文，request() 在其中记录收到响应头的时间和已发出的请求数
+const searchContext = new AsyncLocalStorage();
+
 /**
  * 搜索引擎基类
  * 定义所有搜索引擎的统一接口
  */
 export class SearchEngine {
+  /**
+   * 支持的统一搜索选项及其映射到的厂商参数（见 SearchOptions.js），子类按需覆盖
+   */
+  static capabilities = {
+    maxResults: '截取前 maxResults 条结果'
+  };
+
   constructor(name, config) {
     this.name = name;
     this.config = config;
+    this.retryPolicy = new RetryPolicy(config?.retry);
+    this.rateLimiter = new RateLimiter(config?.rate_limit);
   }
 
   /**
@@ -18,6 +36,185 @@ export class SearchEngine {
     throw new Error('search方法需要在子类中实现');
   }
 
+  /**
+   * 按重试策略执行搜索
+   * 429、5xx、超时和连接错误会以指数退避重试（遵循 Retry-After），其余错误直接失败；
+   * 每次尝试都受引擎配置的 rate_limit（令牌桶限速和最大并发数）约束，分页等同一次尝试中的后续HTTP请求各自再获取一个令牌；
+   * 返回的结果带有 attempts 字段，最终失败时错误上同样附加 attempts。
+   *
+   * 返回的结果带有 depth 字段：requested 为请求的结果数量，returned 为实际返回的数量。
+   *
+   * 返回的结果还带有 latency 字段（毫秒）：
+   * - time_to_headers_ms：成功的那次尝试中，首个HTTP请求从发出到收到响应头的时间
+   * - total_ms：成功的那次尝试从发出请求到解析完结果的时间
+   * - elapsed_ms：包含限速排队、失败重试和退避等待在内的总耗时
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项，options.signal 为取消信号
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async searchWithRetry(query, options = {}) {
+    const startedAt = performance.now();
+    let timing;
+
+    const { result, attempts } = await this.retryPolicy.execute(
+      () => this.rateLimiter.schedule(() => {
+        timing = { startedAt: performance.now(), timeToHeaders: null, requests: 0 };
+        return searchContext.run(timing, () => this.search(query, options));
+      }, options.signal),
+      {
+        signal: options.signal,
+        onRetry: (error, attempt, delay) => {
+          console.warn(`🔁 ${this.name} 第 ${attempt}/${this.retryPolicy.maxAttempts} 次搜索失败 (${error.message})，${delay}ms 后重试`);
+        }
+      }
+    );
+
+    const finishedAt = performance.now();
+    return {
+      ...result,
+      attempts,
+      depth: {
+        requested: this.getMaxResults(options),
+        returned: result.results?.length || 0
+      },
+      latency: {
+        time_to_headers_ms: timing.timeToHeaders,
+        total_ms: Math.round(finishedAt - timing.startedAt),
+        elapsed_ms: Math.round(finishedAt - startedAt)
+      }
+    };
+  }
+
+  /**
+   * 合并实例默认选项与调用时传入的选项，并规范化为统一搜索选项
+   * 默认选项来自引擎配置的 options 字段，调用时传入的选项优先；
+   * 未指定 maxResults 时取引擎配置的 max_results，使结果深度参与缓存和录制的键计算
+   * @param {Object} options - 调用时传入的搜索选项
+   * @returns {Object} 合并后的搜索选项
+   */
+  resolveOptions(options = {}) {
+    const resolved = normalizeSearchOptions({
+      ...(this.config?.options || {}),
+      ...options
+    });
+    resolved.maxResults = this.getMaxResults(resolved);
+    return resolved;
+  }
+
+  /**
+   * 获取支持的统一搜索选项
+   * @returns {Object} 选项名称到厂商参数说明的映射
+   */
+  getCapabilities() {
+    return this.constructor.capabilities || {};
+  }
+
+  /**
+   * 列出本次搜索中已指定但不支持的统一搜索选项
+   * @param {Object} options - 规范化后的搜索选项
+   * @returns {Array} 不支持的选项名称
+   */
+  getUnsupportedOptions(options = {}) {
+    const capabilities = this.getCapabilities();
+    return getSpecifiedOptions(options).filter(key => !capabilities[key]);
+  }
+
+  /**
+   * 将站点过滤选项转换为查询语法（site: 与 -site:），用于支持该语法的网页搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {string} 附加站点语法后的查询
+   */
+  applySiteOperators(query, options = {}) {
+    const parts = [query];
+    const includeSites = options.includeSites || [];
+
+    if (includeSites.length === 1) {
+      parts.push(`site:${includeSites[0]}`);
+    } else if (includeSites.length > 1) {
+      parts.push(`(${includeSites.map(site => `site:${site}`).join(' OR ')})`);
+    }
+    (options.excludeSites || []).forEach(site => parts.push(`-site:${site}`));
+
+    return parts.join(' ');
+  }
+
+  /**
+   * 获取本次搜索请求的结果数量
+   * 优先级：options.maxResults > 配置中的 max_results > 10
+   * @param {Object} options - 搜索选项
+   * @returns {number} 结果数量
+   */
+  getMaxResults(options = {}) {
+    return Number(options.maxResults || this.config?.max_results || 10);
+  }
+
+  /**
+   * 分页获取结果，直到凑够 maxResults 条、某一页没有新结果或达到最大页数
+   * 最大页数取引擎配置的 max_pages，缺省为 ceil(maxResults / pageSize)；按URL去重
+   * @param {Function} fetchPage - 获取单页的函数 (page, pageSize) => Promise<{ items, raw }>，page 从1开始
+   * @param {number} maxResults - 需要的结果数量
+   * @param {number} pageSize - 每页结果数量
+   * @param {Function} getUrl - 从原始结果中读取URL的函数，用于去重
+   * @returns {Promise<Object>} { items: 合并后的原始结果, pages: 各页的原始响应 }
+   */
+  async paginate(fetchPage, maxResults, pageSize, getUrl = item => item.url) {
+    const maxPages = this.config?.max_pages || Math.ceil(maxResults / pageSize);
+    const items = [];
+    const pages = [];
+    const seen = new Set();
+
+    for (let page = 1; page <= maxPages && items.length < maxResults; page++) {
+      const { items: pageItems, raw } = await fetchPage(page, Math.min(pageSize, maxResults));
+      pages.push(raw);
+
+      const newItems = (Array.isArray(pageItems) ? pageItems : []).filter(item => {
+        const key = getUrl(item);
+        if (key && seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+
+      if (newItems.length === 0) {
+        break;
+      }
+      items.push(...newItems);
+    }
+
+    return { items: items.slice(0, maxResults), pages };
+  }
+
+  /**
+   * 发送HTTP请求
+   * 超时时间取自引擎配置的 timeout（毫秒），signal 为外部取消信号（搜索选项中的 options.signal）；
+   * 在 searchWithRetry 中调用时记录首个请求收到响应头的时间。
+   * 每个HTTP请求消耗一个限速令牌：本次尝试的首个请求使用 searchWithRetry 开始尝试时获取的令牌，
+   * 分页等后续请求（以及不经 searchWithRetry 的直接调用）在发出前获取令牌，避免多页请求超出服务商的QPS配额
+   * @param {string} url - 请求地址
+   * @param {Object} init - fetch 参数
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise<Response>} 响应对象
+   */
+  async request(url, init = {}, signal) {
+    const timing = searchContext.getStore();
+    if (!timing || timing.requests > 0) {
+      await this.rateLimiter.acquireToken(signal);
+    }
+    if (timing) {
+      timing.requests++;
+    }
+
+    const requestStartedAt = performance.now();
+    const response = await fetchWithTimeout(url, init, { timeout: this.config?.timeout, signal });
+
+    if (timing && timing.timeToHeaders === null) {
+      timing.timeToHeaders = Math.round(performance.now() - requestStartedAt);
+    }
+    return response;
+  }
+
   /**
    * 格式化搜索结果为统一格式
    * @param {Object} rawResults - 原始搜索结果
@@ -34,6 +231,19 @@ export class SearchEngine {
     };
   }
 
+  /**
+   * 从URL提取域名（无法解析或没有主机名的地址，如 file:// 地址，返回空字符串）
+   * @param {string} url - 完整URL
+   * @returns {string} 域名
+   */
+  extractDomain(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return '';
+    }
+  }
+
   /**
    * 验证API配置
    * @returns {boolean} 配置是否有效
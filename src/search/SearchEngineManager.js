@@ -1,60 +1,68 @@
-import { JinaSearchEngine } from './JinaSearchEngine.js';
-import { SerperSearchEngine } from './SerperSearchEngine.js';
-import { ZhipuSearchEngine } from './ZhipuSearchEngine.js';
-import { ZhipuProSearchEngine } from './ZhipuProSearchEngine.js';
-import { ZhipuSogouSearchEngine } from './ZhipuSogouSearchEngine.js';
-import { ZhipuQuarkSearchEngine } from './ZhipuQuarkSearchEngine.js';
+import { searchEngineRegistry } from './SearchEngineRegistry.js';
+import { cassetteManager } from '../utils/CassetteManager.js';
+import { SearchCache } from './SearchCache.js';
+import { EngineHealthStore } from './EngineHealthStore.js';
+import { classifyError } from '../utils/HttpClient.js';
+import { RetryPolicy } from '../utils/RetryPolicy.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
 
 /**
  * 搜索引擎管理器
  * 统一管理和调用所有搜索引擎
  */
 export class SearchEngineManager {
-  constructor(config) {
+  constructor(config, registry = searchEngineRegistry) {
     this.config = config;
+    this.registry = registry;
     this.engines = new Map();
-    this.initializeEngines();
+    this.cache = new SearchCache(config.cache);
+    this.health = new EngineHealthStore(config.engine_health);
+  }
+
+  /**
+   * 异步创建SearchEngineManager实例
+   * @param {Object} config - 系统配置
+   * @param {SearchEngineRegistry} registry - 搜索引擎注册表
+   * @returns {Promise<SearchEngineManager>} SearchEngineManager实例
+   */
+  static async create(config, registry = searchEngineRegistry) {
+    const manager = new SearchEngineManager(config, registry);
+    await manager.initializeEngines();
+    return manager;
   }
 
   /**
    * 初始化所有搜索引擎
+   * search_engines 中的每个条目通过 type 指定适配器类型（缺省为条目名称），
+   * 通过 module 指定本地插件文件；插件类的构造函数签名为 (config, name)。
+   * 顶层 search_retry 为所有引擎的默认重试策略，条目中的 retry 覆盖其中的同名字段
    */
-  initializeEngines() {
+  async initializeEngines() {
     const searchEnginesConfig = this.config.search_engines || {};
 
-    // 初始化Jina搜索引擎
-    if (searchEnginesConfig.jina?.enabled) {
-      this.engines.set('jina', new JinaSearchEngine(searchEnginesConfig.jina));
-    }
-
-    // 初始化Serper搜索引擎
-    if (searchEnginesConfig.serper?.enabled) {
-      this.engines.set('serper', new SerperSearchEngine(searchEnginesConfig.serper));
-    }
-
-    // 初始化智谱搜索引擎
-    if (searchEnginesConfig.zhipu?.enabled) {
-      this.engines.set('zhipu', new ZhipuSearchEngine(searchEnginesConfig.zhipu));
-    }
-
-    // 初始化智谱Pro搜索引擎
-    if (searchEnginesConfig.zhipu_pro?.enabled) {
-      this.engines.set('zhipu_pro', new ZhipuProSearchEngine(searchEnginesConfig.zhipu_pro));
-    }
-
-    // 初始化智谱Sogou搜索引擎
-    if (searchEnginesConfig.zhipu_sogou?.enabled) {
-      this.engines.set('zhipu_sogou', new ZhipuSogouSearchEngine(searchEnginesConfig.zhipu_sogou));
-    }
+    for (const [engineName, engineConfig] of Object.entries(searchEnginesConfig)) {
+      if (!engineConfig?.enabled) {
+        continue;
+      }
 
-    // 初始化智谱Quark搜索引擎
-    if (searchEnginesConfig.zhipu_quark?.enabled) {
-      this.engines.set('zhipu_quark', new ZhipuQuarkSearchEngine(searchEnginesConfig.zhipu_quark));
+      this.engines.set(engineName, await this.registry.create(engineName, this.buildEngineConfig(engineConfig)));
     }
 
     console.log(`已初始化 ${this.engines.size} 个搜索引擎`);
   }
 
+  /**
+   * 构建传给适配器的引擎配置（合并全局默认重试策略）
+   * @param {Object} engineConfig - search_engines 中的引擎条目
+   * @returns {Object} 引擎配置
+   */
+  buildEngineConfig(engineConfig) {
+    return {
+      ...engineConfig,
+      retry: { ...(this.config.search_retry || {}), ...(engineConfig.retry || {}) }
+    };
+  }
+
   /**
    * 获取所有启用的搜索引擎
    * @returns {Array} 搜索引擎列表
@@ -76,10 +84,11 @@ export class SearchEngineManager {
    * 使用单个搜索引擎执行搜索
    * @param {string} engineName - 搜索引擎名称
    * @param {string} query - 搜索查询
-   * @param {Object} options - 搜索选项
+   * @param {Object} options - 搜索选项，options.signal 为取消信号
+   * @param {Object} runOptions - 运行选项 { useCache: 为false时绕过搜索缓存, useCassette: 为false时绕过录制/回放 }
    * @returns {Promise<Object>} 搜索结果
    */
-  async searchWithEngine(engineName, query, options = {}) {
+  async searchWithEngine(engineName, query, options = {}, runOptions = {}) {
     const engine = this.getEngine(engineName);
     if (!engine) {
       throw new Error(`搜索引擎 ${engineName} 不存在或未启用`);
@@ -87,9 +96,28 @@ export class SearchEngineManager {
 
     try {
       console.log(`使用 ${engineName} 搜索: ${query}`);
-      const result = await engine.search(query, options);
+      // 取消信号不参与缓存和录制的键计算，只在实际搜索时传给引擎
+      const { signal, ...callOptions } = options;
+      const resolvedOptions = engine.resolveOptions(callOptions);
+
+      // 引擎不支持的统一选项不会生效，从选项中移除并记录在结果中，避免对比时误以为过滤条件对所有引擎都生效
+      const unsupportedOptions = engine.getUnsupportedOptions(resolvedOptions);
+      if (unsupportedOptions.length > 0) {
+        console.warn(`⚠️  ${engineName} 不支持搜索选项: ${unsupportedOptions.join(', ')}，已忽略`);
+      }
+      const searchOptions = Object.fromEntries(
+        Object.entries(resolvedOptions).filter(([key]) => !unsupportedOptions.includes(key))
+      );
+
+      const search = () => engine.searchWithRetry(query, { ...searchOptions, signal });
+      const execute = runOptions.useCassette === false
+        ? search
+        : () => cassetteManager.run('search', { engine: engineName, query, options: searchOptions }, search);
+      const result = runOptions.useCache === false
+        ? await execute()
+        : await this.cache.run(engineName, engine.config, query, searchOptions, execute);
       console.log(`${engineName} 搜索完成，返回 ${result.results.length} 条结果`);
-      return result;
+      return { ...result, unsupportedOptions };
     } catch (error) {
       console.error(`${engineName} 搜索失败:`, error.message);
       throw error;
@@ -98,8 +126,9 @@ export class SearchEngineManager {
 
   /**
    * 使用所有启用的搜索引擎执行搜索
+   * 每个引擎的请求受其配置的 timeout 约束，单个引擎超时不会阻塞其他引擎
    * @param {string} query - 搜索查询
-   * @param {Object} options - 搜索选项
+   * @param {Object} options - 搜索选项，options.signal 为取消信号
    * @returns {Promise<Array>} 所有搜索引擎的结果
    */
   async searchWithAllEngines(query, options = {}) {
@@ -138,6 +167,7 @@ export class SearchEngineManager {
           engine: engine.getName(),
           query,
           error: error.message,
+          attempts: error.attempts ?? null,
           results: [],
           timestamp: new Date().toISOString()
         };
@@ -156,7 +186,13 @@ export class SearchEngineManager {
       if (result.error) {
         console.log(`   ❌ ${result.engine}: 搜索失败 (${result.error})`);
       } else {
-        console.log(`   ✅ ${result.engine}: ${result.results.length} 条结果`);
+        const cacheNote = result.cache?.status === 'hit' ? ' (缓存)' : '';
+        const retryNote = result.attempts > 1 ? ` (尝试 ${result.attempts} 次)` : '';
+        const latencyNote = result.latency && result.cache?.status !== 'hit' ? ` ${result.latency.total_ms}ms` : '';
+        const depthNote = result.depth && result.depth.returned < result.depth.requested
+          ? ` ⚠️ 少于请求的 ${result.depth.requested} 条`
+          : '';
+        console.log(`   ✅ ${result.engine}: ${result.results.length} 条结果${depthNote}${latencyNote}${cacheNote}${retryNote}`);
         totalResults += result.results.length;
         successfulEngines++;
       }
@@ -168,6 +204,129 @@ export class SearchEngineManager {
     return results;
   }
 
+  /**
+   * 描述所有已配置的搜索引擎（包括未启用的），用于 engines 命令
+   * @returns {Promise<Array>} 引擎描述列表
+   */
+  async describeEngines() {
+    const health = await this.health.load();
+    const descriptions = [];
+
+    for (const [engineName, engineConfig] of Object.entries(this.config.search_engines || {})) {
+      const description = {
+        name: engineName,
+        type: engineConfig?.type || engineName,
+        enabled: engineConfig?.enabled === true,
+        base_url: engineConfig?.base_url || engineConfig?.request?.url || null,
+        health: health[engineName] || null
+      };
+
+      const engine = this.engines.get(engineName);
+      if (engine) {
+        descriptions.push({
+          ...description,
+          base_url: engine.config?.base_url || description.base_url,
+          supported_options: Object.keys(engine.getCapabilities()),
+          limits: {
+            max_results: engine.getMaxResults(),
+            timeout: engine.config?.timeout ?? null,
+            max_attempts: engine.retryPolicy.maxAttempts,
+            ...engine.rateLimiter.describe()
+          }
+        });
+      } else {
+        descriptions.push(this.describeDisabledEngine(engineName, engineConfig || {}, description));
+      }
+    }
+
+    return descriptions;
+  }
+
+  /**
+   * 按适配器类的静态 capabilities 和引擎配置描述未启用的引擎
+   * 不创建适配器实例，也不加载未启用引擎的插件文件；插件未加载时不列出支持的选项
+   * @param {string} engineName - 引擎名称
+   * @param {Object} engineConfig - 引擎配置
+   * @param {Object} description - 引擎的基本描述
+   * @returns {Object} 引擎描述
+   */
+  describeDisabledEngine(engineName, engineConfig, description) {
+    const adapter = this.registry.lookup(engineName, engineConfig);
+    if (!adapter && !engineConfig.module) {
+      return {
+        ...description,
+        error: `未知的搜索引擎适配器类型: ${description.type}（已注册: ${this.registry.getTypes().join(', ')}）`
+      };
+    }
+
+    const config = { ...adapter?.defaults, ...this.buildEngineConfig(engineConfig) };
+    return {
+      ...description,
+      base_url: config.base_url || description.base_url,
+      supported_options: adapter ? Object.keys(adapter.EngineClass.capabilities || {}) : null,
+      limits: {
+        max_results: Number(config.max_results || 10),
+        timeout: config.timeout ?? null,
+        max_attempts: new RetryPolicy(config.retry).maxAttempts,
+        ...new RateLimiter(config.rate_limit).describe()
+      }
+    };
+  }
+
+  /**
+   * 对启用的搜索引擎进行轻量健康检查（绕过缓存和录制/回放，只请求1条结果），persist 为 true 时保存为最近健康状态
+   * 回放模式下也实际访问引擎，避免把录制的数据当作当前健康状态
+   * @param {Object} options - { query: 检查用的查询, engines: 只检查这些引擎, signal: 取消信号, persist: 是否写入健康状态文件（默认不写入） }
+   * @returns {Promise<Array>} 健康检查结果列表
+   */
+  async probeEngines(options = {}) {
+    const query = options.query || '测试查询';
+    const engines = this.getEnabledEngines()
+      .filter(engine => !options.engines || options.engines.includes(engine.getName()));
+
+    const probes = await Promise.all(engines.map(async engine => {
+      const engineName = engine.getName();
+      const checkedAt = new Date().toISOString();
+
+      try {
+        const result = await this.searchWithEngine(
+          engineName,
+          query,
+          { maxResults: 1, signal: options.signal },
+          { useCache: false, useCassette: false }
+        );
+        return {
+          engine: engineName,
+          status: 'ok',
+          checked_at: checkedAt,
+          latency_ms: result.latency?.total_ms ?? null,
+          time_to_headers_ms: result.latency?.time_to_headers_ms ?? null,
+          result_count: result.results.length,
+          attempts: result.attempts ?? null,
+          error_class: null,
+          error: null
+        };
+      } catch (error) {
+        return {
+          engine: engineName,
+          status: 'error',
+          checked_at: checkedAt,
+          latency_ms: null,
+          time_to_headers_ms: null,
+          result_count: 0,
+          attempts: error.attempts ?? null,
+          error_class: classifyError(error),
+          error: error.message
+        };
+      }
+    }));
+
+    if (options.persist) {
+      await this.health.update(Object.fromEntries(probes.map(({ engine, ...probe }) => [engine, probe])));
+    }
+    return probes;
+  }
+
   /**
    * 获取搜索引擎统计信息
    * @returns {Object} 统计信息
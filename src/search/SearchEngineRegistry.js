@@ -0,0 +1,185 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { SearchEngine } from './SearchEngine.js';
+import { JinaSearchEngine } from './JinaSearchEngine.js';
+import { SerperSearchEngine } from './SerperSearchEngine.js';
+import { ZhipuSearchEngine } from './ZhipuSearchEngine.js';
+import { BraveSearchEngine } from './BraveSearchEngine.js';
+import { BingSearchEngine } from './BingSearchEngine.js';
+import { TavilySearchEngine } from './TavilySearchEngine.js';
+import { ExaSearchEngine } from './ExaSearchEngine.js';
+import { SearxngSearchEngine } from './SearxngSearchEngine.js';
+import { HttpJsonSearchEngine } from './HttpJsonSearchEngine.js';
+import { ElasticsearchSearchEngine } from './ElasticsearchSearchEngine.js';
+import { LocalCorpusSearchEngine } from './LocalCorpusSearchEngine.js';
+import { MockSearchEngine } from './MockSearchEngine.js';
+
+/**
+ * 搜索引擎注册表
+ * 维护适配器类型到搜索引擎类的映射，并支持从本地文件动态加载插件
+ */
+export class SearchEngineRegistry {
+  constructor() {
+    this.adapters = new Map();
+    this.registerBuiltinAdapters();
+    this.builtinTypes = new Set(this.getTypes());
+    // 插件类型 → 插件文件的绝对路径，同一类型只能来自同一个插件文件
+    this.pluginModules = new Map();
+  }
+
+  /**
+   * 注册内置适配器
+   */
+  registerBuiltinAdapters() {
+    this.register('jina', JinaSearchEngine);
+    this.register('serper', SerperSearchEngine);
+    this.register('zhipu', ZhipuSearchEngine);
+    this.register('zhipu_pro', ZhipuSearchEngine, { search_engine: 'search_pro' });
+    this.register('zhipu_sogou', ZhipuSearchEngine, { search_engine: 'search_pro_sogou' });
+    this.register('zhipu_quark', ZhipuSearchEngine, { search_engine: 'search_pro_quark' });
+    this.register('brave', BraveSearchEngine);
+    this.register('bing', BingSearchEngine);
+    this.register('tavily', TavilySearchEngine);
+    this.register('exa', ExaSearchEngine);
+    this.register('searxng', SearxngSearchEngine);
+    this.register('http_json', HttpJsonSearchEngine);
+    this.register('elasticsearch', ElasticsearchSearchEngine);
+    this.register('opensearch', ElasticsearchSearchEngine);
+    this.register('local_corpus', LocalCorpusSearchEngine);
+    this.register('mock', MockSearchEngine);
+  }
+
+  /**
+   * 注册适配器类型
+   * @param {string} type - 适配器类型
+   * @param {Function} EngineClass - 继承自SearchEngine的类
+   * @param {Object} defaults - 该类型的默认配置，会被引擎条目中的同名配置覆盖
+   */
+  register(type, EngineClass, defaults = {}) {
+    if (!this.isSearchEngineClass(EngineClass)) {
+      throw new Error(`适配器 ${type} 必须继承 SearchEngine 基类`);
+    }
+    this.adapters.set(type, { EngineClass, defaults });
+  }
+
+  /**
+   * 检查适配器类型是否已注册
+   * @param {string} type - 适配器类型
+   * @returns {boolean} 是否已注册
+   */
+  has(type) {
+    return this.adapters.has(type);
+  }
+
+  /**
+   * 获取已注册的适配器类型列表
+   * @returns {Array} 适配器类型列表
+   */
+  getTypes() {
+    return Array.from(this.adapters.keys());
+  }
+
+  /**
+   * 根据引擎配置解析适配器
+   * 配置了 module 时从本地文件加载插件并以 type 注册，否则按 type（缺省为引擎名称）查找已注册的适配器；
+   * 插件类型不能与内置适配器或其他插件文件注册的类型重名，避免静默替换已有的适配器
+   * @param {string} engineName - 引擎名称（search_engines 中的键）
+   * @param {Object} engineConfig - 引擎配置
+   * @returns {Promise<Object>} 适配器 { EngineClass, defaults }
+   */
+  async resolve(engineName, engineConfig = {}) {
+    const type = engineConfig.type || engineName;
+
+    if (engineConfig.module) {
+      const modulePath = path.resolve(process.cwd(), engineConfig.module);
+      if (this.builtinTypes.has(type)) {
+        throw new Error(`插件 ${engineConfig.module} 的类型 ${type} 与内置适配器重名，请在 type 中使用其他名称`);
+      }
+      if (this.pluginModules.has(type) && this.pluginModules.get(type) !== modulePath) {
+        throw new Error(`插件类型 ${type} 已由 ${this.pluginModules.get(type)} 注册，请在 type 中使用其他名称`);
+      }
+
+      const EngineClass = await this.loadPlugin(engineConfig.module, engineConfig.export);
+      this.register(type, EngineClass);
+      this.pluginModules.set(type, modulePath);
+    }
+
+    const adapter = this.adapters.get(type);
+    if (!adapter) {
+      throw new Error(`未知的搜索引擎适配器类型: ${type}（已注册: ${this.getTypes().join(', ')}）`);
+    }
+    return adapter;
+  }
+
+  /**
+   * 查找已注册的适配器，不加载插件文件
+   * 用于描述未启用的引擎：配置了 module 的插件尚未从该文件加载时返回null
+   * @param {string} engineName - 引擎名称（search_engines 中的键）
+   * @param {Object} engineConfig - 引擎配置
+   * @returns {Object|null} 适配器 { EngineClass, defaults }
+   */
+  lookup(engineName, engineConfig = {}) {
+    const type = engineConfig.type || engineName;
+
+    if (engineConfig.module && this.pluginModules.get(type) !== path.resolve(process.cwd(), engineConfig.module)) {
+      return null;
+    }
+    return this.adapters.get(type) || null;
+  }
+
+  /**
+   * 创建搜索引擎实例
+   * @param {string} engineName - 引擎名称（search_engines 中的键）
+   * @param {Object} engineConfig - 引擎配置
+   * @returns {Promise<SearchEngine>} 搜索引擎实例
+   */
+  async create(engineName, engineConfig = {}) {
+    const { EngineClass, defaults } = await this.resolve(engineName, engineConfig);
+    return new EngineClass({ ...defaults, ...engineConfig }, engineName);
+  }
+
+  /**
+   * 从本地文件加载搜索引擎插件
+   * @param {string} modulePath - 插件文件路径（相对路径基于当前工作目录）
+   * @param {string} exportName - 导出名称，缺省时依次尝试 default 和第一个SearchEngine子类
+   * @returns {Promise<Function>} 搜索引擎类
+   */
+  async loadPlugin(modulePath, exportName) {
+    const absolutePath = path.resolve(process.cwd(), modulePath);
+
+    let pluginModule;
+    try {
+      pluginModule = await import(pathToFileURL(absolutePath).href);
+    } catch (error) {
+      throw new Error(`加载搜索引擎插件失败: ${modulePath} (${error.message})`);
+    }
+
+    let EngineClass;
+    if (exportName) {
+      EngineClass = pluginModule[exportName];
+    } else if (this.isSearchEngineClass(pluginModule.default)) {
+      EngineClass = pluginModule.default;
+    } else {
+      EngineClass = Object.values(pluginModule).find(value => this.isSearchEngineClass(value));
+    }
+
+    if (!this.isSearchEngineClass(EngineClass)) {
+      throw new Error(`插件 ${modulePath} 未导出继承 SearchEngine 的类${exportName ? `: ${exportName}` : ''}`);
+    }
+
+    console.log(`🔌 已加载搜索引擎插件: ${modulePath}`);
+    return EngineClass;
+  }
+
+  /**
+   * 判断是否为SearchEngine子类
+   * @param {*} candidate - 待检查的值
+   * @returns {boolean} 是否为SearchEngine子类
+   */
+  isSearchEngineClass(candidate) {
+    return typeof candidate === 'function' && candidate.prototype instanceof SearchEngine;
+  }
+}
+
+// 创建全局搜索引擎注册表实例
+export const searchEngineRegistry = new SearchEngineRegistry();
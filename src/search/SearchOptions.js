@@ -0,0 +1,113 @@
+/**
+ * 统一搜索选项
+ *
+ * 所有适配器共用的规范化选项：
+ * - language：结果语言，如 zh-cn、en
+ * - region：地区/国家代码，如 cn、us
+ * - recency：时间范围，可选 day、week、month、year
+ * - includeSites：只搜索这些站点（域名数组）
+ * - excludeSites：排除这些站点（域名数组）
+ * - safeSearch：安全搜索级别，可选 off、moderate、strict
+ * - maxResults：返回的结果数量
+ *
+ * 各适配器通过静态属性 capabilities 声明支持哪些选项以及映射到的厂商参数；
+ * 不在上述列表中的选项（如智谱的 contentSize）作为适配器专有选项原样传递
+ */
+
+export const RECENCY_VALUES = ['day', 'week', 'month', 'year'];
+export const SAFE_SEARCH_VALUES = ['off', 'moderate', 'strict'];
+
+export const NORMALIZED_OPTIONS = [
+  'language',
+  'region',
+  'recency',
+  'includeSites',
+  'excludeSites',
+  'safeSearch',
+  'maxResults'
+];
+
+// 旧版智谱风格的时间范围取值
+const LEGACY_RECENCY = {
+  oneDay: 'day',
+  oneWeek: 'week',
+  oneMonth: 'month',
+  oneYear: 'year',
+  noLimit: null
+};
+
+/**
+ * 规范化搜索选项
+ * 兼容旧的 recencyFilter、domainFilter 写法；取值无效时抛出错误
+ * @param {Object} options - 原始搜索选项
+ * @returns {Object} 规范化后的搜索选项
+ */
+export function normalizeSearchOptions(options = {}) {
+  const { recencyFilter, domainFilter, ...normalized } = options;
+
+  if (normalized.recency === undefined && recencyFilter !== undefined) {
+    normalized.recency = recencyFilter in LEGACY_RECENCY ? LEGACY_RECENCY[recencyFilter] : recencyFilter;
+  }
+  if (normalized.includeSites === undefined && domainFilter) {
+    normalized.includeSites = domainFilter;
+  }
+
+  if (normalized.language !== undefined && normalized.language !== null) {
+    normalized.language = String(normalized.language).toLowerCase();
+  }
+  if (normalized.region !== undefined && normalized.region !== null) {
+    normalized.region = String(normalized.region).toLowerCase();
+  }
+
+  if (normalized.recency !== undefined && normalized.recency !== null && !RECENCY_VALUES.includes(normalized.recency)) {
+    throw new Error(`无效的搜索选项 recency: ${normalized.recency}（可选: ${RECENCY_VALUES.join(', ')}）`);
+  }
+  if (normalized.safeSearch !== undefined && normalized.safeSearch !== null && !SAFE_SEARCH_VALUES.includes(normalized.safeSearch)) {
+    throw new Error(`无效的搜索选项 safeSearch: ${normalized.safeSearch}（可选: ${SAFE_SEARCH_VALUES.join(', ')}）`);
+  }
+
+  ['includeSites', 'excludeSites'].forEach(key => {
+    if (normalized[key] !== undefined && normalized[key] !== null) {
+      normalized[key] = normalizeSites(normalized[key]);
+    }
+  });
+
+  if (normalized.maxResults !== undefined && normalized.maxResults !== null) {
+    const maxResults = Number(normalized.maxResults);
+    if (!Number.isInteger(maxResults) || maxResults < 1) {
+      throw new Error(`无效的搜索选项 maxResults: ${normalized.maxResults}`);
+    }
+    normalized.maxResults = maxResults;
+  }
+
+  // 空值等同于未指定
+  Object.keys(normalized).forEach(key => {
+    const value = normalized[key];
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      delete normalized[key];
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * 列出已指定的规范化选项
+ * @param {Object} options - 规范化后的搜索选项
+ * @returns {Array} 选项名称列表
+ */
+export function getSpecifiedOptions(options = {}) {
+  return NORMALIZED_OPTIONS.filter(key => options[key] !== undefined);
+}
+
+/**
+ * 规范化站点列表（支持数组或逗号分隔的字符串，去除协议和路径）
+ * @param {Array|string} sites - 站点列表
+ * @returns {Array} 域名数组
+ */
+function normalizeSites(sites) {
+  const list = Array.isArray(sites) ? sites : String(sites).split(',');
+  return list
+    .map(site => String(site).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, ''))
+    .filter(Boolean);
+}
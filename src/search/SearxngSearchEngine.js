@@ -0,0 +1,164 @@
+import { SearchEngine } from './SearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
+
+// 统一安全搜索级别到SearXNG safesearch 取值的映射
+const SAFE_SEARCH = {
+  off: 0,
+  moderate: 1,
+  strict: 2
+};
+
+/**
+ * SearXNG搜索引擎实现
+ * 调用自建SearXNG元搜索实例的JSON接口（需要在实例的 settings.yml 中启用 json 格式），
+ * base_url 为实例的搜索地址，如 http://localhost:8888/search；无需API密钥
+ *
+ * 除统一搜索选项外，也可以通过引擎配置的 options 或搜索选项直接传入SearXNG参数：
+ * categories（如 general、news）、engines（指定上游引擎）、language、time_range（day/week/month/year）
+ */
+export class SearxngSearchEngine extends SearchEngine {
+  static capabilities = {
+    language: 'language',
+    recency: 'time_range',
+    includeSites: '查询中的 site: 语法（取决于上游引擎）',
+    excludeSites: '查询中的 -site: 语法（取决于上游引擎）',
+    safeSearch: 'safesearch',
+    maxResults: 'pageno 分页'
+  };
+
+  constructor(config, name = 'searxng') {
+    super(name, config);
+  }
+
+  /**
+   * 执行SearXNG搜索
+   * SearXNG每页返回的结果数量由上游引擎决定，结果数量不足时通过 pageno 参数继续获取后续页（每页数量按配置 page_size 估算，默认10）
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async search(query, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error('SearXNG搜索引擎配置无效');
+    }
+
+    try {
+      const maxResults = this.getMaxResults(options);
+      const { items, pages } = await this.paginate(
+        async page => {
+          const data = await this.requestPage(query, options, page);
+          return { items: data?.results || [], raw: data };
+        },
+        maxResults,
+        this.config.page_size || 10
+      );
+
+      return {
+        ...this.formatResults({
+          query,
+          total: pages[0]?.number_of_results || items.length,
+          results: this.parseSearxngResults(items, maxResults),
+          raw: pages.length === 1 ? pages[0] : { pages }
+        }),
+        unresponsiveEngines: pages.flatMap(page => page?.unresponsive_engines || [])
+      };
+
+    } catch (error) {
+      console.error(`SearXNG搜索失败: ${error.message}`);
+      throw new Error(`SearXNG搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 请求单页结果
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @param {number} page - 页码（从1开始）
+   * @returns {Promise<Object>} 原始响应数据
+   */
+  async requestPage(query, options, page) {
+    const params = new URLSearchParams({
+      q: this.applySiteOperators(query, options),
+      format: 'json'
+    });
+
+    const categories = [options.categories || this.config.categories].flat().filter(Boolean);
+    if (categories.length > 0) {
+      params.set('categories', categories.join(','));
+    }
+    const engines = [options.engines || this.config.engines].flat().filter(Boolean);
+    if (engines.length > 0) {
+      params.set('engines', engines.join(','));
+    }
+    if (options.language) {
+      // 统一选项中的语言代码为小写，SearXNG使用 zh-CN 形式
+      params.set('language', options.language.replace(/-([a-z]+)$/, (_, region) => `-${region.toUpperCase()}`));
+    }
+
+    const timeRange = options.time_range || options.recency;
+    if (timeRange) {
+      params.set('time_range', timeRange);
+    }
+    if (options.safeSearch) {
+      params.set('safesearch', String(SAFE_SEARCH[options.safeSearch]));
+    }
+    if (page > 1) {
+      params.set('pageno', String(page));
+    }
+
+    const headers = { 'Accept': 'application/json' };
+    if (this.config.api_key) {
+      headers['Authorization'] = `Bearer ${this.config.api_key}`;
+    }
+
+    const response = await this.request(`${this.config.base_url}?${params}`, {
+      method: 'GET',
+      headers
+    }, options.signal);
+
+    if (!response.ok) {
+      throw createHttpError(response);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * 解析SearXNG返回的结果
+   * engines 为给出该结果的上游引擎列表
+   * @param {Array} rawResults - 原始结果数组
+   * @param {number} maxResults - 最大结果数量
+   * @returns {Array} 格式化的结果数组
+   */
+  parseSearxngResults(rawResults, maxResults = 10) {
+    if (!Array.isArray(rawResults)) {
+      return [];
+    }
+
+    const limitedResults = rawResults.slice(0, maxResults);
+
+    if (rawResults.length > maxResults) {
+      console.log(`SearXNG返回了${rawResults.length}条结果，已限制为${maxResults}条`);
+    }
+
+    return limitedResults.map((item, index) => ({
+      rank: index + 1,
+      title: item.title || '',
+      url: item.url || '',
+      snippet: item.content || '',
+      source: this.extractDomain(item.url),
+      timestamp: item.publishedDate || null,
+      engines: item.engines || (item.engine ? [item.engine] : []),
+      category: item.category || null,
+      score: item.score ?? null
+    }));
+  }
+
+  /**
+   * 验证配置（SearXNG实例通常无需API密钥，只要求有搜索地址）
+   * @returns {boolean} 配置是否有效
+   */
+  validateConfig() {
+    return !!(this.config && this.config.base_url);
+  }
+}
@@ -1,17 +1,27 @@
-import fetch from 'node-fetch';
 import { SearchEngine } from './SearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
 
 /**
  * Serper搜索引擎实现
  * 调用Serper API进行Google搜索
  */
 export class SerperSearchEngine extends SearchEngine {
-  constructor(config) {
-    super('serper', config);
+  static capabilities = {
+    language: 'hl',
+    region: 'gl',
+    recency: 'tbs（qdr:d/w/m/y）',
+    includeSites: '查询中的 site: 语法',
+    excludeSites: '查询中的 -site: 语法',
+    maxResults: 'num + page 分页'
+  };
+
+  constructor(config, name = 'serper') {
+    super(name, config);
   }
 
   /**
    * 执行Serper搜索
+   * 结果数量超过每页数量（配置 page_size，默认10）时通过 page 参数分页获取
    * @param {string} query - 搜索查询
    * @param {Object} options - 搜索选项
    * @returns {Promise<Object>} 搜索结果
@@ -22,56 +32,86 @@ export class SerperSearchEngine extends SearchEngine {
     }
 
     try {
-      const requestData = {
-        q: query,
-        hl: options.language || 'zh-cn',
-        num: options.maxResults || 10
-      };
-
-      const response = await fetch(this.config.base_url, {
-        method: 'POST',
-        headers: {
-          'X-API-KEY': this.config.api_key,
-          'Content-Type': 'application/json'
+      const maxResults = this.getMaxResults(options);
+      const { items, pages } = await this.paginate(
+        async (page, pageSize) => {
+          const data = await this.requestPage(query, options, page, pageSize);
+          return { items: data?.organic || [], raw: data };
         },
-        body: JSON.stringify(requestData),
-        timeout: 30000
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+        maxResults,
+        this.config.page_size || 10,
+        item => item.link
+      );
 
       return this.formatResults({
         query,
-        total: data?.searchInformation?.totalResults || 0,
-        results: this.parseSerperResults(data?.organic || []),
-        raw: data
+        total: pages[0]?.searchInformation?.totalResults || 0,
+        results: this.parseSerperResults(items, maxResults),
+        raw: pages.length === 1 ? pages[0] : { pages }
       });
 
     } catch (error) {
       console.error(`Serper搜索失败: ${error.message}`);
-      throw new Error(`Serper搜索失败: ${error.message}`);
+      throw new Error(`Serper搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 请求单页结果
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @param {number} page - 页码（从1开始）
+   * @param {number} pageSize - 每页结果数量
+   * @returns {Promise<Object>} 原始响应数据
+   */
+  async requestPage(query, options, page, pageSize) {
+    const requestData = {
+      q: this.applySiteOperators(query, options),
+      hl: options.language || 'zh-cn',
+      num: pageSize
+    };
+
+    if (options.region) {
+      requestData.gl = options.region;
+    }
+    if (options.recency) {
+      requestData.tbs = `qdr:${options.recency[0]}`;
+    }
+    if (page > 1) {
+      requestData.page = page;
+    }
+
+    const response = await this.request(this.config.base_url, {
+      method: 'POST',
+      headers: {
+        'X-API-KEY': this.config.api_key,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(requestData)
+    }, options.signal);
+
+    if (!response.ok) {
+      throw createHttpError(response);
     }
+
+    return response.json();
   }
 
   /**
    * 解析Serper API返回的结果
    * @param {Array} rawResults - 原始结果数组
+   * @param {number} maxResults - 最大结果数量
    * @returns {Array} 格式化的结果数组
    */
-  parseSerperResults(rawResults) {
+  parseSerperResults(rawResults, maxResults = 10) {
     if (!Array.isArray(rawResults)) {
       return [];
     }
 
-    // 严格限制返回结果数量为10条
-    const limitedResults = rawResults.slice(0, 10);
+    const limitedResults = rawResults.slice(0, maxResults);
     
-    if (rawResults.length > 10) {
-      console.log(`Serper返回了${rawResults.length}条结果，已限制为10条`);
+    if (rawResults.length > maxResults) {
+      console.log(`Serper返回了${rawResults.length}条结果，已限制为${maxResults}条`);
     }
 
     return limitedResults.map((item, index) => ({
@@ -85,16 +125,4 @@ export class SerperSearchEngine extends SearchEngine {
     }));
   }
 
-  /**
-   * 从URL提取域名
-   * @param {string} url - 完整URL
-   * @returns {string} 域名
-   */
-  extractDomain(url) {
-    try {
-      return new URL(url).hostname;
-    } catch {
-      return '';
-    }
-  }
 }
\ No newline at end of file
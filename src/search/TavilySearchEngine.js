@@ -0,0 +1,119 @@
+import { SearchEngine } from './SearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
+
+// Tavily单次请求的最大结果数量
+const MAX_RESULTS = 20;
+
+/**
+ * Tavily搜索引擎实现
+ * 调用面向LLM智能体的Tavily Search API，结果中包含网页正文（raw_content）
+ *
+ * 除统一搜索选项外，也可以通过引擎配置的 options 或搜索选项直接传入Tavily参数：
+ * search_depth（basic/advanced）、topic（general/news）、include_raw_content、include_domains、exclude_domains
+ */
+export class TavilySearchEngine extends SearchEngine {
+  static capabilities = {
+    recency: 'time_range',
+    includeSites: 'include_domains',
+    excludeSites: 'exclude_domains',
+    maxResults: `max_results（最多${MAX_RESULTS}条）`
+  };
+
+  constructor(config, name = 'tavily') {
+    super(name, config);
+  }
+
+  /**
+   * 执行Tavily搜索
+   * @param {string} query - 搜索查询
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async search(query, options = {}) {
+    if (!this.validateConfig()) {
+      throw new Error('Tavily搜索引擎配置无效');
+    }
+
+    try {
+      const requestData = {
+        query,
+        search_depth: options.search_depth || this.config.search_depth || 'basic',
+        topic: options.topic || 'general',
+        max_results: Math.min(this.getMaxResults(options), MAX_RESULTS),
+        include_raw_content: options.include_raw_content ?? this.config.include_raw_content ?? true
+      };
+
+      const includeDomains = options.include_domains || options.includeSites;
+      if (includeDomains?.length) {
+        requestData.include_domains = includeDomains;
+      }
+      const excludeDomains = options.exclude_domains || options.excludeSites;
+      if (excludeDomains?.length) {
+        requestData.exclude_domains = excludeDomains;
+      }
+      if (options.recency) {
+        requestData.time_range = options.recency;
+      }
+
+      const response = await this.request(this.config.base_url, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.config.api_key}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestData)
+      }, options.signal);
+
+      if (!response.ok) {
+        throw createHttpError(response);
+      }
+
+      const data = await response.json();
+      const results = this.parseTavilyResults(data?.results || [], requestData.max_results);
+
+      return {
+        ...this.formatResults({
+          query,
+          total: results.length,
+          results,
+          raw: data
+        }),
+        answer: data?.answer || null
+      };
+
+    } catch (error) {
+      console.error(`Tavily搜索失败: ${error.message}`);
+      throw new Error(`Tavily搜索失败: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * 解析Tavily API返回的结果
+   * content 为Tavily抽取的相关片段，raw_content 为网页正文
+   * @param {Array} rawResults - 原始结果数组
+   * @param {number} maxResults - 最大结果数量
+   * @returns {Array} 格式化的结果数组
+   */
+  parseTavilyResults(rawResults, maxResults = 10) {
+    if (!Array.isArray(rawResults)) {
+      return [];
+    }
+
+    const limitedResults = rawResults.slice(0, maxResults);
+
+    if (rawResults.length > maxResults) {
+      console.log(`Tavily返回了${rawResults.length}条结果，已限制为${maxResults}条`);
+    }
+
+    return limitedResults.map((item, index) => ({
+      rank: index + 1,
+      title: item.title || '',
+      url: item.url || '',
+      snippet: item.content || '',
+      source: this.extractDomain(item.url),
+      timestamp: item.published_date || null,
+      content: item.raw_content || null,
+      score: item.score ?? null
+    }));
+  }
+}
@@ -1,107 +1,163 @@
-import fetch from 'node-fetch';
 import { SearchEngine } from './SearchEngine.js';
+import { createHttpError } from '../utils/HttpClient.js';
+
+// 统一时间范围到智谱 search_recency_filter 取值的映射
+const RECENCY_FILTERS = {
+  day: 'oneDay',
+  week: 'oneWeek',
+  month: 'oneMonth',
+  year: 'oneYear'
+};
 
 /**
  * 智谱搜索引擎实现
- * 调用智谱API进行网络搜索
+ * 调用智谱 web_search API 进行网络搜索，通过 search_engine 参数支持
+ * search_std、search_pro、search_pro_sogou、search_pro_quark 等所有搜索服务
  */
 export class ZhipuSearchEngine extends SearchEngine {
-  constructor(config) {
-    super('zhipu', config);
+  static capabilities = {
+    recency: 'search_recency_filter',
+    includeSites: 'search_domain_filter（仅支持单个站点）',
+    maxResults: 'count'
+  };
+
+  constructor(config, name = 'zhipu') {
+    super(name, config);
   }
 
   /**
    * 执行智谱搜索
+   * 搜索服务的优先级：options.engine > 配置中的 search_engine > search_pro
    * @param {string} query - 搜索查询
    * @param {Object} options - 搜索选项
    * @returns {Promise<Object>} 搜索结果
    */
   async search(query, options = {}) {
     if (!this.validateConfig()) {
-      throw new Error('智谱搜索引擎配置无效');
+      throw new Error(`智谱搜索引擎 ${this.name} 配置无效`);
     }
 
     try {
       const requestData = {
         search_query: query,
-        search_engine: options.engine || 'search_pro',
-        search_intent: false,
-        count: options.maxResults || 10,
-        search_domain_filter: options.domainFilter || '',
-        search_recency_filter: options.recencyFilter || 'noLimit',
+        search_engine: this.getSearchEngineType(options),
+        search_intent: options.searchIntent ?? this.config.search_intent ?? false,
+        count: this.getMaxResults(options),
+        search_domain_filter: options.includeSites?.[0] || '',
+        search_recency_filter: RECENCY_FILTERS[options.recency] || 'noLimit',
         content_size: options.contentSize || 'medium',
         request_id: this.generateRequestId(),
         user_id: options.userId || 'default'
       };
 
-      const response = await fetch(this.config.base_url, {
+      console.log(`${this.name} 请求数据:`, JSON.stringify(requestData, null, 2));
+
+      const response = await this.request(this.config.base_url, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${this.config.api_key}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(requestData),
-        timeout: 30000
-      });
+        body: JSON.stringify(requestData)
+      }, options.signal);
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const errorText = await response.text();
+        console.error(`${this.name} API错误响应: ${response.status} ${response.statusText}`, errorText);
+        throw createHttpError(response);
       }
 
       const data = await response.json();
+      const results = this.parseZhipuResults(data?.search_result || [], requestData.count);
 
-      return this.formatResults({
-        query,
-        total: data?.data?.length || 0,
-        results: this.parseZhipuResults(data?.data || []),
-        raw: data
-      });
+      return {
+        ...this.formatResults({
+          query,
+          total: results.length,
+          results,
+          raw: data
+        }),
+        searchEngine: requestData.search_engine,
+        searchIntent: this.parseSearchIntent(data?.search_intent)
+      };
 
     } catch (error) {
-      console.error(`智谱搜索失败: ${error.message}`);
-      throw new Error(`智谱搜索失败: ${error.message}`);
+      console.error(`${this.name} 搜索失败: ${error.message}`);
+      throw new Error(`${this.name} 搜索失败: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * 列出不支持的统一搜索选项；search_domain_filter 只能指定一个站点，多个站点时视为不支持
+   * @param {Object} options - 规范化后的搜索选项
+   * @returns {Array} 不支持的选项名称
+   */
+  getUnsupportedOptions(options = {}) {
+    const unsupported = super.getUnsupportedOptions(options);
+    if (options.includeSites?.length > 1) {
+      unsupported.push('includeSites');
+    }
+    return unsupported;
+  }
+
+  /**
+   * 获取本次请求使用的智谱搜索服务
+   * @param {Object} options - 搜索选项
+   * @returns {string} 搜索服务名称
+   */
+  getSearchEngineType(options = {}) {
+    return options.engine || this.config.search_engine || 'search_pro';
+  }
+
   /**
    * 解析智谱API返回的结果
-   * @param {Array} rawResults - 原始结果数组
+   * @param {Array} rawResults - 原始结果数组（search_result）
+   * @param {number} maxResults - 最大结果数量
    * @returns {Array} 格式化的结果数组
    */
-  parseZhipuResults(rawResults) {
+  parseZhipuResults(rawResults, maxResults = 10) {
     if (!Array.isArray(rawResults)) {
+      console.log(`${this.name} 返回的数据不是数组:`, rawResults);
       return [];
     }
 
-    // 严格限制返回结果数量为10条
-    const limitedResults = rawResults.slice(0, 10);
-    
-    if (rawResults.length > 10) {
-      console.log(`智谱搜索返回了${rawResults.length}条结果，已限制为10条`);
+    const limitedResults = rawResults.slice(0, maxResults);
+
+    if (rawResults.length > maxResults) {
+      console.log(`${this.name} 返回了${rawResults.length}条结果，已限制为${maxResults}条`);
     }
 
-    return limitedResults.map((item, index) => ({
-      rank: index + 1,
-      title: item.title || '',
-      url: item.url || item.link || '',
-      snippet: item.content || item.snippet || '',
-      source: item.source || this.extractDomain(item.url || item.link),
-      timestamp: item.publish_time || item.date || null,
-      score: item.relevance_score || null
-    }));
+    return limitedResults.map((item, index) => {
+      const url = item.link || item.url || '';
+      return {
+        rank: index + 1,
+        title: item.title || '',
+        url,
+        snippet: item.content || '',
+        source: item.media || this.extractDomain(url),
+        timestamp: item.publish_date || null,
+        media: item.media || null,
+        icon: item.icon || null,
+        refer: item.refer || null
+      };
+    });
   }
 
   /**
-   * 从URL提取域名
-   * @param {string} url - 完整URL
-   * @returns {string} 域名
+   * 解析搜索意图识别结果（search_intent 开启时返回）
+   * @param {Array} rawIntent - 原始意图数组
+   * @returns {Array} 意图列表
    */
-  extractDomain(url) {
-    try {
-      return new URL(url).hostname;
-    } catch {
-      return '';
+  parseSearchIntent(rawIntent) {
+    if (!Array.isArray(rawIntent)) {
+      return [];
     }
+
+    return rawIntent.map(item => ({
+      query: item.query || '',
+      intent: item.intent || '',
+      keywords: item.keywords || ''
+    }));
   }
 
   /**
@@ -109,6 +165,6 @@ export class ZhipuSearchEngine extends SearchEngine {
    * @returns {string} 唯一请求ID
    */
   generateRequestId() {
-    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `${this.name}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
-}
\ No newline at end of file
+}
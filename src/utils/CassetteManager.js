@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { hashRequest } from './RequestKey.js';
+import { isAbortError } from './HttpClient.js';
+
+/**
+ * 录制/回放管理器 - 将搜索引擎与评分模型的请求和响应录制为fixture文件，并在回放时直接返回
+ *
+ * 模式：
+ * - off：不录制也不回放
+ * - record：每次调用都访问网络，并将请求和响应写入fixture文件
+ * - replay：优先从fixture文件回放；未命中时严格模式下报错，否则访问网络并补录
+ *
+ * fixture按 类型/标签_请求哈希_序号.json 存放，请求哈希由引擎、查询、选项（或模型、提示词）计算；
+ * 同一请求在一次运行中的第N次调用对应序号N，因此重复评估的多轮结果可以被逐一回放
+ */
+export class CassetteManager {
+  constructor() {
+    this.configure();
+  }
+
+  /**
+   * 应用录制/回放配置
+   * @param {Object} cassetteConfig - 配置 { mode, dir, strict }
+   */
+  configure(cassetteConfig = {}) {
+    const mode = cassetteConfig.mode || 'off';
+    if (!['off', 'record', 'replay'].includes(mode)) {
+      throw new Error(`无效的录制/回放模式: ${mode}（可选: off, record, replay）`);
+    }
+
+    this.mode = mode;
+    this.dir = path.resolve(process.cwd(), cassetteConfig.dir || './cassettes');
+    this.strict = cassetteConfig.strict === true;
+    this.occurrences = new Map();
+    this.stats = { recorded: 0, replayed: 0, missed: 0 };
+
+    if (this.isEnabled()) {
+      console.log(`📼 录制/回放已启用: ${this.mode}${this.strict ? '（严格模式）' : ''}，目录: ${this.dir}`);
+    }
+  }
+
+  /**
+   * 是否启用录制或回放
+   * @returns {boolean} 是否启用
+   */
+  isEnabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * 通过录制/回放执行一次外部调用
+   * @param {string} kind - 调用类型（search / judge）
+   * @param {Object} request - 请求描述，用于计算键并写入fixture
+   * @param {Function} execute - 实际执行调用的函数
+   * @returns {Promise<*>} 调用结果
+   */
+  async run(kind, request, execute) {
+    if (!this.isEnabled()) {
+      return execute();
+    }
+
+    const fixturePath = this.getFixturePath(kind, request);
+
+    if (this.mode === 'replay') {
+      const fixture = await this.readFixture(fixturePath);
+      if (fixture) {
+        this.stats.replayed++;
+        if (fixture.error) {
+          throw new Error(fixture.error);
+        }
+        return fixture.response;
+      }
+
+      this.stats.missed++;
+      if (this.strict) {
+        throw new Error(`回放未命中（严格模式）: ${kind} ${path.relative(this.dir, fixturePath)}`);
+      }
+      console.warn(`📼 回放未命中，改为访问网络并录制: ${path.relative(this.dir, fixturePath)}`);
+    }
+
+    try {
+      const response = await execute();
+      await this.writeFixture(fixturePath, { kind, request, response });
+      return response;
+    } catch (error) {
+      // 被取消的调用不代表真实结果，不写入fixture
+      if (!isAbortError(error)) {
+        await this.writeFixture(fixturePath, { kind, request, error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 计算fixture文件路径，并递增该请求在本次运行中的调用序号
+   * @param {string} kind - 调用类型
+   * @param {Object} request - 请求描述
+   * @returns {string} fixture文件路径
+   */
+  getFixturePath(kind, request) {
+    const hash = hashRequest(request);
+    const label = String(request.engine || request.model || kind).replace(/[^\w.-]/g, '_');
+    const key = `${kind}/${label}_${hash}`;
+
+    const occurrence = (this.occurrences.get(key) || 0) + 1;
+    this.occurrences.set(key, occurrence);
+
+    return path.join(this.dir, `${key}_${occurrence}.json`);
+  }
+
+  /**
+   * 读取fixture文件
+   * @param {string} fixturePath - fixture文件路径
+   * @returns {Promise<Object|null>} fixture内容，不存在时返回null
+   */
+  async readFixture(fixturePath) {
+    try {
+      return JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`读取fixture文件失败: ${fixturePath} (${error.message})`);
+    }
+  }
+
+  /**
+   * 写入fixture文件
+   * @param {string} fixturePath - fixture文件路径
+   * @param {Object} fixture - fixture内容
+   * @returns {Promise<void>}
+   */
+  async writeFixture(fixturePath, fixture) {
+    await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify({
+      ...fixture,
+      recorded_at: new Date().toISOString()
+    }, null, 2));
+    this.stats.recorded++;
+  }
+
+  /**
+   * 获取录制/回放统计
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return { mode: this.mode, strict: this.strict, dir: this.dir, ...this.stats };
+  }
+}
+
+// 创建全局录制/回放管理器实例
+export const cassetteManager = new CassetteManager();
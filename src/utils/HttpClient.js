@@ -0,0 +1,201 @@
+import fetch from 'node-fetch';
+
+/**
+ * HTTP请求工具 - 统一处理请求超时与取消
+ *
+ * 超时和外部取消都通过 AbortSignal 实现；抛出的错误带有 code 字段：
+ * - ETIMEDOUT：请求超时
+ * - ABORT_ERR：被外部信号取消（如 Ctrl-C）
+ */
+
+export const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * 创建请求超时错误
+ * @param {number} timeout - 超时时间（毫秒）
+ * @returns {Error} 超时错误
+ */
+export function createTimeoutError(timeout) {
+  const error = new Error(`请求超时 (${timeout}ms)`);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * 创建取消错误
+ * @returns {Error} 取消错误
+ */
+export function createAbortError() {
+  const error = new Error('操作已取消');
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+/**
+ * 根据失败的响应创建HTTP错误
+ * 错误带有 status 和 retryAfter（Retry-After 响应头）字段，供重试策略判断
+ * @param {Response} response - 响应对象
+ * @returns {Error} HTTP错误
+ */
+export function createHttpError(response) {
+  const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  error.retryAfter = response.headers?.get('retry-after') ?? null;
+  return error;
+}
+
+/**
+ * 判断错误是否由外部取消引起（沿 cause 链查找）
+ * @param {Error} error - 错误对象
+ * @returns {boolean} 是否为取消错误
+ */
+export function isAbortError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === 'ABORT_ERR') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 对错误进行分类（沿 cause 链查找），用于健康检查和报告
+ * @param {Error} error - 错误对象
+ * @returns {string} 错误类型：aborted、timeout、rate_limited、auth、client_error、server_error、network、parse、unknown
+ */
+export function classifyError(error) {
+  if (isAbortError(error)) {
+    return 'aborted';
+  }
+
+  for (let current = error; current; current = current.cause) {
+    if (current.code === 'ETIMEDOUT') {
+      return 'timeout';
+    }
+    if (typeof current.status === 'number') {
+      if (current.status === 429) return 'rate_limited';
+      if (current.status === 401 || current.status === 403) return 'auth';
+      return current.status >= 500 ? 'server_error' : 'client_error';
+    }
+    if (current.type === 'system' || /^E[A-Z]+$/.test(current.code || '')) {
+      return 'network';
+    }
+    if (current instanceof SyntaxError || current.type === 'invalid-json') {
+      return 'parse';
+    }
+  }
+  return 'unknown';
+}
+
+/**
+ * 若信号已取消则抛出取消错误
+ * @param {AbortSignal} signal - 取消信号
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
+
+/**
+ * 可被取消的延迟
+ * @param {number} ms - 延迟毫秒数
+ * @param {AbortSignal} signal - 取消信号
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  throwIfAborted(signal);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 合并多个取消信号，任一信号取消时合并后的信号随之取消
+ * 优先使用 AbortSignal.any（Node 18.17+/20.3+），更早的版本手动转发取消事件；
+ * 手动转发时监听器挂在各个信号上（包括整个运行期间都存在的外部取消信号），请求结束后需调用 cleanup 解除
+ * @param {Array} signals - 取消信号数组
+ * @returns {Object} { signal: 合并后的信号, cleanup: 解除转发的函数 }
+ */
+function anySignal(signals) {
+  if (typeof AbortSignal.any === 'function') {
+    return { signal: AbortSignal.any(signals), cleanup: () => {} };
+  }
+
+  const controller = new AbortController();
+  const cleanup = () => signals.forEach(signal => signal.removeEventListener('abort', onAbort));
+  const onAbort = event => {
+    cleanup();
+    controller.abort(event?.target?.reason);
+  };
+  const aborted = signals.find(signal => signal.aborted);
+  if (aborted) {
+    controller.abort(aborted.reason);
+  } else {
+    signals.forEach(signal => signal.addEventListener('abort', onAbort, { once: true }));
+  }
+  return { signal: controller.signal, cleanup };
+}
+
+// 受超时和取消约束的响应体读取方法
+const BODY_READERS = ['arrayBuffer', 'blob', 'json', 'text'];
+
+/**
+ * 发送带超时的HTTP请求
+ * 超时信号在返回响应后仍然有效，因此读取响应体同样受超时约束：读取时超时或被取消同样抛出
+ * ETIMEDOUT / ABORT_ERR 错误，而不是底层的 AbortError。
+ * 合并信号的转发在响应体读取结束后解除；非2xx响应的响应体通常不会被读取，收到响应时即解除
+ * @param {string} url - 请求地址
+ * @param {Object} init - fetch 参数
+ * @param {Object} options - { timeout: 超时毫秒数, signal: 外部取消信号 }
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function fetchWithTimeout(url, init = {}, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const timeoutSignal = AbortSignal.timeout(timeout);
+
+  throwIfAborted(options.signal);
+
+  const { signal, cleanup } = options.signal
+    ? anySignal([options.signal, timeoutSignal])
+    : { signal: timeoutSignal, cleanup: () => {} };
+  const toRequestError = error => {
+    if (options.signal?.aborted) {
+      return createAbortError();
+    }
+    if (timeoutSignal.aborted) {
+      return createTimeoutError(timeout);
+    }
+    return error;
+  };
+
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal });
+  } catch (error) {
+    cleanup();
+    throw toRequestError(error);
+  }
+
+  if (!response.ok) {
+    cleanup();
+  }
+  BODY_READERS.forEach(method => {
+    const read = response[method].bind(response);
+    response[method] = () => read()
+      .catch(error => {
+        throw toRequestError(error);
+      })
+      .finally(cleanup);
+  });
+  return response;
+}
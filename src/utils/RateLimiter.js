@@ -0,0 +1,127 @@
+import { createAbortError, sleep, throwIfAborted } from './HttpClient.js';
+
+/**
+ * 速率限制器 - 令牌桶限速 + 最大并发数
+ *
+ * 配置（均为可选，未配置的项不做限制）：
+ * - requests_per_second / requests_per_minute：令牌补充速率
+ * - burst：令牌桶容量，即允许的瞬时突发请求数（默认为每秒请求数向上取整，至少为1）
+ * - max_concurrency：同时进行的最大请求数
+ */
+export class RateLimiter {
+  constructor(limitConfig = {}) {
+    this.ratePerSecond = limitConfig.requests_per_second
+      ?? (limitConfig.requests_per_minute ? limitConfig.requests_per_minute / 60 : null);
+    this.burst = limitConfig.burst ?? Math.max(1, Math.ceil(this.ratePerSecond || 1));
+    this.maxConcurrency = limitConfig.max_concurrency ?? Infinity;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.waiters = [];
+  }
+
+  /**
+   * 在限速和并发限制下执行任务
+   * @param {Function} task - 要执行的异步任务
+   * @param {AbortSignal} signal - 取消信号，等待期间取消会抛出取消错误
+   * @returns {Promise<*>} 任务结果
+   */
+  async schedule(task, signal) {
+    await this.acquireSlot(signal);
+    try {
+      await this.acquireToken(signal);
+      return await task();
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * 获取并发槽位，已满时排队等待
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise<void>}
+   */
+  acquireSlot(signal) {
+    throwIfAborted(signal);
+
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiters = this.waiters.filter(item => item !== waiter);
+        reject(createAbortError());
+      };
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * 释放并发槽位；有排队的任务时直接将槽位交给队首任务
+   */
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * 从令牌桶获取一个令牌，令牌不足时等待补充
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise<void>}
+   */
+  async acquireToken(signal) {
+    if (!this.ratePerSecond) {
+      return;
+    }
+
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil((1 - this.tokens) / this.ratePerSecond * 1000), signal);
+    }
+  }
+
+  /**
+   * 按经过的时间补充令牌
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 是否配置了任何限制
+   * @returns {boolean} 是否限制
+   */
+  isLimited() {
+    return !!this.ratePerSecond || Number.isFinite(this.maxConcurrency);
+  }
+
+  /**
+   * 获取限制配置的描述
+   * @returns {Object} { requests_per_second, burst, max_concurrency }，未限制的项为null
+   */
+  describe() {
+    return {
+      requests_per_second: this.ratePerSecond,
+      burst: this.ratePerSecond ? this.burst : null,
+      max_concurrency: Number.isFinite(this.maxConcurrency) ? this.maxConcurrency : null
+    };
+  }
+}
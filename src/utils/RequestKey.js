@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+
+/**
+ * 请求键工具 - 为录制/回放和搜索缓存生成稳定的请求键
+ */
+
+/**
+ * 判断值是否参与键计算，忽略函数、undefined以及非普通对象（如AbortSignal）
+ * @param {*} value - 待检查的值
+ * @returns {boolean} 是否参与
+ */
+function isKeyableValue(value) {
+  if (value === undefined || typeof value === 'function') {
+    return false;
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+  }
+  return true;
+}
+
+/**
+ * 规范化用于计算键的值（对象键排序）
+ * @param {*} value - 原始值
+ * @returns {*} 规范化后的值
+ */
+function normalizeForKey(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => normalizeForKey(item));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .filter(key => isKeyableValue(value[key]))
+      .reduce((normalized, key) => {
+        normalized[key] = normalizeForKey(value[key]);
+        return normalized;
+      }, {});
+  }
+
+  return value;
+}
+
+/**
+ * 生成键顺序稳定的JSON字符串
+ * @param {*} value - 待序列化的值
+ * @returns {string} JSON字符串
+ */
+export function stableStringify(value) {
+  return JSON.stringify(normalizeForKey(value));
+}
+
+/**
+ * 计算请求描述的哈希
+ * @param {*} value - 请求描述
+ * @param {number} length - 哈希长度
+ * @returns {string} 十六进制哈希
+ */
+export function hashRequest(value, length = 16) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex').slice(0, length);
+}
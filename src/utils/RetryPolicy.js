@@ -0,0 +1,142 @@
+import { isAbortError, sleep } from './HttpClient.js';
+
+/**
+ * 重试策略 - 指数退避 + 随机抖动，并遵循服务端返回的 Retry-After
+ *
+ * 配置：
+ * - max_attempts：最大尝试次数（含首次请求，默认3）
+ * - base_delay：首次重试前的基础等待时间，单位毫秒（默认1000）
+ * - max_delay：单次退避等待的上限，单位毫秒（默认30000）
+ * - max_retry_after：可接受的 Retry-After 上限，超过时不再重试（默认60000）
+ * - retry_on：可重试的HTTP状态码（默认 408、425、429、500、502、503、504）
+ *
+ * 超时和连接类网络错误可重试；其余HTTP错误（如 400、401、403、404）和被取消的请求直接失败
+ */
+
+export const DEFAULT_RETRY_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+const RETRYABLE_ERROR_CODES = new Set([
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'UND_ERR_SOCKET'
+]);
+
+export class RetryPolicy {
+  constructor(retryConfig = {}) {
+    this.maxAttempts = Math.max(1, retryConfig.max_attempts ?? 3);
+    this.baseDelay = retryConfig.base_delay ?? 1000;
+    this.maxDelay = retryConfig.max_delay ?? 30000;
+    this.maxRetryAfter = retryConfig.max_retry_after ?? 60000;
+    this.retryOn = new Set(retryConfig.retry_on || DEFAULT_RETRY_STATUS);
+  }
+
+  /**
+   * 执行操作，失败时按策略重试
+   * 成功时返回 { result, attempts }；最终失败时抛出最后一次的错误，并在错误上附加 attempts
+   * @param {Function} operation - 要执行的异步操作，参数为当前尝试序号（从1开始）
+   * @param {Object} options - { signal: 取消信号, onRetry: 重试前回调 (error, attempt, delay) }
+   * @returns {Promise<Object>} { result, attempts }
+   */
+  async execute(operation, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await operation(attempt);
+        return { result, attempts: attempt };
+      } catch (error) {
+        const delay = attempt < this.maxAttempts ? this.getRetryDelay(error, attempt) : null;
+        if (delay === null) {
+          error.attempts = attempt;
+          throw error;
+        }
+
+        options.onRetry?.(error, attempt, delay);
+
+        try {
+          await sleep(delay, options.signal);
+        } catch (abortError) {
+          abortError.attempts = attempt;
+          throw abortError;
+        }
+      }
+    }
+  }
+
+  /**
+   * 计算下一次重试前的等待时间
+   * @param {Error} error - 本次失败的错误
+   * @param {number} attempt - 本次尝试序号
+   * @returns {number|null} 等待毫秒数，不可重试时返回null
+   */
+  getRetryDelay(error, attempt) {
+    if (!this.isRetryable(error)) {
+      return null;
+    }
+
+    const retryAfter = this.parseRetryAfter(findInCauseChain(error, item => item.retryAfter)?.retryAfter);
+    if (retryAfter !== null) {
+      return retryAfter <= this.maxRetryAfter ? retryAfter : null;
+    }
+
+    // 等比抖动：在退避时间的 50%~100% 之间随机取值，避免多个请求同时重试
+    const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * 判断错误是否可重试（沿 cause 链查找HTTP状态码和网络错误码）
+   * @param {Error} error - 错误对象
+   * @returns {boolean} 是否可重试
+   */
+  isRetryable(error) {
+    if (isAbortError(error)) {
+      return false;
+    }
+
+    const httpError = findInCauseChain(error, item => item.status !== undefined);
+    if (httpError) {
+      return this.retryOn.has(httpError.status);
+    }
+
+    return !!findInCauseChain(error, item => RETRYABLE_ERROR_CODES.has(item.code) || RETRYABLE_ERROR_CODES.has(item.errno));
+  }
+
+  /**
+   * 解析 Retry-After 响应头（秒数或HTTP日期）
+   * @param {string} value - 响应头的值
+   * @returns {number|null} 等待毫秒数，无法解析时返回null
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+/**
+ * 沿 cause 链查找满足条件的错误
+ * @param {Error} error - 错误对象
+ * @param {Function} predicate - 判断条件
+ * @returns {Error|null} 满足条件的错误
+ */
+function findInCauseChain(error, predicate) {
+  for (let current = error; current; current = current.cause) {
+    if (predicate(current)) {
+      return current;
+    }
+  }
+  return null;
+}
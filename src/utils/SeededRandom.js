@@ -0,0 +1,54 @@
+import { hashRequest } from './RequestKey.js';
+
+/**
+ * 可复现的伪随机数生成器（mulberry32）
+ * 种子可以是任意可序列化的值，相同的种子总是产生相同的序列，供模拟搜索引擎和模拟评分模型使用
+ */
+export class SeededRandom {
+  constructor(seed) {
+    this.state = parseInt(hashRequest(seed, 8), 16) >>> 0;
+  }
+
+  /**
+   * 生成 [0, 1) 之间的随机数
+   * @returns {number} 随机数
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * 生成 [min, max] 之间的整数
+   * @param {number} min - 最小值
+   * @param {number} max - 最大值
+   * @returns {number} 随机整数
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * 按概率返回是否命中
+   * @param {number} probability - 命中概率（0~1）
+   * @returns {boolean} 是否命中
+   */
+  chance(probability) {
+    return !!probability && this.next() < probability;
+  }
+
+  /**
+   * 解析延迟配置：数字表示固定延迟，[min, max] 表示区间内随机
+   * @param {number|Array} latency - 延迟配置（毫秒）
+   * @returns {number} 延迟毫秒数
+   */
+  latency(latency) {
+    if (Array.isArray(latency)) {
+      return this.int(latency[0], latency[1] ?? latency[0]);
+    }
+    return Number(latency) || 0;
+  }
+}
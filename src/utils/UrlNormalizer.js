@@ -0,0 +1,49 @@
+/**
+ * URL规范化工具 - 用于把人工标注、不同搜索引擎返回的同一网页对应到同一个键
+ */
+
+// 不影响网页内容的跟踪参数
+const TRACKING_PARAMS = [/^utm_/, /^gclid$/, /^fbclid$/, /^msclkid$/, /^spm$/, /^from$/, /^ref$/];
+
+/**
+ * 规范化URL
+ * 忽略协议（http/https）、主机名大小写和 www. 前缀、默认端口、片段（#）、跟踪参数和末尾的斜杠，查询参数按名称排序；
+ * 无法解析的URL原样去除首尾空白并转为小写
+ * @param {string} url - 原始URL
+ * @returns {string} 规范化后的URL，如 example.com/a/b?x=1
+ */
+export function normalizeUrl(url) {
+  const text = String(url ?? '').trim();
+  if (!text) {
+    return '';
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `http://${text}`);
+  } catch {
+    return text.toLowerCase();
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return `${parsed.protocol}${parsed.pathname}`;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port && !['80', '443'].includes(parsed.port) ? `:${parsed.port}` : '';
+
+  let pathname = parsed.pathname;
+  try {
+    pathname = decodeURI(pathname);
+  } catch {
+    // 保留无法解码的路径
+  }
+  pathname = pathname.replace(/\/+$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.some(pattern => pattern.test(name.toLowerCase())))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const search = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `${host}${port}${pathname}${search}`;
+}
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  cohenKappa,
+  computeAgreement,
+  confusionMatrix,
+  kendallTau,
+  krippendorffAlpha,
+  spearmanCorrelation
+} from '../src/evaluation/AgreementMetrics.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+const toPairs = (a, b) => a.map((value, index) => ({ a: value, b: b[index] }));
+
+// 6个条目中只有1个不一致（a=2, b=1）
+const categories = [0, 1, 2];
+const pairs = toPairs([0, 1, 2, 2, 1, 0], [0, 1, 2, 1, 1, 0]);
+
+describe('confusionMatrix', () => {
+  it('按 a 的分值分行、b 的分值分列计数，忽略不在分值列表中的评分', () => {
+    assert.deepEqual(confusionMatrix([...pairs, { a: 3, b: 0 }], categories), [
+      [2, 0, 0],
+      [0, 2, 0],
+      [0, 1, 1]
+    ]);
+  });
+});
+
+describe('cohenKappa', () => {
+  it('未加权：(观察一致 5/6 - 期望一致 1/3) / (1 - 1/3)', () => {
+    close(cohenKappa(pairs, categories), 0.75);
+  });
+
+  it('二次加权：1 - (0.25/6) / (10.5/36)', () => {
+    close(cohenKappa(pairs, categories, 'quadratic'), 6 / 7);
+  });
+
+  it('线性加权：1 - (0.5/6) / (15/36)', () => {
+    close(cohenKappa(pairs, categories, 'linear'), 0.8);
+  });
+
+  it('期望不一致为0或没有评分对时为null', () => {
+    assert.equal(cohenKappa(toPairs([1, 1], [1, 1]), categories), null);
+    assert.equal(cohenKappa([], categories), null);
+  });
+});
+
+describe('krippendorffAlpha', () => {
+  // 符合矩阵边际：0→4、1→5、2→3，共12个评分
+  it('名义尺度', () => {
+    close(krippendorffAlpha(pairs, categories, 'nominal'), 1 - 11 * 2 / 94);
+  });
+
+  it('顺序尺度（默认）', () => {
+    close(krippendorffAlpha(pairs, categories), 1 - 11 * 32 / 3024);
+  });
+
+  it('等距尺度', () => {
+    close(krippendorffAlpha(pairs, categories, 'interval'), 1 - 11 * 2 / 166);
+  });
+
+  it('完全一致时为1，评分少于2个时为null', () => {
+    close(krippendorffAlpha(toPairs([0, 2], [0, 2]), categories), 1);
+    assert.equal(krippendorffAlpha([], categories), null);
+  });
+});
+
+describe('spearmanCorrelation', () => {
+  it('单调一致为1，完全相反为-1', () => {
+    close(spearmanCorrelation(toPairs([1, 2, 3], [10, 20, 30])), 1);
+    close(spearmanCorrelation(toPairs([1, 2, 3], [30, 20, 10])), -1);
+  });
+
+  it('并列值取平均名次', () => {
+    close(spearmanCorrelation(toPairs([1, 2, 2, 3], [1, 2, 3, 4])), 4.5 / Math.sqrt(4.5 * 5));
+  });
+
+  it('少于2对或某一方评分全部相同时为null', () => {
+    assert.equal(spearmanCorrelation(toPairs([1], [1])), null);
+    assert.equal(spearmanCorrelation(toPairs([1, 1, 1], [1, 2, 3])), null);
+  });
+});
+
+describe('kendallTau', () => {
+  it('一致对和不一致对', () => {
+    close(kendallTau(toPairs([1, 2, 3, 4], [1, 3, 2, 4])), 4 / 6);
+  });
+
+  it('tau-b 对并列值校正', () => {
+    close(kendallTau(toPairs([1, 2, 2, 3], [1, 2, 3, 4])), 5 / Math.sqrt(6 * 5));
+  });
+
+  it('某一方评分全部相同时为null', () => {
+    assert.equal(kendallTau(toPairs([2, 2, 2], [1, 2, 3])), null);
+  });
+});
+
+describe('computeAgreement', () => {
+  it('汇总全部指标，相关系数可以使用另一组评分对', () => {
+    const rankPairs = toPairs([1, 2, 3], [1, 2, 3]);
+    const agreement = computeAgreement(pairs, categories, rankPairs);
+
+    assert.equal(agreement.count, 6);
+    close(agreement.exact_agreement, 5 / 6);
+    close(agreement.cohen_kappa, 0.75);
+    close(agreement.weighted_kappa, 6 / 7);
+    close(agreement.krippendorff_alpha, 1 - 11 * 32 / 3024);
+    close(agreement.spearman, 1);
+    close(agreement.kendall_tau, 1);
+  });
+
+  it('没有评分对时指标为null', () => {
+    const agreement = computeAgreement([], categories);
+    assert.equal(agreement.count, 0);
+    assert.equal(agreement.exact_agreement, null);
+    assert.equal(agreement.cohen_kappa, null);
+  });
+});
@@ -0,0 +1,95 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createEvaluationSystem } from '../src/index.js';
+import { createTempDir, keepEngines, silenceConsole, writeMockConfig } from './helpers.js';
+
+const queries = ['机器学习入门教程', 'React性能优化技巧'];
+
+describe('BatchTestManager', () => {
+  before(() => silenceConsole());
+  after(() => mock.restoreAll());
+
+  it('批量评估多个查询，汇总引擎表现并保存结果和报告', async t => {
+    const outputDir = await createTempDir(t);
+    const system = await createEvaluationSystem(await writeMockConfig(t));
+
+    const { summary, finalReport } = await system.runBatchEvaluation(queries, { outputDir });
+
+    assert.equal(summary.total_tests, 2);
+    assert.equal(summary.successful_tests, 2);
+    assert.deepEqual(summary.engines_tested, ['mock_strong', 'mock_weak', 'mock_flaky']);
+
+    const performance = finalReport.aggregated_results.engine_performance;
+    assert.equal(performance.mock_strong.success_rate, 1);
+    assert.equal(performance.mock_strong.ranking_metrics.binary.query_count, 2);
+    assert.equal(performance.mock_strong.ranking_metrics.binary.graded, 20);
+    assert.equal(performance.mock_weak.ranking_metrics.five_point.graded, 12);
+    assert.equal(performance.mock_weak.ranking_metrics.five_point.ungraded, 0);
+    assert.equal(finalReport.engine_rankings.binary.length, 3);
+
+    const files = await fs.readdir(outputDir);
+    ['detailed_results_', 'final_report_', 'summary_'].forEach(prefix => {
+      assert.ok(files.some(file => file.startsWith(prefix)), `缺少 ${prefix}*`);
+    });
+
+    const savedReport = JSON.parse(await fs.readFile(path.join(outputDir, files.find(file => file.startsWith('final_report_'))), 'utf8'));
+    assert.deepEqual(savedReport.metadata.query_info.queries, queries);
+
+    const csv = await fs.readFile(path.join(outputDir, files.find(file => file.startsWith('summary_'))), 'utf8');
+    queries.forEach(query => assert.ok(csv.includes(query)));
+
+    const reportDir = files.find(file => file.endsWith('_2个查询'));
+    const reports = await fs.readdir(path.join(outputDir, reportDir));
+    assert.ok(reports.some(file => file.endsWith('.html')));
+    assert.ok(reports.some(file => file.endsWith('.md')));
+  });
+
+  it('引擎搜索失败时记录成功率和请求次数，不影响其他引擎', async t => {
+    const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+      keepEngines(config, ['mock_strong', 'mock_flaky']);
+      config.search_engines.mock_flaky.failure_rate = 1;
+    }));
+
+    const { finalReport } = await system.runBatchEvaluation(queries, { generateReport: false });
+    const performance = finalReport.aggregated_results.engine_performance;
+
+    assert.equal(performance.mock_flaky.success_rate, 0);
+    assert.equal(performance.mock_flaky.average_attempts, 3);
+    assert.equal(performance.mock_strong.success_rate, 1);
+    assert.equal(performance.mock_strong.ranking_metrics.binary.query_count, 2);
+  });
+
+  it('逐条评分全部失败时引擎的排序指标为null', async t => {
+    const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+      keepEngines(config, ['mock_strong']);
+      config.model.mock.failure_rate = 1;
+    }));
+
+    const { finalReport } = await system.runBatchEvaluation(queries, { generateReport: false });
+    const rankingMetrics = finalReport.aggregated_results.engine_performance.mock_strong.ranking_metrics;
+
+    assert.equal(rankingMetrics.binary, null);
+    assert.equal(rankingMetrics.five_point, null);
+  });
+
+  it('多个评分模型评分时汇总各模型的分数和有分歧的条目', async t => {
+    const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+      keepEngines(config, ['mock_strong', 'mock_weak']);
+      config.judges = [
+        { name: 'judge_a', provider: 'mock', model_name: 'mock-a', max_retries: 1, mock: { seed: 1, rules: [{ match: '/mock_weak/', quality: 0 }] } },
+        { name: 'judge_b', provider: 'mock', model_name: 'mock-b', max_retries: 1, mock: { seed: 2, rules: [{ match: '/mock_weak/', quality: 1 }] } }
+      ];
+      config.evaluation.ensemble = { aggregation: 'median', disagreement_threshold: 1 };
+    }));
+
+    const { finalReport } = await system.runBatchEvaluation(queries.slice(0, 1), { generateReport: false });
+    const { contested_items: contested, engine_performance: performance } = finalReport.aggregated_results;
+
+    assert.deepEqual(finalReport.metadata.config_summary.judges.names, ['judge_a', 'judge_b']);
+    assert.deepEqual(Object.keys(performance.mock_weak.judge_scores.binary), ['judge_a', 'judge_b']);
+    assert.ok(contested.length > 0);
+    assert.ok(contested.filter(item => item.url?.includes('/mock_weak/')).length >= 6 * 3);
+  });
+});
@@ -0,0 +1,110 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateValues, EnsembleScorer } from '../src/evaluation/EnsembleScorer.js';
+import { isAbortError, sleep } from '../src/utils/HttpClient.js';
+
+describe('aggregateValues', () => {
+  it('mean 取平均分', () => {
+    assert.equal(aggregateValues([1, 2, 4], 'mean'), 7 / 3);
+  });
+
+  it('median（默认）取中位数，偶数个时取中间两个的平均', () => {
+    assert.equal(aggregateValues([3, 1, 2]), 2);
+    assert.equal(aggregateValues([4, 1, 3, 2], 'median'), 2.5);
+  });
+
+  it('majority 取出现次数最多的分数', () => {
+    assert.equal(aggregateValues([2, 1, 1], 'majority'), 1);
+    assert.equal(aggregateValues([5], 'majority'), 5);
+  });
+
+  it('majority 票数相同时取最接近中位数的分数', () => {
+    // 中位数1.5，0 和 2 各两票，2 更接近
+    assert.equal(aggregateValues([0, 0, 2, 2, 1, 3], 'majority'), 2);
+  });
+
+  it('majority 票数相同且与中位数距离相同时取较低的分数', () => {
+    assert.equal(aggregateValues([1, 2], 'majority'), 1);
+    assert.equal(aggregateValues([3, 1, 3, 1, 2], 'majority'), 1);
+  });
+});
+
+describe('EnsembleScorer', () => {
+  before(() => ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {})));
+  after(() => mock.restoreAll());
+
+  /**
+   * 创建只实现 gradeDimension 的评分模型
+   * @param {string} name - 评分模型名称
+   * @param {Function} grade - () => Promise<Object>
+   * @returns {Object} { name, scorer }
+   */
+  const createJudge = (name, grade) => ({
+    name,
+    scorer: {
+      dimensions: [{ name: '相关性', weight: 1 }],
+      scoringSystem: { name: 'binary', scale: [0, 1, 2], gradeCriteria: ['0分：不相关', '1分：部分相关', '2分：高度相关'] },
+      prompts: {},
+      getPromptVersion: () => 'abcd1234',
+      gradeDimension: grade
+    }
+  });
+
+  const results = [{ url: 'https://a.example.com' }, { url: 'https://b.example.com' }];
+  const gradesOf = values => ({
+    score: values.reduce((sum, value) => sum + value, 0) / values.length,
+    grades: values.map(grade => ({ grade, reasoning: '' }))
+  });
+
+  it('并行调用各评分模型', async () => {
+    const events = [];
+    const judge = (name, delay, values) => createJudge(name, async () => {
+      events.push(`${name}开始`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      events.push(`${name}结束`);
+      return gradesOf(values);
+    });
+    const ensemble = new EnsembleScorer([judge('a', 30, [2, 0]), judge('b', 10, [2, 2]), judge('c', 20, [1, 0])]);
+
+    const scored = await ensemble.gradeDimension(results, '查询', '相关性');
+
+    assert.deepEqual(events.slice(0, 3), ['a开始', 'b开始', 'c开始']);
+    assert.deepEqual(scored.grades.map(item => item.grade), [2, 0]);
+    assert.deepEqual(scored.grades[1].judges, { a: 0, b: 2, c: 0 });
+    assert.equal(scored.grades[1].contested, true);
+    assert.deepEqual(Object.keys(scored.judgeScores), ['a', 'b', 'c']);
+  });
+
+  it('单个评分模型失败时用其余模型的评分聚合', async () => {
+    const ensemble = new EnsembleScorer([
+      createJudge('a', async () => { throw new Error('HTTP 503'); }),
+      createJudge('b', async () => gradesOf([1, 2]))
+    ], { aggregation: 'mean' });
+
+    const scored = await ensemble.gradeDimension(results, '查询', '相关性');
+
+    assert.deepEqual(scored.grades.map(item => item.grade), [1, 2]);
+    assert.deepEqual(scored.judgeScores, { b: 1.5 });
+    assert.match(scored.grades[0].reasoning, /\[a\] 评分失败: HTTP 503/);
+  });
+
+  it('所有评分模型都失败时抛出错误', async () => {
+    const ensemble = new EnsembleScorer([
+      createJudge('a', async () => { throw new Error('HTTP 503'); }),
+      createJudge('b', async () => { throw new Error('HTTP 429'); })
+    ]);
+
+    await assert.rejects(ensemble.gradeDimension(results, '查询', '相关性'), /所有评分模型均评分失败: HTTP 503/);
+  });
+
+  it('取消时抛出取消错误', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const ensemble = new EnsembleScorer([
+      createJudge('a', async () => gradesOf([1, 1])),
+      createJudge('b', () => sleep(10, controller.signal))
+    ]);
+
+    await assert.rejects(ensemble.gradeDimension(results, '查询', '相关性'), error => isAbortError(error));
+  });
+});
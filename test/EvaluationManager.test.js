@@ -0,0 +1,203 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createEvaluationSystem } from '../src/index.js';
+import { createTempDir, keepEngines, silenceConsole, writeMockConfig } from './helpers.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+const scriptedResults = [
+  { title: '高度相关', url: 'https://a.example.com/1', snippet: '第一条' },
+  { title: '不相关', url: 'https://b.example.com/2', snippet: '第二条' },
+  { title: '部分相关', url: 'https://c.example.com/3', snippet: '第三条' }
+];
+
+/**
+ * 只保留一个引擎、一个评分维度和二分制，便于按脚本验证评分结果
+ * @param {Object} config - 配置对象
+ */
+function useSingleDimension(config) {
+  keepEngines(config, ['mock_strong']);
+  config.search_engines.mock_strong.responses = { '*': scriptedResults };
+  config.evaluation.dimensions = [{ name: '相关性', weight: 1, description: '搜索结果与查询的相关程度' }];
+  config.evaluation.enabled_scoring_systems = ['binary'];
+}
+
+describe('EvaluationManager', () => {
+  before(() => silenceConsole());
+  after(() => mock.restoreAll());
+
+  it('按 config.mock.json 评估所有模拟引擎', async t => {
+    const system = await createEvaluationSystem(await writeMockConfig(t));
+
+    const result = await system.evaluateSingleQuery('机器学习入门教程');
+
+    assert.deepEqual(Object.keys(result.engines), ['mock_strong', 'mock_weak', 'mock_flaky']);
+    Object.values(result.engines).forEach(engine => {
+      assert.equal(engine.error, undefined);
+      assert.equal(engine.judgingMode, 'per_result');
+      ['binary', 'five_point'].forEach(type => {
+        assert.equal(engine.scores[type].length, 1);
+        assert.equal(engine.rankingMetrics[type].ungraded, 0);
+        assert.equal(engine.rankingMetrics[type].graded, engine.totalResults);
+      });
+    });
+    assert.equal(result.engines.mock_weak.totalResults, 6);
+  });
+
+  it('按脚本给出的逐条评分计算排序指标', async t => {
+    const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+      useSingleDimension(config);
+      config.model.mock.script = [{ grades: [2, 0, 1] }];
+    }));
+
+    const engine = (await system.evaluateSingleQuery('脚本查询')).engines.mock_strong;
+    const metrics = engine.rankingMetrics.binary;
+
+    assert.equal(engine.scores.binary[0].overallScores['相关性'].score, 1);
+    assert.deepEqual(engine.scores.binary[0].results.map(item => item.grades['相关性'].grade), [2, 0, 1]);
+    close(metrics['ndcg@3'], (3 + 1 / 2) / (3 + 1 / Math.log2(3)));
+    close(metrics['precision@3'], 2 / 3);
+    close(metrics['map@3'], (1 + 2 / 3) / 2);
+    assert.equal(metrics.graded, 3);
+    assert.equal(metrics.ungraded, 0);
+  });
+
+  describe('搜索失败脚本', () => {
+    it('不可重试的错误只请求一次，可重试的错误重试后成功，格式错误的响应记为引擎错误', async t => {
+      const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+        config.search_engines.mock_strong.responses = { '*': { error: { status: 401, message: '未授权' } } };
+        config.search_engines.mock_weak.responses = { '*': [{ error: { status: 503 } }, scriptedResults] };
+        config.search_engines.mock_flaky.responses = { '*': { malformed: true } };
+      }));
+
+      const { engines } = await system.evaluateSingleQuery('失败脚本');
+
+      assert.match(engines.mock_strong.error, /未授权/);
+      assert.equal(engines.mock_strong.scores, null);
+      assert.equal(engines.mock_strong.attempts, 1);
+
+      assert.equal(engines.mock_weak.error, undefined);
+      assert.equal(engines.mock_weak.attempts, 2);
+      assert.equal(engines.mock_weak.totalResults, scriptedResults.length);
+
+      assert.match(engines.mock_flaky.error, /JSON/);
+      assert.equal(engines.mock_flaky.attempts, 1);
+    });
+
+    it('重试次数用完后记为引擎错误', async t => {
+      const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+        keepEngines(config, ['mock_flaky']);
+        config.search_engines.mock_flaky.failure_rate = 1;
+      }));
+
+      const engine = (await system.evaluateSingleQuery('总是失败')).engines.mock_flaky;
+
+      assert.match(engine.error, /HTTP 503/);
+      assert.equal(engine.attempts, 3);
+    });
+  });
+
+  it('记录模拟延迟', async t => {
+    const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+      keepEngines(config, ['mock_strong', 'mock_weak']);
+      config.search_engines.mock_strong.latency_ms = 60;
+      config.search_engines.mock_weak.responses = { '*': { results: scriptedResults, latency_ms: 40 } };
+    }));
+
+    const { engines } = await system.evaluateSingleQuery('延迟脚本');
+
+    assert.ok(engines.mock_strong.latency.total_ms >= 55, `${engines.mock_strong.latency.total_ms}ms`);
+    assert.ok(engines.mock_weak.latency.total_ms >= 35, `${engines.mock_weak.latency.total_ms}ms`);
+  });
+
+  describe('评分失败', () => {
+    const judgeFailures = {
+      '评分模型请求失败': mockModel => { mockModel.failure_rate = 1; },
+      '评分模型返回格式错误': mockModel => { mockModel.malformed_rate = 1; }
+    };
+
+    Object.entries(judgeFailures).forEach(([name, inject]) => {
+      it(`${name}时排序指标为null，而不是全部按不相关计算`, async t => {
+        const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+          keepEngines(config, ['mock_strong']);
+          inject(config.model.mock);
+        }));
+
+        const engine = (await system.evaluateSingleQuery('评分失败')).engines.mock_strong;
+
+        assert.equal(engine.rankingMetrics.binary, null);
+        assert.equal(engine.rankingMetrics.five_point, null);
+      });
+    });
+
+    it('部分轮次评分全部失败时跳过这些轮次，并统计评分失败的条数', async t => {
+      const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+        useSingleDimension(config);
+        config.evaluation.repeat_times = 2;
+        config.model.mock.script = [{ error: { status: 503 } }, { grades: [2, '无法评分', 1] }];
+      }));
+
+      const metrics = (await system.evaluateSingleQuery('部分失败')).engines.mock_strong.rankingMetrics.binary;
+
+      assert.equal(metrics.skipped_rounds, 1);
+      assert.equal(metrics.graded, 2);
+      assert.equal(metrics.ungraded, 1);
+      close(metrics.ungraded_rate, 1 / 3);
+      close(metrics['precision@3'], 2 / 3);
+    });
+
+    it('逐条调用评分模型（grading_batch_size 为1）时无法解析的回复记为评分失败，而不是保底分数', async t => {
+      const system = await createEvaluationSystem(await writeMockConfig(t, config => {
+        useSingleDimension(config);
+        config.evaluation.grading_batch_size = 1;
+        config.model.mock.script = [{ score: 2 }, { malformed: true }, { score: 1 }];
+      }));
+
+      const engine = (await system.evaluateSingleQuery('逐条调用')).engines.mock_strong;
+      const grades = engine.scores.binary[0].results.map(item => item.grades['相关性']);
+      const metrics = engine.rankingMetrics.binary;
+
+      assert.deepEqual(grades.map(item => item.grade), [2, null, 1]);
+      assert.equal(grades[1].error, true);
+      assert.equal(metrics.graded, 2);
+      assert.equal(metrics.ungraded, 1);
+    });
+  });
+
+  describe('人工标注', () => {
+    /**
+     * 写入 scriptedResults 前两条的人工标注
+     * @param {Object} t - 测试上下文
+     * @returns {Promise<string>} 标注文件路径
+     */
+    const writeQrels = async t => {
+      const file = path.join(await createTempDir(t), 'qrels.csv');
+      await fs.writeFile(file, ['query,url,grade', '标注查询,https://a.example.com/1,2', '标注查询,b.example.com/2/,0'].join('\n'));
+      return file;
+    };
+
+    it('跳过评分模型时只按人工标注计算指标', async t => {
+      const file = await writeQrels(t);
+      const system = await createEvaluationSystem(await writeMockConfig(t, useSingleDimension), {
+        evaluation: { qrels: { file }, skip_judge: true }
+      });
+
+      const engine = (await system.evaluateSingleQuery('标注查询')).engines.mock_strong;
+
+      assert.equal(engine.qrelsMetrics.judged, 2);
+      assert.equal(engine.qrelsMetrics.unjudged, 1);
+      assert.deepEqual(engine.qrelsMetrics.unjudged_urls, ['https://c.example.com/3']);
+      close(engine.qrelsMetrics.metrics['ndcg@1'], 1);
+      assert.ok(Object.values(engine.scores).every(rounds => rounds.length === 0));
+    });
+
+    it('跳过评分模型但没有标注文件时初始化失败', async t => {
+      await assert.rejects(
+        createEvaluationSystem(await writeMockConfig(t), { evaluation: { skip_judge: true } }),
+        /跳过评分模型时必须提供人工标注文件/
+      );
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { getEventListeners } from 'events';
+import { classifyError, fetchWithTimeout } from '../src/utils/HttpClient.js';
+
+describe('fetchWithTimeout', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    // /stall 立即返回响应头，响应体在1秒后才发送完；/error 返回503
+    server = http.createServer((req, res) => {
+      if (req.url === '/error') {
+        res.writeHead(503);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (req.url === '/stall') {
+        res.write('{"results": [');
+        setTimeout(() => res.end(']}'), 1000).unref();
+        return;
+      }
+      res.end('{"results": []}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections?.();
+    server.close();
+  });
+
+  it('读取响应体时超时抛出超时错误', async () => {
+    const response = await fetchWithTimeout(`${baseUrl}/stall`, {}, { timeout: 100 });
+
+    await assert.rejects(response.json(), error => {
+      assert.equal(error.code, 'ETIMEDOUT');
+      assert.equal(classifyError(error), 'timeout');
+      return true;
+    });
+  });
+
+  it('读取响应体时被取消抛出取消错误', async () => {
+    const controller = new AbortController();
+    const response = await fetchWithTimeout(`${baseUrl}/stall`, {}, { timeout: 5000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(response.text(), error => error.code === 'ABORT_ERR');
+  });
+
+  describe('没有 AbortSignal.any 时手动转发取消事件', () => {
+    const any = AbortSignal.any;
+    before(() => {
+      AbortSignal.any = undefined;
+    });
+    after(() => {
+      AbortSignal.any = any;
+    });
+
+    it('请求结束后解除挂在外部取消信号上的监听器', async () => {
+      const controller = new AbortController();
+
+      for (let i = 0; i < 3; i++) {
+        const response = await fetchWithTimeout(`${baseUrl}/ok`, {}, { signal: controller.signal });
+        await response.json();
+      }
+      await fetchWithTimeout(`${baseUrl}/error`, {}, { signal: controller.signal });
+
+      assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+
+    it('读取响应体时仍可被取消', async () => {
+      const controller = new AbortController();
+      const response = await fetchWithTimeout(`${baseUrl}/stall`, {}, { timeout: 5000, signal: controller.signal });
+      setTimeout(() => controller.abort(), 50);
+
+      await assert.rejects(response.text(), error => error.code === 'ABORT_ERR');
+      assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Qrels } from '../src/evaluation/Qrels.js';
+import { normalizeUrl } from '../src/utils/UrlNormalizer.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+describe('normalizeUrl', () => {
+  it('忽略协议、www、默认端口、末尾斜杠、片段和跟踪参数，查询参数按名称排序', () => {
+    assert.equal(normalizeUrl('HTTPS://WWW.Example.com:443/a/b/?utm_source=x&b=2&a=1#frag'), 'example.com/a/b?a=1&b=2');
+    assert.equal(normalizeUrl('http://example.com'), 'example.com');
+    assert.equal(normalizeUrl('https://example.com/'), normalizeUrl('example.com'));
+  });
+
+  it('保留非默认端口', () => {
+    assert.equal(normalizeUrl('example.com:8080/x'), 'example.com:8080/x');
+  });
+
+  it('空值和无法解析的URL', () => {
+    assert.equal(normalizeUrl(''), '');
+    assert.equal(normalizeUrl(' /rel path '), '/rel path');
+  });
+});
+
+describe('Qrels', () => {
+  const qrels = new Qrels([
+    { query: 'React 性能优化', url: 'https://react.dev/reference/react/memo', grade: 2 },
+    { query: 'react  性能优化 ', url: 'web.dev/articles/virtualize', grade: 1 },
+    { query: 'React 性能优化', url: 'https://spam.example.com/', grade: 0 },
+    { query: 'React 性能优化', url: 'https://missing.example.com/', grade: 1 },
+    { query: '', url: 'https://ignored.example.com/', grade: 2 },
+    { query: 'React 性能优化', url: 'https://ignored.example.com/', grade: NaN }
+  ]);
+
+  it('规范化查询和URL后保存标注，忽略无效记录', () => {
+    assert.equal(qrels.size, 4);
+    assert.equal(qrels.maxGrade, 2);
+    assert.ok(qrels.hasQuery('REACT 性能优化'));
+    assert.equal(qrels.getGrade('react 性能优化', 'http://www.react.dev/reference/react/memo/'), 2);
+    assert.equal(qrels.getGrade('react 性能优化', 'https://unknown.example.com/'), null);
+  });
+
+  it('按标注评估结果列表，未标注结果与标注为不相关的结果分开统计', () => {
+    const evaluation = qrels.evaluate('React 性能优化', [
+      { url: 'https://spam.example.com' },
+      { url: 'https://react.dev/reference/react/memo' },
+      { url: 'https://unjudged.example.com/page' }
+    ]);
+
+    assert.equal(evaluation.judged, 2);
+    assert.equal(evaluation.unjudged, 1);
+    assert.equal(evaluation.relevant, 1);
+    assert.equal(evaluation.irrelevant, 1);
+    assert.equal(evaluation.total_relevant, 3);
+    assert.deepEqual(evaluation.unjudged_urls, ['https://unjudged.example.com/page']);
+    close(evaluation.coverage['judged@3'], 2 / 3);
+    close(evaluation.metrics['precision@1'], 0);
+    close(evaluation.metrics['mrr@3'], 1 / 2);
+    // 理想排序按全部标注计算：[2, 1, 1, 0]
+    close(evaluation.metrics['ndcg@3'], (3 / Math.log2(3)) / (3 + 1 / Math.log2(3) + 1 / 2));
+  });
+
+  it('查询没有标注时返回null', () => {
+    assert.equal(qrels.evaluate('没有标注的查询', [{ url: 'https://react.dev/' }]), null);
+  });
+
+  it('大量标注时计算最高分不超出调用栈', () => {
+    const records = Array.from({ length: 150000 }, (_, index) => ({
+      query: `查询${index % 100}`,
+      url: `https://example.com/${index}`,
+      grade: index === 149999 ? 3 : index % 3
+    }));
+    assert.equal(new Qrels(records).maxGrade, 3);
+  });
+
+  it('max_grade 选项覆盖标注中的最高分', () => {
+    assert.equal(new Qrels([{ query: 'q', url: 'a.com', grade: 1 }], { max_grade: 4 }).maxGrade, 4);
+  });
+
+  it('summarize 汇总多次评估', () => {
+    const summary = Qrels.summarize([
+      { metrics: { 'ndcg@1': 1 }, coverage: { 'judged@1': 1 }, judged: 3, unjudged: 1 },
+      { metrics: { 'ndcg@1': 0 }, coverage: { 'judged@1': 0 }, judged: 1, unjudged: 3 },
+      null
+    ]);
+
+    assert.deepEqual(summary, {
+      'ndcg@1': 0.5,
+      'judged@1': 0.5,
+      judged: 4,
+      unjudged: 4,
+      unjudged_rate: 0.5,
+      query_count: 2
+    });
+    assert.equal(Qrels.summarize([]), null);
+  });
+});
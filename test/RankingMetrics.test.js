@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  averageMetrics,
+  computeRankingMetrics,
+  formatMetricSeries,
+  getDefaultRelevantGrade,
+  summarizeRankingMetrics
+} from '../src/evaluation/RankingMetrics.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+describe('getDefaultRelevantGrade', () => {
+  it('取分值范围的中点', () => {
+    assert.equal(getDefaultRelevantGrade([0, 1, 2]), 1);
+    assert.equal(getDefaultRelevantGrade([1, 2, 3, 4, 5]), 3);
+  });
+});
+
+describe('computeRankingMetrics', () => {
+  // 分级 [2, 0, 1]：增益 3、0、1，理想排序 [2, 1, 0]
+  const metrics = computeRankingMetrics([2, 0, 1], { scale: [0, 1, 2], cutoffs: [1, 3] });
+
+  it('nDCG@k', () => {
+    close(metrics['ndcg@1'], 1);
+    close(metrics['ndcg@3'], (3 + 1 / 2) / (3 + 1 / Math.log2(3)));
+  });
+
+  it('Precision@k、MRR@k、MAP@k', () => {
+    close(metrics['precision@1'], 1);
+    close(metrics['precision@3'], 2 / 3);
+    close(metrics['mrr@3'], 1);
+    close(metrics['map@3'], (1 + 2 / 3) / 2);
+  });
+
+  it('ERR@k', () => {
+    close(metrics['err@1'], 3 / 4);
+    close(metrics['err@3'], 3 / 4 + (1 / 4) * (3 / 4) * 0 + (1 / 4) * 1 * (1 / 4) / 3);
+  });
+
+  it('没有评分的结果按不相关计算', () => {
+    const withGap = computeRankingMetrics([null, 2], { scale: [0, 1, 2], cutoffs: [1, 2] });
+    close(withGap['precision@1'], 0);
+    close(withGap['mrr@2'], 1 / 2);
+    close(withGap['ndcg@2'], (3 / Math.log2(3)) / 3);
+  });
+
+  it('按评分体系的最低分归零（五分制1~5）', () => {
+    const fivePoint = computeRankingMetrics([5, 1], { scale: [1, 2, 3, 4, 5], cutoffs: [2] });
+    close(fivePoint['ndcg@2'], 1);
+    close(fivePoint['precision@2'], 1 / 2);
+    close(fivePoint['err@2'], 15 / 16);
+  });
+
+  it('idealGrades 用于计算IDCG和相关结果总数', () => {
+    const partial = computeRankingMetrics([1], { scale: [0, 1, 2], cutoffs: [1, 2], idealGrades: [2, 1] });
+    close(partial['ndcg@1'], 1 / 3);
+    close(partial['map@2'], 1 / 2);
+  });
+
+  it('没有相关结果时指标为0', () => {
+    const empty = computeRankingMetrics([0, 0], { scale: [0, 1, 2], cutoffs: [2] });
+    assert.deepEqual(empty, { 'ndcg@2': 0, 'precision@2': 0, 'mrr@2': 0, 'map@2': 0, 'err@2': 0 });
+  });
+});
+
+describe('averageMetrics', () => {
+  it('按键求平均，缺少的键不计入', () => {
+    assert.deepEqual(averageMetrics([{ 'ndcg@1': 1, 'ndcg@3': 0.5 }, { 'ndcg@1': 0 }, null]), { 'ndcg@1': 0.5, 'ndcg@3': 0.5 });
+  });
+
+  it('没有有效指标时返回null', () => {
+    assert.equal(averageMetrics([]), null);
+    assert.equal(averageMetrics([null]), null);
+  });
+});
+
+describe('summarizeRankingMetrics', () => {
+  it('指标取平均，条数和轮数求和，并重新计算评分失败比例', () => {
+    const summary = summarizeRankingMetrics([
+      { 'ndcg@1': 1, graded: 3, ungraded: 1, ungraded_rate: 0.25, skipped_rounds: 0 },
+      { 'ndcg@1': 0.5, graded: 1, ungraded: 3, ungraded_rate: 0.75, skipped_rounds: 1 },
+      null
+    ]);
+
+    close(summary['ndcg@1'], 0.75);
+    assert.equal(summary.graded, 4);
+    assert.equal(summary.ungraded, 4);
+    assert.equal(summary.ungraded_rate, 0.5);
+    assert.equal(summary.skipped_rounds, 1);
+  });
+
+  it('所有查询都没有排序指标时返回null', () => {
+    assert.equal(summarizeRankingMetrics([null, null]), null);
+  });
+});
+
+describe('formatMetricSeries', () => {
+  it('按截断位置排序格式化', () => {
+    assert.equal(formatMetricSeries({ 'ndcg@10': 0.5, 'ndcg@1': 1, 'precision@1': 0 }, 'ndcg'), 'nDCG@1 1.000 / @10 0.500');
+    assert.equal(formatMetricSeries(null, 'ndcg'), '');
+  });
+});
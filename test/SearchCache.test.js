@@ -0,0 +1,23 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchCache } from '../src/search/SearchCache.js';
+import { createTempDir, silenceConsole } from './helpers.js';
+
+describe('SearchCache', () => {
+  before(() => silenceConsole());
+  after(() => mock.restoreAll());
+
+  it('引擎配置中影响结果的部分变化后不复用旧结果', async t => {
+    const cache = new SearchCache({ enabled: true, dir: await createTempDir(t) });
+    const engineConfig = { type: 'http_json', base_url: 'https://a.example.com/search', api_key: 'key-1', timeout: 5000 };
+    const search = async config => (await cache.run('custom', config, '查询', { maxResults: 5 }, async () => ({ results: [] }))).cache.status;
+
+    assert.equal(await search(engineConfig), 'miss');
+    assert.equal(await search({ ...engineConfig }), 'hit');
+    assert.equal(await search({ ...engineConfig, api_key: 'key-2', timeout: 10000, retry: { max_attempts: 5 } }), 'hit');
+
+    assert.equal(await search({ ...engineConfig, base_url: 'https://b.example.com/search' }), 'miss');
+    assert.equal(await search({ ...engineConfig, request: { url: '{{base_url}}?lang=zh' } }), 'miss');
+    assert.equal(await search({ ...engineConfig, type: 'searxng' }), 'miss');
+  });
+});
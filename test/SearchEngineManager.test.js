@@ -0,0 +1,70 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { SearchEngineManager } from '../src/search/SearchEngineManager.js';
+import { SearchEngineRegistry } from '../src/search/SearchEngineRegistry.js';
+import { BraveSearchEngine } from '../src/search/BraveSearchEngine.js';
+import { cassetteManager } from '../src/utils/CassetteManager.js';
+import { createTempDir, silenceConsole } from './helpers.js';
+
+describe('SearchEngineManager', () => {
+  before(() => silenceConsole());
+  after(() => mock.restoreAll());
+
+  describe('describeEngines', () => {
+    it('不加载未启用引擎的插件，也不创建其适配器', async t => {
+      const dir = await createTempDir(t);
+      const pluginFile = path.join(dir, 'plugin.js');
+      await fs.writeFile(pluginFile, "throw new Error('未启用的插件不应被加载');\n");
+
+      const registry = new SearchEngineRegistry();
+      const create = mock.method(registry, 'create');
+      const manager = new SearchEngineManager({
+        engine_health: { file: path.join(dir, 'engine_health.json') },
+        search_retry: { max_attempts: 2 },
+        search_engines: {
+          brave: { enabled: false, api_key: 'test', max_results: 5, rate_limit: { requests_per_second: 1 } },
+          my_engine: { enabled: false, type: 'my_plugin', module: pluginFile },
+          unknown: { enabled: false, type: 'no_such_type' }
+        }
+      }, registry);
+
+      const [brave, plugin, unknown] = await manager.describeEngines();
+
+      assert.equal(create.mock.callCount(), 0);
+      assert.equal(registry.has('my_plugin'), false);
+
+      assert.deepEqual(brave.supported_options, Object.keys(BraveSearchEngine.capabilities));
+      assert.deepEqual(brave.limits, {
+        max_results: 5, timeout: null, max_attempts: 2, requests_per_second: 1, burst: 1, max_concurrency: null
+      });
+
+      assert.equal(plugin.error, undefined);
+      assert.equal(plugin.supported_options, null);
+      assert.equal(plugin.limits.max_attempts, 2);
+
+      assert.match(unknown.error, /未知的搜索引擎适配器类型: no_such_type/);
+    });
+  });
+
+  describe('probeEngines', () => {
+    it('回放模式下也实际访问引擎，不使用录制的数据', async t => {
+      const dir = await createTempDir(t);
+      cassetteManager.configure({ mode: 'replay', strict: true, dir: path.join(dir, 'cassettes') });
+      t.after(() => cassetteManager.configure());
+
+      const manager = await SearchEngineManager.create({
+        engine_health: { file: path.join(dir, 'engine_health.json') },
+        search_engines: { mock: { enabled: true, responses: { '*': [{ title: '结果', url: 'https://a.example.com/1' }] } } }
+      });
+
+      const [probe] = await manager.probeEngines({ persist: true });
+
+      assert.equal(probe.status, 'ok', probe.error);
+      assert.equal(probe.result_count, 1);
+      assert.equal(cassetteManager.getStats().missed, 0);
+      assert.equal((await manager.health.load()).mock.status, 'ok');
+    });
+  });
+});
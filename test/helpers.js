@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mock } from 'node:test';
+
+/**
+ * 测试辅助函数 - 基于 config.mock.json 生成测试配置
+ */
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * 创建临时目录，测试结束后自动删除
+ * @param {Object} t - node:test 的测试上下文
+ * @returns {Promise<string>} 临时目录路径
+ */
+export async function createTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'web-search-eval-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * 以 config.mock.json 为基础写入测试配置
+ * 默认去掉随机的延迟、失败和格式错误，评分失败不重试，搜索重试间隔缩短为10毫秒，
+ * 测试需要的脚本由 customize 修改配置对象
+ * @param {Object} t - node:test 的测试上下文
+ * @param {Function} customize - (config) => void，修改配置对象
+ * @returns {Promise<string>} 配置文件路径
+ */
+export async function writeMockConfig(t, customize = () => {}) {
+  const config = JSON.parse(await fs.readFile(path.join(ROOT_DIR, 'config.mock.json'), 'utf8'));
+
+  config.model.max_retries = 1;
+  Object.assign(config.model.mock, { latency_ms: 0, failure_rate: 0, malformed_rate: 0 });
+  Object.values(config.search_engines).forEach(engine => {
+    Object.assign(engine, { latency_ms: 0, failure_rate: 0, malformed_rate: 0 });
+  });
+  config.search_retry = { max_attempts: 3, base_delay: 10, max_delay: 20 };
+
+  customize(config);
+
+  const configPath = path.join(await createTempDir(t), 'config.json');
+  await fs.writeFile(configPath, JSON.stringify(config, null, 2));
+  return configPath;
+}
+
+/**
+ * 只保留指定的模拟搜索引擎
+ * @param {Object} config - 配置对象
+ * @param {Array} names - 引擎名称
+ */
+export function keepEngines(config, names) {
+  Object.keys(config.search_engines).forEach(name => {
+    if (!names.includes(name)) {
+      delete config.search_engines[name];
+    }
+  });
+}
+
+/**
+ * 屏蔽控制台输出（评估流程会打印大量进度信息），调用 mock.restoreAll() 恢复
+ */
+export function silenceConsole() {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+}